@@ -1,6 +1,7 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
+const { DEFAULT_ROLE } = require('./roles');
 
 console.log('🔐 Loading passport configuration...');
 console.log('GOOGLE_CLIENT_ID exists:', !!process.env.GOOGLE_CLIENT_ID);
@@ -39,6 +40,11 @@ passport.use(new GoogleStrategy({
         if (user) {
           // Update existing user with Google ID
           user.googleId = profile.id;
+          // A placeholder guest from a bulk invitation becomes a real account on first sign-in
+          if (user.isPlaceholder) {
+            user.name = profile.displayName;
+            user.isPlaceholder = false;
+          }
           await user.save();
           console.log('🔄 Updated existing user with Google ID:', user.email);
         } else {
@@ -48,7 +54,7 @@ passport.use(new GoogleStrategy({
             email: profile.emails[0].value,
             name: profile.displayName,
             avatar: profile.photos?.[0]?.value,
-            role: 'user'
+            role: DEFAULT_ROLE
           });
           console.log('👤 Created new user:', user.email);
         }
@@ -0,0 +1,36 @@
+/**
+ * Role catalogue shared by the User schema, request validators,
+ * OAuth user creation and the authorize() middleware.
+ */
+const ROLES = Object.freeze({
+  GUEST: 'guest',
+  ORGANIZER: 'organizer',
+  STAFF: 'staff',
+  ADMIN: 'admin'
+});
+
+const ROLE_VALUES = Object.freeze(Object.values(ROLES));
+
+// Role given to self-registered and Google OAuth users
+const DEFAULT_ROLE = ROLES.GUEST;
+
+// Roles a user may pick for themselves at registration; admin is granted by another admin
+const SELF_ASSIGNABLE_ROLES = Object.freeze([ROLES.GUEST, ROLES.ORGANIZER]);
+
+// Roles allowed to create events and manage invitations
+const EVENT_MANAGER_ROLES = Object.freeze([ROLES.ORGANIZER, ROLES.ADMIN]);
+
+// Roles allowed to scan tickets at the door; staff is granted by an admin and works any event
+const CHECK_IN_ROLES = Object.freeze([ROLES.ORGANIZER, ROLES.STAFF, ROLES.ADMIN]);
+
+const isValidRole = (role) => ROLE_VALUES.includes(role);
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES,
+  DEFAULT_ROLE,
+  SELF_ASSIGNABLE_ROLES,
+  EVENT_MANAGER_ROLES,
+  CHECK_IN_ROLES,
+  isValidRole
+};
@@ -1,11 +1,81 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
 const validator = require('validator');
+const { ROLES } = require('../config/roles');
+const {
+  isDateOnly,
+  startOfUTCDay,
+  toDateKey,
+  validateRecurrence,
+  expandOccurrences,
+  isOccurrence
+} = require('../utils/recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  isValidTimeZone,
+  formatInTimeZone,
+  todayInTimeZone,
+  computeSchedule
+} = require('../utils/timezone');
+const { buildCalendar, parseCalendar, veventToEventData } = require('../utils/ical');
+const ReminderJob = require('../models/ReminderJob');
+const { previewReminders } = require('../jobs/reminders');
+const { renderReminderEmail } = require('../notifications/templates/reminderEmail');
+const { getQuestionErrors, isChoice } = require('../utils/questionnaire');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidDuration = (value) =>
+  Number.isInteger(value) && value >= 1 && value <= MAX_DURATION_MINUTES;
+
+// null clears the deadline
+const isValidDeadline = (value) =>
+  value === null || (typeof value === 'string' && validator.isISO8601(value));
+
+// Collecting answers after the event has begun makes no sense
+const deadlineAfterStart = (deadline, startsAt) =>
+  Boolean(deadline) && new Date(deadline) > startsAt;
+
+/* -----------------------------------------------------
+   DISPLAY TIMEZONE: ?tz= or X-Timezone header, else the
+   caller's saved preference, else the event's own zone
+----------------------------------------------------- */
+const resolveTimeZone = (req, res, next) => {
+  const timeZone = req.query.tz || req.get('X-Timezone');
+
+  if (timeZone && !isValidTimeZone(timeZone))
+    return res.status(400).json({ success: false, message: `Unknown timezone: ${timeZone}` });
+
+  req.timeZone = timeZone || null;
+  next();
+};
+
+const displayTimeZone = (req, event) =>
+  req.timeZone || req.user?.timezone || event.timezone || DEFAULT_TIMEZONE;
+
+// Adds startsAt/endsAt rendered as local ISO strings in the caller's zone
+const withLocalTimes = (req, event) => {
+  const result = typeof event.toObject === 'function' ? event.toObject() : event;
+  const timeZone = displayTimeZone(req, event);
+
+  result.local = {
+    timezone: timeZone,
+    startsAt: formatInTimeZone(event.startsAt, timeZone),
+    endsAt: formatInTimeZone(event.endsAt, timeZone)
+  };
+  return result;
+};
 
 /* -----------------------------------------------------
    VALIDATION: EVENT CREATION
 ----------------------------------------------------- */
-const validateEventCreation = (req, res, next) => {
-  const { title, description, date, time, location, category } = req.body;
+// Field rules shared by POST /api/events and the .ics import
+const getEventCreationErrors = (body) => {
+  const { title, description, date, time, timezone, durationMinutes, location, category, recurrence, rsvpDeadline, allowLateResponses } = body;
 
   const errors = [];
 
@@ -18,9 +88,15 @@ const validateEventCreation = (req, res, next) => {
   if (!date || !validator.isDate(date, { format: 'YYYY-MM-DD', strictMode: true }))
     errors.push('Valid date in YYYY-MM-DD format is required');
 
-  if (time && !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time))
+  if (time && !TIME_PATTERN.test(time))
     errors.push('Time must be in HH:MM format (24-hour)');
 
+  if (timezone !== undefined && !isValidTimeZone(timezone))
+    errors.push('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+
+  if (durationMinutes !== undefined && !isValidDuration(durationMinutes))
+    errors.push(`Duration must be an integer from 1 to ${MAX_DURATION_MINUTES} minutes`);
+
   if (!location || location.trim().length < 3)
     errors.push('Location must be at least 3 characters long');
 
@@ -30,9 +106,35 @@ const validateEventCreation = (req, res, next) => {
   if (category && !['wedding', 'birthday', 'conference', 'meeting', 'party', 'other'].includes(category))
     errors.push('Invalid category – choose from wedding, birthday, conference, meeting, party, other');
 
+  if (recurrence !== undefined)
+    errors.push(...validateRecurrence(recurrence, date));
+
+  if (rsvpDeadline !== undefined && !isValidDeadline(rsvpDeadline))
+    errors.push('RSVP deadline must be an ISO 8601 date-time');
+
+  if (allowLateResponses !== undefined && typeof allowLateResponses !== 'boolean')
+    errors.push('allowLateResponses must be true or false');
+
+  return errors;
+};
+
+// Compares the real start instant in the event's zone, not server-local midnight
+const startsInFuture = ({ date, time, timezone }) =>
+  computeSchedule(date, time, timezone).startsAt > new Date();
+
+const validateEventCreation = (req, res, next) => {
+  const errors = getEventCreationErrors(req.body);
+
   if (errors.length > 0)
     return res.status(400).json({ success: false, message: 'Validation failed', errors });
 
+  if (!startsInFuture(req.body))
+    return res.status(400).json({ success: false, message: 'Event date must be in the future' });
+
+  const { date, time, timezone, rsvpDeadline } = req.body;
+  if (deadlineAfterStart(rsvpDeadline, computeSchedule(date, time, timezone).startsAt))
+    return res.status(400).json({ success: false, message: 'RSVP deadline must be before the event starts' });
+
   next();
 };
 
@@ -40,7 +142,7 @@ const validateEventCreation = (req, res, next) => {
    VALIDATION: EVENT UPDATE
 ----------------------------------------------------- */
 const validateEventUpdate = (req, res, next) => {
-  const { title, description, date, time, location, category, status } = req.body;
+  const { title, description, date, time, timezone, durationMinutes, location, category, status, recurrence, rsvpDeadline, allowLateResponses } = req.body;
 
   const errors = [];
 
@@ -55,9 +157,18 @@ const validateEventUpdate = (req, res, next) => {
   if (date !== undefined && !validator.isDate(date, { format: 'YYYY-MM-DD', strictMode: true }))
     errors.push('Valid date in YYYY-MM-DD format is required');
 
-  if (time !== undefined && !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time))
+  if (time !== undefined && !TIME_PATTERN.test(time))
     errors.push('Time must be in HH:MM format (24-hour)');
 
+  if (timezone !== undefined && !isValidTimeZone(timezone))
+    errors.push('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+
+  if (durationMinutes !== undefined && !isValidDuration(durationMinutes))
+    errors.push(`Duration must be an integer from 1 to ${MAX_DURATION_MINUTES} minutes`);
+
+  if (req.body.startsAt !== undefined || req.body.endsAt !== undefined)
+    errors.push('startsAt and endsAt are computed – set date, time, timezone or durationMinutes instead');
+
   if (location !== undefined) {
     if (location.trim().length < 3) errors.push('Location must be at least 3 characters long');
     if (location.length > 200) errors.push('Location cannot exceed 200 characters');
@@ -66,8 +177,23 @@ const validateEventUpdate = (req, res, next) => {
   if (category !== undefined && !['wedding', 'birthday', 'conference', 'meeting', 'party', 'other'].includes(category))
     errors.push('Invalid category');
 
-  if (status !== undefined && !['draft', 'published', 'cancelled', 'completed'].includes(status))
-    errors.push('Invalid status');
+  if (status !== undefined)
+    errors.push('Status cannot be changed directly – use /publish, /cancel or /complete');
+
+  if (recurrence !== undefined)
+    errors.push(...validateRecurrence(recurrence, date));
+
+  if (rsvpDeadline !== undefined && !isValidDeadline(rsvpDeadline))
+    errors.push('RSVP deadline must be an ISO 8601 date-time');
+
+  if (allowLateResponses !== undefined && typeof allowLateResponses !== 'boolean')
+    errors.push('allowLateResponses must be true or false');
+
+  if (req.body.reminders !== undefined)
+    errors.push('Reminders are configured with PUT /api/events/:id/reminders');
+
+  if (req.body.questions !== undefined)
+    errors.push('RSVP questions are configured with PUT /api/events/:id/questions');
 
   if (errors.length > 0)
     return res.status(400).json({ success: false, message: 'Validation failed', errors });
@@ -76,45 +202,124 @@ const validateEventUpdate = (req, res, next) => {
 };
 
 /* -----------------------------------------------------
-   CREATE EVENT
+   VALIDATION: EVENT LIST QUERY (filters, sort, cursor)
 ----------------------------------------------------- */
-const createEvent = async (req, res) => {  // Changed from createEventHandler
+const EVENT_SORT_FIELDS = ['startsAt', 'date', 'createdAt', 'price', 'capacity', 'title'];
+const EVENT_DATE_SORT_FIELDS = ['startsAt', 'date', 'createdAt'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+// Only plain values reach the keyset filter, and a date sort needs a real date
+const decodeCursor = (cursor, sortField) => {
   try {
-    const { title, description, date, time, location, category, capacity, price } = req.body;
-    const organizerId = req.user._id;
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    if (v !== null && typeof v !== 'string' && typeof v !== 'number') return null;
+    if (EVENT_DATE_SORT_FIELDS.includes(sortField) && v !== null && Number.isNaN(new Date(v).getTime())) return null;
+    return { v, id };
+  } catch (error) {
+    return null;
+  }
+};
 
-    const eventDate = new Date(date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+const EVENT_QUERY_PARAMS = ['status', 'category', 'from', 'to', 'organizerId', 'location', 'minPrice', 'maxPrice', 'hasSeats', 'sort', 'limit', 'cursor'];
 
-    if (eventDate < today)
-      return res.status(400).json({ success: false, message: 'Event date must be in the future' });
+const validateEventQuery = (req, res, next) => {
+  // A repeated parameter (?sort=a&sort=b) or bracket syntax (?sort[]=a) arrives as an array or object
+  const repeated = EVENT_QUERY_PARAMS.filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeated.length > 0)
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: repeated.map(name => `${name} must be a single value`) });
 
-    if (capacity && (capacity < 1 || capacity > 10000))
-      return res.status(400).json({ success: false, message: 'Capacity must be 1 to 10,000' });
+  const { status, category, from, to, organizerId, minPrice, maxPrice, hasSeats, sort, limit, cursor } = req.query;
 
-    if (price && price < 0)
-      return res.status(400).json({ success: false, message: 'Price cannot be negative' });
+  const errors = [];
 
-    const event = await Event.create({
-      title,
-      description,
-      date: eventDate,
-      time,
-      location,
-      category: category || 'other',
-      capacity: capacity || 100,
-      price: price || 0,
-      organizerId,
-      status: 'draft',
-    });
+  if (status !== undefined && !Object.keys(Event.STATUS_TRANSITIONS).includes(status))
+    errors.push('Invalid status');
+
+  if (category !== undefined && !['wedding', 'birthday', 'conference', 'meeting', 'party', 'other'].includes(category))
+    errors.push('Invalid category');
+
+  if (from !== undefined && !validator.isISO8601(from))
+    errors.push('from must be an ISO 8601 date');
+
+  if (to !== undefined && !validator.isISO8601(to))
+    errors.push('to must be an ISO 8601 date');
+
+  if (organizerId !== undefined && !mongoose.isValidObjectId(organizerId))
+    errors.push('Invalid organizerId');
+
+  if (minPrice !== undefined && !validator.isFloat(minPrice, { min: 0 }))
+    errors.push('minPrice must be a non-negative number');
+
+  if (maxPrice !== undefined && !validator.isFloat(maxPrice, { min: 0 }))
+    errors.push('maxPrice must be a non-negative number');
+
+  if (hasSeats !== undefined && !['true', 'false'].includes(hasSeats))
+    errors.push('hasSeats must be true or false');
+
+  if (sort !== undefined && !EVENT_SORT_FIELDS.includes(sort.replace(/^-/, '')))
+    errors.push(`sort must be one of: ${EVENT_SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+
+  if (limit !== undefined && !validator.isInt(limit, { min: 1, max: MAX_PAGE_SIZE }))
+    errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+
+  if (cursor !== undefined && !decodeCursor(cursor, (sort || 'startsAt').replace(/^-/, '')))
+    errors.push('Invalid cursor');
+
+  if (errors.length > 0)
+    return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+  next();
+};
+
+/* -----------------------------------------------------
+   CREATE EVENT
+----------------------------------------------------- */
+const getEventLimitsError = ({ capacity, price }) => {
+  if (capacity && (capacity < 1 || capacity > 10000)) return 'Capacity must be 1 to 10,000';
+  if (price && price < 0) return 'Price cannot be negative';
+  return null;
+};
+
+// New events always start as drafts
+const buildEventData = (body, organizerId) => ({
+  title: body.title,
+  description: body.description,
+  date: new Date(body.date),
+  time: body.time,
+  timezone: body.timezone || DEFAULT_TIMEZONE,
+  durationMinutes: body.durationMinutes || DEFAULT_DURATION_MINUTES,
+  location: body.location,
+  category: body.category || 'other',
+  capacity: body.capacity || 100,
+  price: body.price || 0,
+  recurrence: body.recurrence || null,
+  rsvpDeadline: body.rsvpDeadline ? new Date(body.rsvpDeadline) : null,
+  allowLateResponses: body.allowLateResponses === true,
+  organizerId,
+  status: 'draft',
+});
+
+const createEvent = async (req, res) => {  // Changed from createEventHandler
+  try {
+    const limitsError = getEventLimitsError(req.body);
+    if (limitsError)
+      return res.status(400).json({ success: false, message: limitsError });
+
+    const event = await Event.create(buildEventData(req.body, req.user._id));
 
     await event.populate('organizerId', 'name email');
 
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
-      data: event,
+      data: withLocalTimes(req, event),
     });
 
   } catch (error) {
@@ -130,16 +335,177 @@ const createEvent = async (req, res) => {  // Changed from createEventHandler
   }
 };
 
+/* -----------------------------------------------------
+   IMPORT EVENTS FROM ICALENDAR (.ics)
+----------------------------------------------------- */
+const MAX_IMPORT_EVENTS = 500;
+
+const importEvents = async (req, res) => {
+  try {
+    const calendar = typeof req.body === 'string' ? req.body : '';
+    if (!/BEGIN:VCALENDAR/i.test(calendar))
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must be an iCalendar document sent as text/calendar'
+      });
+
+    // Zone for floating times and all-day events that carry no TZID
+    const defaultTimeZone = req.query.timezone || req.user.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(defaultTimeZone))
+      return res.status(400).json({ success: false, message: `Unknown timezone: ${defaultTimeZone}` });
+
+    const dryRun = req.query.dryRun === 'true';
+    const vevents = parseCalendar(calendar);
+
+    if (vevents.length === 0)
+      return res.status(400).json({ success: false, message: 'No VEVENT components found' });
+
+    if (vevents.length > MAX_IMPORT_EVENTS)
+      return res.status(400).json({ success: false, message: `Cannot import more than ${MAX_IMPORT_EVENTS} events at once` });
+
+    const parsed = vevents.map(vevent => veventToEventData(vevent, { timeZone: defaultTimeZone }));
+
+    // UIDs already imported by this organizer (archived events included) are skipped, so re-uploads are safe
+    const uids = parsed.map(item => item.uid).filter(Boolean);
+    const existing = await Event.find({ organizerId: req.user._id, externalUid: { $in: uids } })
+      .setOptions({ includeDeleted: true })
+      .select('externalUid');
+    const importedUids = new Set(existing.map(event => event.externalUid));
+    const fileUids = new Set();
+
+    const results = [];
+    for (const [index, { uid, data, skipReason, errors }] of parsed.entries()) {
+      const item = { index, uid, title: data.title || null };
+
+      if (skipReason) {
+        results.push({ ...item, status: 'skipped', reason: skipReason });
+        continue;
+      }
+
+      if (uid && importedUids.has(uid)) {
+        results.push({ ...item, status: 'skipped', reason: 'Event with this UID was already imported' });
+        continue;
+      }
+
+      if (uid && fileUids.has(uid)) {
+        results.push({ ...item, status: 'skipped', reason: 'Duplicate UID earlier in this file' });
+        continue;
+      }
+
+      // Same rules as POST /api/events: field checks, then the future start, then capacity/price
+      const ruleErrors = errors.length > 0 ? errors : getEventCreationErrors(data);
+      if (ruleErrors.length === 0 && !startsInFuture(data)) ruleErrors.push('Event date must be in the future');
+      const limitsError = ruleErrors.length === 0 && getEventLimitsError(data);
+      if (limitsError) ruleErrors.push(limitsError);
+
+      if (ruleErrors.length > 0) {
+        results.push({ ...item, status: 'failed', errors: ruleErrors });
+        continue;
+      }
+
+      const event = new Event({ ...buildEventData(data, req.user._id), externalUid: uid });
+      try {
+        if (dryRun) await event.validate();
+        else await event.save();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        results.push({ ...item, status: 'failed', errors: Object.values(error.errors).map(err => err.message) });
+        continue;
+      }
+
+      if (uid) fileUids.add(uid);
+      results.push({ ...item, status: 'created', eventId: dryRun ? null : event._id });
+    }
+
+    const summary = { total: results.length, created: 0, skipped: 0, failed: 0 };
+    for (const result of results) summary[result.status] += 1;
+
+    res.status(!dryRun && summary.created > 0 ? 201 : 200).json({
+      success: true,
+      dryRun,
+      message: dryRun
+        ? `Dry run: ${summary.created} event(s) would be created, nothing was saved`
+        : `Imported ${summary.created} event(s) as drafts`,
+      summary,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Import events error:', error);
+    res.status(500).json({ success: false, message: 'Server error importing events' });
+  }
+};
+
 /* -----------------------------------------------------
    GET ALL EVENTS
 ----------------------------------------------------- */
 const getEvents = async (req, res) => {
   try {
-    const events = await Event.find()
+    const { status, category, from, to, organizerId, location, minPrice, maxPrice, hasSeats, cursor } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    if (organizerId) filter.organizerId = organizerId;
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    if (location)
+      filter.location = { $regex: escapeRegex(location), $options: 'i' };
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) filter.price.$lte = Number(maxPrice);
+    }
+
+    // Only the events the other filters leave are checked for free seats
+    if (hasSeats !== undefined) {
+      const candidateIds = await Event.distinct('_id', { ...filter, deletedAt: null });
+      const fullEventIds = await RSVP.findFullEventIds(candidateIds);
+      const full = new Set(fullEventIds.map(id => id.toString()));
+      filter._id = { $in: candidateIds.filter(id => full.has(id.toString()) === (hasSeats === 'false')) };
+    }
+
+    // Keyset pagination on (sortField, _id) so pages stay stable while events are added
+    const sortParam = req.query.sort || 'startsAt';
+    const sortField = sortParam.replace(/^-/, '');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    const limit = Number(req.query.limit) || DEFAULT_PAGE_SIZE;
+
+    if (cursor) {
+      const { v, id } = decodeCursor(cursor, sortField);
+      const value = EVENT_DATE_SORT_FIELDS.includes(sortField) && v !== null ? new Date(v) : v;
+      const op = direction === 1 ? '$gt' : '$lt';
+      filter.$and = [{
+        $or: [
+          { [sortField]: { [op]: value } },
+          { [sortField]: value, _id: { [op]: new mongoose.Types.ObjectId(id) } }
+        ]
+      }];
+    }
+
+    const events = await Event.find(filter)
       .populate('organizerId', 'name email')
-      .sort({ date: 1, createdAt: -1 });
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = events.length > limit;
+    const page = hasMore ? events.slice(0, limit) : events;
+    const last = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor(last[sortField] ?? null, last._id) : null;
 
-    res.json({ success: true, count: events.length, data: events });
+    res.json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor,
+      data: page.map(event => withLocalTimes(req, event))
+    });
 
   } catch (error) {
     console.error('Get events error:', error);
@@ -147,6 +513,217 @@ const getEvents = async (req, res) => {
   }
 };
 
+/* -----------------------------------------------------
+   VISIBILITY: anonymous callers see published events,
+   organizers also see their own, admins see everything
+----------------------------------------------------- */
+const visibleEventsFilter = (user) => {
+  if (!user) return { status: 'published' };
+  if (user.role === ROLES.ADMIN) return {};
+  return { $or: [{ status: 'published' }, { organizerId: user._id }] };
+};
+
+/* -----------------------------------------------------
+   SEARCH EVENTS (full-text with highlighted snippets)
+----------------------------------------------------- */
+const SNIPPET_RADIUS = 60;
+const MAX_SEARCH_RESULTS = 50;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Trim a field to a window around its first match and wrap matching words in <mark>
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const wordPattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const firstMatch = text.search(wordPattern);
+  if (firstMatch === -1) return null;
+
+  const start = Math.max(firstMatch - SNIPPET_RADIUS, 0);
+  const end = Math.min(firstMatch + SNIPPET_RADIUS, text.length);
+  const excerpt = text.slice(start, end);
+
+  const highlighted = escapeHtml(excerpt).replace(
+    new RegExp(`\\b(${terms.map(term => escapeRegex(escapeHtml(term))).join('|')})\\w*`, 'gi'),
+    match => `<mark>${match}</mark>`
+  );
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+const searchEvents = async (req, res) => {
+  try {
+    if (req.query.q !== undefined && typeof req.query.q !== 'string')
+      return res.status(400).json({ success: false, message: 'Search query q must be a single text value' });
+
+    const q = (req.query.q || '').trim();
+
+    if (q.length < 2)
+      return res.status(400).json({ success: false, message: 'Search query q must be at least 2 characters' });
+
+    if (q.length > 200)
+      return res.status(400).json({ success: false, message: 'Search query cannot exceed 200 characters' });
+
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, MAX_SEARCH_RESULTS);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+
+    const filter = { $text: { $search: q }, ...visibleEventsFilter(req.user) };
+
+    const [events, total] = await Promise.all([
+      Event.find(filter, { score: { $meta: 'textScore' } })
+        .populate('organizerId', 'name email')
+        .sort({ score: { $meta: 'textScore' }, startsAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Event.countDocuments({ ...filter, deletedAt: null }) // the soft-delete hook only covers find queries
+    ]);
+
+    const terms = q.split(/\s+/).map(term => term.replace(/^["-]+|"+$/g, '')).filter(Boolean);
+
+    const data = events.map(event => {
+      const result = withLocalTimes(req, event);
+      result.highlights = {};
+      for (const field of ['title', 'description', 'location']) {
+        const snippet = buildSnippet(event[field], terms);
+        if (snippet) result.highlights[field] = snippet;
+      }
+      return result;
+    });
+
+    res.json({ success: true, count: data.length, total, page, data });
+
+  } catch (error) {
+    console.error('Search events error:', error);
+    res.status(500).json({ success: false, message: 'Server error searching events' });
+  }
+};
+
+/* -----------------------------------------------------
+   OCCURRENCES (expand recurring events in a date window)
+----------------------------------------------------- */
+const DEFAULT_WINDOW_DAYS = 90;
+const MAX_WINDOW_DAYS = 366;
+
+// Parses ?from=&to= (YYYY-MM-DD); defaults to today plus DEFAULT_WINDOW_DAYS
+const resolveOccurrenceWindow = (query) => {
+  const errors = [];
+
+  if (query.from !== undefined && !isDateOnly(query.from))
+    errors.push('from must be a date in YYYY-MM-DD format');
+  if (query.to !== undefined && !isDateOnly(query.to))
+    errors.push('to must be a date in YYYY-MM-DD format');
+  if (errors.length > 0) return { errors };
+
+  const from = query.from ? new Date(query.from) : startOfUTCDay(new Date());
+  const to = query.to
+    ? new Date(query.to)
+    : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (to < from) errors.push('to cannot be before from');
+  if (to - from > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    errors.push(`Date window cannot exceed ${MAX_WINDOW_DAYS} days`);
+
+  return { from, to, errors };
+};
+
+const toOccurrence = (req, event, date) => {
+  const { startsAt, endsAt } = computeSchedule(date, event.time, event.timezone, event.durationMinutes);
+  const timeZone = displayTimeZone(req, event);
+
+  return {
+    eventId: event._id,
+    title: event.title,
+    location: event.location,
+    time: event.time,
+    timezone: event.timezone,
+    status: event.status,
+    recurring: Boolean(event.recurrence),
+    occurrenceDate: toDateKey(date),
+    startsAt,
+    endsAt,
+    local: {
+      timezone: timeZone,
+      startsAt: formatInTimeZone(startsAt, timeZone),
+      endsAt: formatInTimeZone(endsAt, timeZone)
+    }
+  };
+};
+
+const getOccurrences = async (req, res) => {
+  try {
+    const { from, to, errors } = resolveOccurrenceWindow(req.query);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    // Single events inside the window, plus series that started before it ends and haven't ended before it starts
+    const events = await Event.find({
+      date: { $lte: to },
+      $and: [
+        visibleEventsFilter(req.user),
+        {
+          $or: [
+            { recurrence: null, date: { $gte: from } },
+            { recurrence: { $ne: null }, 'recurrence.until': null },
+            { recurrence: { $ne: null }, 'recurrence.until': { $gte: from } }
+          ]
+        }
+      ]
+    });
+
+    const occurrences = events
+      .flatMap(event => expandOccurrences(event, from, to).map(date => toOccurrence(req, event, date)))
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    res.json({
+      success: true,
+      count: occurrences.length,
+      from: toDateKey(from),
+      to: toDateKey(to),
+      data: occurrences
+    });
+
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching occurrences' });
+  }
+};
+
+const getEventOccurrences = async (req, res) => {
+  try {
+    const { from, to, errors } = resolveOccurrenceWindow(req.query);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event)
+      return res.status(404).json({ success: false, message: 'Event not found' });
+
+    const occurrences = expandOccurrences(event, from, to).map(date => toOccurrence(req, event, date));
+
+    res.json({
+      success: true,
+      count: occurrences.length,
+      from: toDateKey(from),
+      to: toDateKey(to),
+      recurrence: event.recurrence,
+      data: occurrences
+    });
+
+  } catch (error) {
+    console.error('Get event occurrences error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error fetching event occurrences' });
+  }
+};
+
 /* -----------------------------------------------------
    GET SINGLE EVENT
 ----------------------------------------------------- */
@@ -158,7 +735,7 @@ const getEvent = async (req, res) => {
     if (!event)
       return res.status(404).json({ success: false, message: 'Event not found' });
 
-    res.json({ success: true, data: event });
+    res.json({ success: true, data: withLocalTimes(req, event) });
 
   } catch (error) {
     console.error('Get event error:', error);
@@ -170,9 +747,46 @@ const getEvent = async (req, res) => {
   }
 };
 
+/* -----------------------------------------------------
+   EXPORT EVENT AS ICALENDAR (.ics)
+----------------------------------------------------- */
+const getEventCalendar = async (req, res) => {
+  try {
+    // Events the caller can't list are not found here either
+    const event = await Event.findOne({ _id: req.params.id, ...visibleEventsFilter(req.user) })
+      .populate('organizerId', 'name email');
+
+    if (!event)
+      return res.status(404).json({ success: false, message: 'Event not found' });
+
+    const filename = event.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event';
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.ics"`
+    });
+    res.send(buildCalendar([{ event }]));
+
+  } catch (error) {
+    console.error('Export event calendar error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error exporting event' });
+  }
+};
+
 /* -----------------------------------------------------
    UPDATE EVENT
 ----------------------------------------------------- */
+// Fields an organizer may change through PUT; status, soft-delete, ownership
+// and import bookkeeping have their own endpoints or are never client-written
+const EDITABLE_EVENT_FIELDS = [
+  'title', 'description', 'date', 'time', 'timezone', 'durationMinutes', 'location',
+  'category', 'capacity', 'price', 'recurrence', 'rsvpDeadline', 'allowLateResponses'
+];
+
 const updateEvent = async (req, res) => {  // Changed from updateEventHandler
   try {
     let event = await Event.findById(req.params.id);
@@ -183,31 +797,62 @@ const updateEvent = async (req, res) => {  // Changed from updateEventHandler
     if (event.organizerId.toString() !== req.user._id.toString())
       return res.status(403).json({ success: false, message: 'Not authorized to update this event' });
 
-    if (req.body.date) {
-      const incomingDate = new Date(req.body.date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+    const updates = {};
+    for (const field of EDITABLE_EVENT_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
 
-      if (incomingDate < today)
+    // Recompute the UTC instants whenever any part of the local schedule changes
+    const scheduleFields = ['date', 'time', 'timezone', 'durationMinutes'];
+    if (scheduleFields.some(field => req.body[field] !== undefined)) {
+      const schedule = computeSchedule(
+        req.body.date || event.date,
+        req.body.time || event.time,
+        req.body.timezone || event.timezone,
+        req.body.durationMinutes || event.durationMinutes
+      );
+
+      const startChanged = ['date', 'time', 'timezone'].some(field => req.body[field] !== undefined);
+      if (startChanged && schedule.startsAt <= new Date())
         return res.status(400).json({
           success: false,
           message: 'Event date must be in the future'
         });
+
+      // A duration-only change keeps startsAt, so an event already under way can still be extended
+      if (startChanged) updates.startsAt = schedule.startsAt;
+      updates.endsAt = schedule.endsAt;
     }
 
+    const nextDeadline = req.body.rsvpDeadline !== undefined ? req.body.rsvpDeadline : event.rsvpDeadline;
+    if (deadlineAfterStart(nextDeadline, updates.startsAt || event.startsAt))
+      return res.status(400).json({ success: false, message: 'RSVP deadline must be before the event starts' });
+
     if (req.body.capacity && (req.body.capacity < 1 || req.body.capacity > 10000))
       return res.status(400).json({ success: false, message: 'Capacity must be 1 to 10,000' });
 
+    if (req.body.capacity) {
+      const confirmedGuests = await RSVP.countConfirmedGuests(event._id);
+      if (req.body.capacity < confirmedGuests)
+        return res.status(400).json({
+          success: false,
+          message: `Capacity cannot be lower than the ${confirmedGuests} confirmed guest(s)`
+        });
+    }
+
     if (req.body.price && req.body.price < 0)
       return res.status(400).json({ success: false, message: 'Price cannot be negative' });
 
     event = await Event.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('organizerId', 'name email');
 
-    res.json({ success: true, message: 'Event updated successfully', data: event });
+    // Extra capacity goes to the waitlist first, for the series and each occurrence
+    if (req.body.capacity) await RSVP.promoteWaitlist(event);
+
+    res.json({ success: true, message: 'Event updated successfully', data: withLocalTimes(req, event) });
 
   } catch (error) {
     console.error('Update event error:', error);
@@ -238,9 +883,36 @@ const deleteEvent = async (req, res) => {
     if (event.organizerId.toString() !== req.user._id.toString())
       return res.status(403).json({ success: false, message: 'Not authorized to delete this event' });
 
-    await Event.findByIdAndDelete(req.params.id);
+    // Soft delete keeps invitations and RSVPs so the event can be restored
+    if (req.query.soft === 'true') {
+      await Event.updateOne(
+        { _id: event._id },
+        { deletedAt: new Date(), deletedBy: req.user._id }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Event archived. Restore it with POST /api/events/:id/restore'
+      });
+    }
+
+    // Counts every occurrence of a recurring event, not just series-wide RSVPs
+    const confirmedRSVPs = await RSVP.countDocuments({ eventId: event._id, status: 'going', waitlisted: false });
+    if (confirmedRSVPs > 0 && event.status !== 'cancelled')
+      return res.status(409).json({
+        success: false,
+        message: `Event has ${confirmedRSVPs} confirmed guest RSVP(s). Cancel it first, or delete with ?soft=true to archive it`
+      });
+
+    const deleted = await mongoose.connection.transaction(async (session) => {
+      const rsvps = await RSVP.deleteMany({ eventId: event._id }, { session });
+      const invitations = await Invitation.deleteMany({ eventId: event._id }, { session });
+      await Event.deleteOne({ _id: event._id }, { session });
+
+      return { invitations: invitations.deletedCount, rsvps: rsvps.deletedCount };
+    });
 
-    res.json({ success: true, message: 'Event deleted successfully' });
+    res.json({ success: true, message: 'Event deleted successfully', deleted });
 
   } catch (error) {
     console.error('Delete event error:', error);
@@ -252,18 +924,679 @@ const deleteEvent = async (req, res) => {
   }
 };
 
+/* -----------------------------------------------------
+   RESTORE SOFT-DELETED EVENT
+----------------------------------------------------- */
+const restoreEvent = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      .setOptions({ includeDeleted: true });
+
+    if (!event)
+      return res.status(404).json({ success: false, message: 'Archived event not found' });
+
+    if (event.organizerId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: 'Not authorized to restore this event' });
+
+    const restored = await Event.findOneAndUpdate(
+      { _id: event._id },
+      { deletedAt: null, $unset: { deletedBy: 1 } },
+      { new: true }
+    ).setOptions({ includeDeleted: true }).populate('organizerId', 'name email');
+
+    res.json({ success: true, message: 'Event restored successfully', data: withLocalTimes(req, restored) });
+
+  } catch (error) {
+    console.error('Restore event error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error restoring event' });
+  }
+};
+
+/* -----------------------------------------------------
+   LIFECYCLE TRANSITIONS (publish / cancel / complete)
+----------------------------------------------------- */
+const transitionEvent = (targetStatus, timestampField) => async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event)
+      return res.status(404).json({ success: false, message: 'Event not found' });
+
+    if (event.organizerId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: `Not authorized to change this event's status` });
+
+    if (!event.canTransitionTo(targetStatus))
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move event from ${event.status} to ${targetStatus}`,
+        allowedTransitions: Event.STATUS_TRANSITIONS[event.status]
+      });
+
+    if (targetStatus === 'completed' && (event.startsAt || event.date) > new Date())
+      return res.status(400).json({ success: false, message: 'Cannot complete an event that has not started yet' });
+
+    const updates = { status: targetStatus, [timestampField]: new Date() };
+    if (targetStatus === 'cancelled' && req.body?.reason)
+      updates.cancellationReason = req.body.reason;
+
+    // Match on the current status so two concurrent transitions can't both win
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, status: event.status },
+      updates,
+      { new: true, runValidators: true }
+    ).populate('organizerId', 'name email');
+
+    if (!updated)
+      return res.status(409).json({ success: false, message: 'Event status changed concurrently, please retry' });
+
+    res.json({ success: true, message: `Event ${targetStatus} successfully`, data: withLocalTimes(req, updated) });
+
+  } catch (error) {
+    console.error(`Transition event to ${targetStatus} error:`, error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    if (error.name === 'ValidationError')
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+
+    res.status(500).json({ success: false, message: 'Server error updating event status' });
+  }
+};
+
+const publishEvent = transitionEvent('published', 'publishedAt');
+const cancelEvent = transitionEvent('cancelled', 'cancelledAt');
+const completeEvent = transitionEvent('completed', 'completedAt');
+
+/* -----------------------------------------------------
+   REMINDERS (per-event settings and preview)
+----------------------------------------------------- */
+const getReminderSettingsErrors = ({ enabled, beforeStartMinutes, nudgeMinutes }) => {
+  const errors = [];
+
+  if (enabled !== undefined && typeof enabled !== 'boolean')
+    errors.push('enabled must be true or false');
+
+  for (const [field, offsets] of Object.entries({ beforeStartMinutes, nudgeMinutes })) {
+    if (offsets === undefined) continue;
+
+    if (!Array.isArray(offsets) || offsets.length > Event.MAX_REMINDERS_PER_KIND)
+      errors.push(`${field} must be a list of at most ${Event.MAX_REMINDERS_PER_KIND} offsets`);
+    else if (!offsets.every(offset => Number.isInteger(offset) && offset >= 1 && offset <= Event.MAX_REMINDER_OFFSET_MINUTES))
+      errors.push(`${field} must contain whole minutes from 1 to ${Event.MAX_REMINDER_OFFSET_MINUTES}`);
+    else if (new Set(offsets).size !== offsets.length)
+      errors.push(`${field} cannot repeat an offset`);
+  }
+
+  return errors;
+};
+
+const findOrganizedEvent = async (req, res, action, { allowAdmin = false } = {}) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({ success: false, message: 'Event not found' });
+    return null;
+  }
+
+  const isAdmin = allowAdmin && req.user.role === ROLES.ADMIN;
+  if (event.organizerId.toString() !== req.user._id.toString() && !isAdmin) {
+    res.status(403).json({ success: false, message: `Not authorized to ${action} for this event` });
+    return null;
+  }
+
+  return event;
+};
+
+const getReminderHistory = async (eventId) => {
+  const counts = await ReminderJob.aggregate([
+    { $match: { eventId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const history = { scheduled: 0, processing: 0, sent: 0, skipped: 0, failed: 0 };
+  for (const { _id, count } of counts) history[_id] = count;
+  return history;
+};
+
+const getEventReminders = async (req, res) => {
+  try {
+    const event = await findOrganizedEvent(req, res, 'view reminders');
+    if (!event) return;
+
+    res.json({
+      success: true,
+      data: {
+        settings: event.getReminderSettings(),
+        history: await getReminderHistory(event._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reminders error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error fetching reminders' });
+  }
+};
+
+const updateEventReminders = async (req, res) => {
+  try {
+    const errors = getReminderSettingsErrors(req.body);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    const event = await findOrganizedEvent(req, res, 'configure reminders');
+    if (!event) return;
+
+    const { enabled, beforeStartMinutes, nudgeMinutes } = req.body;
+    event.reminders = {
+      ...event.getReminderSettings(),
+      ...(enabled !== undefined && { enabled }),
+      ...(beforeStartMinutes !== undefined && { beforeStartMinutes: [...beforeStartMinutes].sort((a, b) => b - a) }),
+      ...(nudgeMinutes !== undefined && { nudgeMinutes: [...nudgeMinutes].sort((a, b) => b - a) })
+    };
+    // Only the reminders changed, so past events can still be reconfigured
+    await event.save({ validateModifiedOnly: true });
+
+    res.json({ success: true, message: 'Reminders updated', data: { settings: event.getReminderSettings() } });
+
+  } catch (error) {
+    console.error('Update reminders error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    if (error.name === 'ValidationError')
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+
+    res.status(500).json({ success: false, message: 'Server error updating reminders' });
+  }
+};
+
+// Sample email for the first run of each kind, addressed to its first recipient
+const sampleReminderEmails = (event, runs) => {
+  const samples = {};
+
+  for (const run of runs) {
+    if (samples[run.kind]) continue;
+
+    const schedule = computeSchedule(run.occurrenceDate || event.date, event.time, event.timezone, event.durationMinutes);
+    const { subject, text } = renderReminderEmail({
+      kind: run.kind,
+      offsetMinutes: run.offsetMinutes,
+      event,
+      guest: { name: run.recipients[0]?.name || 'Guest' },
+      rsvp: run.recipients[0]?.rsvpStatus ? { status: run.recipients[0].rsvpStatus } : null,
+      startsAt: schedule.startsAt,
+      endsAt: schedule.endsAt,
+      deadline: run.kind === 'nudge' ? event.rsvpDeadline : null,
+      links: { accept: '<rsvp link>?status=going', decline: '<rsvp link>?status=not_going' }
+    });
+    samples[run.kind] = { subject, text };
+  }
+
+  return samples;
+};
+
+const previewEventReminders = async (req, res) => {
+  try {
+    const { days = '30' } = req.query;
+    if (!validator.isInt(String(days), { min: 1, max: 365 }))
+      return res.status(400).json({ success: false, message: 'days must be an integer from 1 to 365' });
+
+    const event = await findOrganizedEvent(req, res, 'preview reminders');
+    if (!event) return;
+
+    const { runs, truncated } = await previewReminders(event, { days: Number(days) });
+
+    res.json({
+      success: true,
+      data: {
+        settings: event.getReminderSettings(),
+        active: event.status === 'published',
+        runs,
+        truncated,
+        samples: sampleReminderEmails(event, runs)
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview reminders error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error previewing reminders' });
+  }
+};
+
+/* -----------------------------------------------------
+   QUESTIONS (per-event RSVP questionnaire)
+----------------------------------------------------- */
+// Replaces the event's questions. Questions sent with their _id keep it (and
+// the answers given to them); a question guests have answered cannot change type.
+const updateEventQuestions = async (req, res) => {
+  try {
+    const { questions } = req.body;
+    const errors = getQuestionErrors(questions);
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    const event = await findOrganizedEvent(req, res, 'edit questions');
+    if (!event) return;
+
+    const current = new Map(event.questions.map(question => [question._id.toString(), question]));
+    const answered = new Set((await RSVP.distinct('answers.questionId', { eventId: event._id })).map(String));
+
+    questions.forEach((question, index) => {
+      if (question._id === undefined) return;
+
+      const existing = current.get(String(question._id));
+      if (!existing)
+        errors.push(`questions[${index}]._id is not a question of this event`);
+      else if (existing.type !== question.type && answered.has(existing._id.toString()))
+        errors.push(`questions[${index}] has answers, so its type cannot change – add a new question instead`);
+    });
+
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    event.questions = questions.map(({ _id, label, type, required, options, min, max }) => ({
+      ...(_id !== undefined && { _id }),
+      label,
+      type,
+      required: required ?? false,
+      options: isChoice(type) ? options.map(option => option.trim()) : undefined,
+      min: type === 'number' ? min ?? null : null,
+      max: type === 'number' ? max ?? null : null
+    }));
+    // Only the questions changed, so past events can still be edited
+    await event.save({ validateModifiedOnly: true });
+
+    res.json({ success: true, message: 'Questions updated', count: event.questions.length, data: event.questions });
+
+  } catch (error) {
+    console.error('Update questions error:', error);
+
+    if (error.kind === 'ObjectId' || error.name === 'CastError')
+      return res.status(400).json({ success: false, message: 'Invalid event or question ID format' });
+
+    if (error.name === 'ValidationError')
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+
+    res.status(500).json({ success: false, message: 'Server error updating questions' });
+  }
+};
+
+/* -----------------------------------------------------
+   STATS (attendance dashboard, computed in MongoDB)
+----------------------------------------------------- */
+const MAX_TIMELINE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answers that apply to a stats slot: all of them, or for an occurrence the
+// series answers and that occurrence's own
+const answerSlot = (occurrenceDate) =>
+  (occurrenceDate ? { occurrenceDate: { $in: [null, occurrenceDate] } } : {});
+
+// Invitation funnel, daily first responses and sentAt → firstRespondedAt
+// latency in one pass over the event's invitations. A guest's response time
+// is their earliest first answer among the answers in the slot; later
+// changes to an answer don't move it.
+const aggregateInvitationStats = async (event, match, occurrenceDate = null) => {
+  const [result] = await Invitation.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: RSVP.collection.name,
+        localField: '_id',
+        foreignField: 'invitationId',
+        pipeline: [
+          { $match: answerSlot(occurrenceDate) },
+          { $group: { _id: null, respondedAt: { $min: '$firstRespondedAt' } } }
+        ],
+        as: 'response'
+      }
+    },
+    { $set: { respondedAt: { $first: '$response.respondedAt' } } },
+    {
+      $facet: {
+        funnel: [{ $group: { _id: '$status', count: { $sum: 1 }, delivered: { $sum: { $cond: [{ $ifNull: ['$sentAt', false] }, 1, 0] } } } }],
+        timeline: [
+          { $match: { respondedAt: { $ne: null } } },
+          { $group: { _id: { $dateToString: { date: '$respondedAt', format: '%Y-%m-%d', timezone: event.timezone || DEFAULT_TIMEZONE } }, responses: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        latency: [
+          { $match: { sentAt: { $ne: null }, respondedAt: { $ne: null } } },
+          { $project: { latencyMs: { $subtract: ['$respondedAt', '$sentAt'] } } },
+          { $match: { latencyMs: { $gte: 0 } } }, // answered before the email went out (e.g. in person)
+          { $group: { _id: null, responses: { $sum: 1 }, average: { $avg: '$latencyMs' }, min: { $min: '$latencyMs' }, max: { $max: '$latencyMs' } } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// RSVP counts and party sizes per status; waitlisted parties hold no seats.
+// Check-ins only happen on confirmed 'going' tickets. For an occurrence, a
+// guest's answer for that day replaces their series answer, so each
+// invitation counts once (dates sort after null), and only that day's
+// check-ins count.
+const aggregateRsvpBreakdown = async (match, occurrenceDate = null) => {
+  const admitted = occurrenceDate
+    ? { $ifNull: [`$checkedInCounts.${toDateKey(occurrenceDate)}`, 0] }
+    : { $ifNull: ['$checkedInCount', 0] };
+  const onePerInvitation = occurrenceDate
+    ? [
+      { $sort: { invitationId: 1, occurrenceDate: -1 } },
+      { $group: { _id: '$invitationId', answer: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$answer' } }
+    ]
+    : [];
+
+  const groups = await RSVP.aggregate([
+    { $match: { ...match, ...answerSlot(occurrenceDate) } },
+    ...onePerInvitation,
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        guests: { $sum: '$guestsCount' },
+        waitlisted: { $sum: { $cond: ['$waitlisted', 1, 0] } },
+        waitlistedGuests: { $sum: { $cond: ['$waitlisted', '$guestsCount', 0] } },
+        checkedInGuests: { $sum: admitted },
+        checkedInParties: { $sum: { $cond: [{ $gt: [admitted, 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const breakdown = {};
+  for (const status of ['going', 'maybe', 'not_going']) {
+    const group = groups.find(({ _id }) => _id === status);
+    breakdown[status] = { count: group?.count || 0, guests: group?.guests || 0 };
+  }
+
+  const going = groups.find(({ _id }) => _id === 'going');
+  breakdown.going.confirmedGuests = (going?.guests || 0) - (going?.waitlistedGuests || 0);
+  breakdown.going.waitlisted = going?.waitlisted || 0;
+  breakdown.total = groups.reduce((sum, { count }) => sum + count, 0);
+
+  const expected = breakdown.going.confirmedGuests;
+  const checkedIn = going?.checkedInGuests || 0;
+  const attendance = {
+    expectedGuests: expected,
+    checkedInGuests: checkedIn,
+    checkedInParties: going?.checkedInParties || 0,
+    notArrived: Math.max(expected - checkedIn, 0),
+    rate: expected > 0 ? Math.round((checkedIn / expected) * 1000) / 10 : 0
+  };
+
+  return { breakdown, attendance };
+};
+
+// Daily responses with running totals, one entry per day from the first response to the last
+const buildTimeline = (days, totalInvitations) => {
+  if (days.length === 0) return [];
+
+  const counts = new Map(days.map(({ _id, responses }) => [_id, responses]));
+  const first = new Date(days[0]._id);
+  const last = new Date(days[days.length - 1]._id);
+  const span = Math.min(Math.round((last - first) / DAY_MS) + 1, MAX_TIMELINE_DAYS);
+  const start = new Date(last.getTime() - (span - 1) * DAY_MS);
+
+  // Responses from before a capped window still count towards the running total
+  let cumulative = days.filter(({ _id }) => new Date(_id) < start).reduce((sum, { responses }) => sum + responses, 0);
+  const timeline = [];
+  for (let i = 0; i < span; i++) {
+    const date = toDateKey(new Date(start.getTime() + i * DAY_MS));
+    const responses = counts.get(date) || 0;
+    cumulative += responses;
+    timeline.push({
+      date,
+      responses,
+      cumulative,
+      responseRate: totalInvitations > 0 ? Math.round((cumulative / totalInvitations) * 1000) / 10 : 0
+    });
+  }
+  return timeline;
+};
+
+const toSeconds = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 1000));
+
+const getEventStats = async (req, res) => {
+  try {
+    const { occurrenceDate } = req.query;
+    if (occurrenceDate !== undefined && !isDateOnly(occurrenceDate))
+      return res.status(400).json({ success: false, message: 'Occurrence date must be in YYYY-MM-DD format' });
+
+    const event = await findOrganizedEvent(req, res, 'view stats', { allowAdmin: true });
+    if (!event) return;
+
+    if (occurrenceDate !== undefined && !isOccurrence(event, occurrenceDate))
+      return res.status(400).json({ success: false, message: `${occurrenceDate} is not an occurrence of this event` });
+
+    // An occurrence also counts series-wide invitations and answers
+    const day = occurrenceDate ? new Date(occurrenceDate) : null;
+    const [invitationStats, { breakdown: rsvps, attendance }, seatsTaken] = await Promise.all([
+      aggregateInvitationStats(event, { eventId: event._id, ...answerSlot(day) }, day),
+      aggregateRsvpBreakdown({ eventId: event._id }, day),
+      RSVP.countConfirmedGuests(event._id, null, day)
+    ]);
+
+    const invitations = { total: 0, pending: 0, sent: 0, accepted: 0, declined: 0, delivered: 0 };
+    for (const { _id, count, delivered } of invitationStats.funnel) {
+      invitations[_id] = count;
+      invitations.total += count;
+      invitations.delivered += delivered;
+    }
+    const responded = invitationStats.timeline.reduce((sum, { responses }) => sum + responses, 0);
+    invitations.responded = responded;
+    invitations.responseRate = invitations.total > 0 ? Math.round((responded / invitations.total) * 1000) / 10 : 0;
+
+    const [latency] = invitationStats.latency;
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event._id,
+        occurrenceDate: occurrenceDate || null,
+        status: event.status,
+        invitations,
+        rsvps,
+        capacity: {
+          total: event.capacity,
+          taken: seatsTaken,
+          remaining: Math.max(event.capacity - seatsTaken, 0)
+        },
+        // Each occurrence of a recurring event has its own door, so the series has no single attendance
+        attendance: event.recurrence && event.recurrence.frequency && !occurrenceDate ? null : attendance,
+        responseTimeline: buildTimeline(invitationStats.timeline, invitations.total),
+        responseLatency: {
+          responses: latency?.responses || 0,
+          averageSeconds: toSeconds(latency?.average),
+          minSeconds: toSeconds(latency?.min),
+          maxSeconds: toSeconds(latency?.max)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event stats error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error fetching event stats' });
+  }
+};
+
+/* -----------------------------------------------------
+   CHECK-IN (ticket scanning at the door)
+----------------------------------------------------- */
+const CHECK_IN_STATUSES = ['published', 'completed'];
+
+// occurrenceKey (YYYY-MM-DD) narrows the counts and scans of a recurring
+// event's ticket to the occurrence being checked in
+const describeTicket = (rsvp, occurrenceKey = null) => {
+  const checkedInCount = rsvp.checkedInFor(occurrenceKey);
+  return {
+    rsvpId: rsvp._id,
+    guest: rsvp.userId,
+    occurrenceDate: rsvp.occurrenceDate,
+    checkInDate: occurrenceKey,
+    guestsCount: rsvp.guestsCount,
+    companions: rsvp.companions,
+    checkedInCount,
+    remaining: Math.max(rsvp.guestsCount - checkedInCount, 0),
+    checkIns: occurrenceKey
+      ? rsvp.checkIns.filter(({ occurrenceDate }) => occurrenceDate && toDateKey(occurrenceDate) === occurrenceKey)
+      : rsvp.checkIns
+  };
+};
+
+const populateTicket = (query) => query
+  .populate('userId', 'name email')
+  .populate('checkIns.scannedBy', 'name');
+
+const checkInGuests = async (req, res) => {
+  try {
+    const { code, guests, occurrenceDate } = req.body;
+    if (typeof code !== 'string' || !code.trim())
+      return res.status(400).json({ success: false, message: 'Ticket code is required' });
+    if (guests !== undefined && (!Number.isInteger(guests) || guests < 1))
+      return res.status(400).json({ success: false, message: 'guests must be a whole number of at least 1' });
+    if (occurrenceDate !== undefined && !isDateOnly(occurrenceDate))
+      return res.status(400).json({ success: false, message: 'Occurrence date must be in YYYY-MM-DD format' });
+
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+
+    // Staff and admins scan at any event, organizers at their own
+    if (req.user.role === ROLES.ORGANIZER && event.organizerId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: 'Not authorized to check in guests for this event' });
+
+    if (!CHECK_IN_STATUSES.includes(event.status))
+      return res.status(400).json({ success: false, message: `Cannot check in guests for a ${event.status} event` });
+
+    // A recurring event admits each occurrence separately, today's by default
+    const recurring = Boolean(event.recurrence && event.recurrence.frequency);
+    if (!recurring && occurrenceDate !== undefined)
+      return res.status(400).json({ success: false, message: 'occurrenceDate is only allowed for recurring events' });
+    const occurrenceKey = recurring ? (occurrenceDate || todayInTimeZone(event.timezone)) : null;
+    if (recurring && !isOccurrence(event, occurrenceKey))
+      return res.status(400).json({ success: false, message: `${occurrenceKey} is not an occurrence of this event` });
+
+    const rsvp = await populateTicket(RSVP.findOne({ eventId: event._id, ticketCode: RSVP.normalizeTicketCode(code) }));
+    if (!rsvp) return res.status(404).json({ success: false, message: 'Ticket not found for this event' });
+
+    if (!rsvp.hasValidTicket())
+      return res.status(409).json({ success: false, message: 'This ticket is no longer valid: the guest is not confirmed as going', data: describeTicket(rsvp, occurrenceKey) });
+
+    if (occurrenceKey) {
+      if (rsvp.occurrenceDate && toDateKey(rsvp.occurrenceDate) !== occurrenceKey)
+        return res.status(409).json({ success: false, message: `This ticket is for ${toDateKey(rsvp.occurrenceDate)}, not ${occurrenceKey}`, data: describeTicket(rsvp, occurrenceKey) });
+
+      // The guest's own answer for the day replaces their series ticket
+      if (!rsvp.occurrenceDate && await RSVP.exists({ invitationId: rsvp.invitationId, occurrenceDate: new Date(occurrenceKey) }))
+        return res.status(409).json({ success: false, message: `The guest answered separately for ${occurrenceKey}; scan that ticket instead`, data: describeTicket(rsvp, occurrenceKey) });
+    }
+
+    const checkedIn = rsvp.checkedInFor(occurrenceKey);
+    const remaining = rsvp.guestsCount - checkedIn;
+    if (remaining <= 0)
+      return res.status(409).json({ success: false, message: `All ${rsvp.guestsCount} guest(s) on this ticket are already checked in`, data: describeTicket(rsvp, occurrenceKey) });
+
+    const count = guests === undefined ? remaining : guests;
+    if (count > remaining)
+      return res.status(400).json({ success: false, message: `Only ${remaining} guest(s) left to check in on this ticket`, data: describeTicket(rsvp, occurrenceKey) });
+
+    // Matching on the count read above keeps two scanners from admitting the same guests
+    const countPath = occurrenceKey ? `checkedInCounts.${occurrenceKey}` : 'checkedInCount';
+    const updated = await populateTicket(RSVP.findOneAndUpdate(
+      { _id: rsvp._id, [countPath]: checkedIn || { $in: [null, 0] } },
+      {
+        $inc: occurrenceKey ? { checkedInCount: count, [countPath]: count } : { checkedInCount: count },
+        $push: {
+          checkIns: {
+            guests: count,
+            checkedInAt: new Date(),
+            occurrenceDate: occurrenceKey ? new Date(occurrenceKey) : null,
+            scannedBy: req.user._id
+          }
+        }
+      },
+      { new: true }
+    ));
+    if (!updated)
+      return res.status(409).json({ success: false, message: 'This ticket was just scanned elsewhere; scan it again' });
+
+    const ticket = describeTicket(updated, occurrenceKey);
+    res.json({
+      success: true,
+      message: ticket.remaining > 0
+        ? `Checked in ${count} guest(s); ${ticket.remaining} still to arrive`
+        : `Checked in ${count} guest(s); party complete`,
+      data: ticket
+    });
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid event ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error checking in guests' });
+  }
+};
+
 /* -----------------------------------------------------
    EXPORT (CORRECTED - NO ARRAYS!)
 ----------------------------------------------------- */
 module.exports = {
   // Controller functions
   createEvent,
+  importEvents,
   getEvents,
+  searchEvents,
+  getOccurrences,
+  getEventOccurrences,
   getEvent,
+  getEventCalendar,
   updateEvent,
   deleteEvent,
+  restoreEvent,
+  publishEvent,
+  cancelEvent,
+  completeEvent,
+  getEventReminders,
+  updateEventReminders,
+  previewEventReminders,
+  updateEventQuestions,
+  getEventStats,
+  checkInGuests,
   
   // Validation middleware functions (export separately)
+  resolveTimeZone,
   validateEventCreation,
-  validateEventUpdate
+  validateEventUpdate,
+  validateEventQuery
 };
\ No newline at end of file
@@ -1,13 +1,60 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
 const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { isDateOnly, isOccurrence } = require('../utils/recurrence');
+const { parseCsv } = require('../utils/csv');
+const { sendInvitationOnce, queueInvitationRetry, cancelInvitationRetry } = require('../jobs/invitationEmails');
+const { signRsvpToken, buildRsvpUrl } = require('../utils/rsvpToken');
+const { getRsvpWindow } = require('../utils/rsvpDeadline');
+
+const DEFAULT_INVITATION_MESSAGE = 'You are invited to this event!';
+const INVITATION_STATUSES = ['pending', 'sent', 'accepted', 'declined'];
+
+// plusOnes is how many companions the guest may bring; null means no limit
+// beyond the party size cap
+const PLUS_ONES_MESSAGE = `plusOnes must be a whole number from 0 to ${RSVP.MAX_PARTY_SIZE - 1}, or null`;
+const isValidPlusOnes = (plusOnes) => plusOnes === undefined || plusOnes === null ||
+  (Number.isInteger(plusOnes) && plusOnes >= 0 && plusOnes <= RSVP.MAX_PARTY_SIZE - 1);
+
+// Shared by single and bulk invitations: only the organizer can invite, only to
+// published events, and only to real occurrences of a recurring event
+const getInvitationTargetError = (event, organizerId, occurrenceDate) => {
+  if (event.organizerId.toString() !== organizerId.toString()) {
+    return { status: 403, message: 'Not authorized to invite guests to this event' };
+  }
+
+  if (event.status !== 'published') {
+    return {
+      status: 400,
+      message: event.status === 'draft'
+        ? 'Publish the event before inviting guests'
+        : `Cannot invite guests to a ${event.status} event`
+    };
+  }
+
+  if (occurrenceDate !== undefined && occurrenceDate !== null) {
+    if (!isDateOnly(occurrenceDate)) {
+      return { status: 400, message: 'Occurrence date must be in YYYY-MM-DD format' };
+    }
+
+    if (!event.recurrence || !isOccurrence(event, occurrenceDate)) {
+      return { status: 400, message: `${occurrenceDate} is not an occurrence of this event` };
+    }
+  }
+
+  return null;
+};
 
 // @desc    Create a new invitation
 // @route   POST /api/invitations
 // @access  Private (Organizer only)
 const createInvitation = async (req, res) => {
   try {
-    const { eventId, guestId, message } = req.body;
+    const { eventId, guestId, message, occurrenceDate, plusOnes } = req.body;
     const organizerId = req.user._id;
 
     // Validation
@@ -18,6 +65,13 @@ const createInvitation = async (req, res) => {
       });
     }
 
+    if (!isValidPlusOnes(plusOnes)) {
+      return res.status(400).json({
+        success: false,
+        message: PLUS_ONES_MESSAGE
+      });
+    }
+
     // Check if event exists and user is the organizer
     const event = await Event.findById(eventId);
     if (!event) {
@@ -27,12 +81,15 @@ const createInvitation = async (req, res) => {
       });
     }
 
-    if (event.organizerId.toString() !== organizerId.toString()) {
-      return res.status(403).json({
+    // A single occurrence of a recurring event can be targeted instead of the whole series
+    const targetError = getInvitationTargetError(event, organizerId, occurrenceDate);
+    if (targetError) {
+      return res.status(targetError.status).json({
         success: false,
-        message: 'Not authorized to invite guests to this event'
+        message: targetError.message
       });
     }
+    const targetOccurrence = occurrenceDate ? new Date(occurrenceDate) : null;
 
     // Check if guest exists
     const guest = await User.findById(guestId);
@@ -51,12 +108,18 @@ const createInvitation = async (req, res) => {
       });
     }
 
-    // Check if invitation already exists
-    const existingInvitation = await Invitation.findOne({ eventId, guestId });
+    // Check if invitation already exists (a series invitation already covers every occurrence)
+    const existingInvitation = await Invitation.findOne({
+      eventId,
+      guestId,
+      occurrenceDate: { $in: [null, targetOccurrence] }
+    });
     if (existingInvitation) {
       return res.status(400).json({
         success: false,
-        message: 'Invitation already exists for this guest'
+        message: existingInvitation.occurrenceDate || !targetOccurrence
+          ? 'Invitation already exists for this guest'
+          : 'Invitation already exists for this guest for the whole series'
       });
     }
 
@@ -65,7 +128,9 @@ const createInvitation = async (req, res) => {
       eventId,
       guestId,
       organizerId,
-      message: message || 'You are invited to this event!',
+      occurrenceDate: targetOccurrence,
+      message: message || DEFAULT_INVITATION_MESSAGE,
+      plusOnes: plusOnes ?? null,
       status: 'pending'
     });
 
@@ -100,12 +165,32 @@ const createInvitation = async (req, res) => {
   }
 };
 
-// @desc    Get all invitations
+// @desc    Get invitations the user organizes or received (admins see all)
 // @route   GET /api/invitations
 // @access  Private
 const getInvitations = async (req, res) => {
   try {
-    const invitations = await Invitation.find()
+    const filter = {};
+
+    if (req.user.role !== ROLES.ADMIN) {
+      const organizedEventIds = await Event.find({ organizerId: req.user._id }).distinct('_id');
+      filter.$or = [
+        { guestId: req.user._id },
+        { eventId: { $in: organizedEventIds } }
+      ];
+    }
+
+    if (req.query.status) {
+      if (!INVITATION_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filter)
       .populate('eventId', 'title date location')
       .populate('guestId', 'name email')
       .populate('organizerId', 'name email')
@@ -132,7 +217,7 @@ const getInvitations = async (req, res) => {
 const getInvitation = async (req, res) => {
   try {
     const invitation = await Invitation.findById(req.params.id)
-      .populate('eventId', 'title description date time location')
+      .populate('eventId', 'title description date time location organizerId')
       .populate('guestId', 'name email')
       .populate('organizerId', 'name email');
     
@@ -142,6 +227,18 @@ const getInvitation = async (req, res) => {
         message: 'Invitation not found'
       });
     }
+
+    // Authorization: Only the guest, the event organizer or an admin can view
+    const userId = req.user._id.toString();
+    const isGuest = invitation.guestId?._id.toString() === userId;
+    const isOrganizer = invitation.eventId?.organizerId?.toString() === userId;
+
+    if (!isGuest && !isOrganizer && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invitation'
+      });
+    }
     
     res.json({
       success: true,
@@ -170,7 +267,24 @@ const getInvitation = async (req, res) => {
 // @access  Private
 const updateInvitation = async (req, res) => {
   try {
-    const { message, status } = req.body;
+    const { message, status, rsvpExtendedUntil, plusOnes } = req.body;
+
+    // A later date than the event's RSVP deadline lets this guest answer late; null removes it
+    if (rsvpExtendedUntil !== undefined && rsvpExtendedUntil !== null &&
+        (typeof rsvpExtendedUntil !== 'string' || !validator.isISO8601(rsvpExtendedUntil))) {
+      return res.status(400).json({
+        success: false,
+        message: 'rsvpExtendedUntil must be an ISO 8601 date-time or null'
+      });
+    }
+
+    // Lowering the allowance keeps existing parties but stops them growing
+    if (!isValidPlusOnes(plusOnes)) {
+      return res.status(400).json({
+        success: false,
+        message: PLUS_ONES_MESSAGE
+      });
+    }
     
     let invitation = await Invitation.findById(req.params.id);
     
@@ -188,11 +302,27 @@ const updateInvitation = async (req, res) => {
         message: 'Not authorized to update this invitation'
       });
     }
+
+    // Once the guest has answered, the status follows the RSVP
+    if (status !== undefined && status !== invitation.status) {
+      const rsvp = await RSVP.findOne({
+        invitationId: invitation._id,
+        occurrenceDate: invitation.occurrenceDate || null
+      });
+
+      const expected = rsvp && Invitation.statusForRsvp(rsvp, invitation);
+      if (rsvp && expected !== status) {
+        return res.status(409).json({
+          success: false,
+          message: `Guest has RSVP'd ${rsvp.status}; the invitation status must stay ${expected}`
+        });
+      }
+    }
     
     // Update invitation
     invitation = await Invitation.findByIdAndUpdate(
       req.params.id,
-      { message, status },
+      { message, status, rsvpExtendedUntil, plusOnes },
       { new: true, runValidators: true }
     );
     
@@ -241,11 +371,27 @@ const deleteInvitation = async (req, res) => {
       });
     }
     
-    await Invitation.findByIdAndDelete(req.params.id);
+    // The guest's RSVPs (one per answered occurrence) go with the invitation
+    const rsvps = await RSVP.find({ invitationId: invitation._id });
+    await mongoose.connection.transaction(async (session) => {
+      await RSVP.deleteMany({ invitationId: invitation._id }, { session });
+      await Invitation.deleteOne({ _id: invitation._id }, { session });
+    });
+
+    const freedSlots = rsvps.filter(rsvp => rsvp.status === 'going' && !rsvp.waitlisted);
+    if (freedSlots.length > 0) {
+      const event = await Event.findById(invitation.eventId);
+      if (event) {
+        for (const rsvp of freedSlots) {
+          await RSVP.promoteWaitlist(event, rsvp.occurrenceDate);
+        }
+      }
+    }
     
     res.json({
       success: true,
-      message: 'Invitation deleted successfully'
+      message: 'Invitation deleted successfully',
+      deleted: { rsvps: rsvps.length }
     });
     
   } catch (error) {
@@ -265,20 +411,263 @@ const deleteInvitation = async (req, res) => {
   }
 };
 
+// @desc    Email the invitation to the guest (also used to resend)
+// @route   POST /api/invitations/:id/send
+// @access  Private (Organizer only)
+const sendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.organizerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send this invitation'
+      });
+    }
+
+    if (['accepted', 'declined'].includes(invitation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Guest has already ${invitation.status} this invitation`
+      });
+    }
+
+    if (invitation.rsvpTokenRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The RSVP link for this invitation is revoked. Rotate it before sending.'
+      });
+    }
+
+    const [event, guest, organizer] = await Promise.all([
+      Event.findById(invitation.eventId),
+      User.findById(invitation.guestId).select('name email'),
+      User.findById(invitation.organizerId).select('name email')
+    ]);
+
+    if (!event || !guest) {
+      return res.status(404).json({
+        success: false,
+        message: !event ? 'Event not found' : 'Guest not found'
+      });
+    }
+
+    if (event.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send invitations for a ${event.status} event`
+      });
+    }
+
+    const { invitation: updated, messageId, error } = await sendInvitationOnce({ invitation, event, guest, organizer });
+
+    if (error && error.permanent) {
+      await cancelInvitationRetry(invitation._id, 'Rejected by the mail server');
+      return res.status(502).json({
+        success: false,
+        message: 'The mail server rejected the invitation email'
+      });
+    }
+
+    if (error) {
+      const job = await queueInvitationRetry(invitation, error.message);
+      return res.status(202).json({
+        success: true,
+        message: 'Invitation email could not be sent yet; it will be retried in the background',
+        data: await Invitation.findById(invitation._id),
+        delivery: {
+          attempts: 1,
+          retryAt: job.runAt
+        }
+      });
+    }
+
+    await cancelInvitationRetry(invitation._id, 'Sent from a later request');
+
+    res.json({
+      success: true,
+      message: `Invitation sent to ${guest.email}`,
+      data: updated,
+      delivery: {
+        messageId,
+        attempts: 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Send invitation error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending invitation'
+    });
+  }
+};
+
+// Loads an invitation and its event for the RSVP link endpoints, enforcing
+// that only the organizer manages links. Returns { invitation, event } or { error }.
+const loadOrganizerInvitation = async (invitationId, user) => {
+  const invitation = await Invitation.findById(invitationId);
+  if (!invitation) {
+    return { error: { status: 404, message: 'Invitation not found' } };
+  }
+
+  if (invitation.organizerId.toString() !== user._id.toString()) {
+    return { error: { status: 403, message: 'Not authorized to manage RSVP links for this invitation' } };
+  }
+
+  const event = await Event.findById(invitation.eventId);
+  if (!event) {
+    return { error: { status: 404, message: 'Event not found' } };
+  }
+
+  return { invitation, event };
+};
+
+const rsvpLinkResponse = (invitation, event) => {
+  const { token, expiresAt } = signRsvpToken(invitation, event);
+  return { token, url: buildRsvpUrl(token), expiresAt };
+};
+
+const handleRsvpLinkError = (res, error, activity) => {
+  console.error(`RSVP link error (${activity}):`, error);
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid invitation ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Server error ${activity} RSVP link`
+  });
+};
+
+// @desc    Get a signed RSVP link for the invitation (current version)
+// @route   GET /api/invitations/:id/rsvp-token
+// @access  Private (Organizer only)
+const getRsvpLink = async (req, res) => {
+  try {
+    const { invitation, event, error } = await loadOrganizerInvitation(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (invitation.rsvpTokenRevokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The RSVP link for this invitation is revoked. Rotate it to issue a new one.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rsvpLinkResponse(invitation, event)
+    });
+
+  } catch (error) {
+    handleRsvpLinkError(res, error, 'fetching');
+  }
+};
+
+// @desc    Rotate the RSVP link: every earlier link stops working
+// @route   POST /api/invitations/:id/rsvp-token
+// @access  Private (Organizer only)
+const rotateRsvpLink = async (req, res) => {
+  try {
+    const { event, error } = await loadOrganizerInvitation(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const invitation = await Invitation.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { rsvpTokenVersion: 1 }, $unset: { rsvpTokenRevokedAt: 1 } },
+      { new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'RSVP link rotated; earlier links no longer work',
+      data: rsvpLinkResponse(invitation, event)
+    });
+
+  } catch (error) {
+    handleRsvpLinkError(res, error, 'rotating');
+  }
+};
+
+// @desc    Revoke the RSVP link until it is rotated
+// @route   DELETE /api/invitations/:id/rsvp-token
+// @access  Private (Organizer only)
+const revokeRsvpLink = async (req, res) => {
+  try {
+    const { error } = await loadOrganizerInvitation(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await Invitation.updateOne(
+      { _id: req.params.id },
+      { $inc: { rsvpTokenVersion: 1 }, $set: { rsvpTokenRevokedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'RSVP link revoked'
+    });
+
+  } catch (error) {
+    handleRsvpLinkError(res, error, 'revoking');
+  }
+};
+
 // @desc    Get my invitations (for guest)
 // @route   GET /api/invitations/my-invitations
 // @access  Private
 const getMyInvitations = async (req, res) => {
   try {
     const invitations = await Invitation.find({ guestId: req.user._id })
-      .populate('eventId', 'title description date time location')
+      .populate('eventId', 'title description date time location rsvpDeadline allowLateResponses')
       .populate('organizerId', 'name email')
       .sort({ createdAt: -1 });
+
+    // How long each guest has left to answer
+    const now = new Date();
+    const data = invitations.map(invitation => ({
+      ...invitation.toObject(),
+      rsvpWindow: invitation.eventId ? getRsvpWindow(invitation.eventId, invitation, now) : null
+    }));
     
     res.json({
       success: true,
       count: invitations.length,
-      data: invitations
+      data
     });
     
   } catch (error) {
@@ -290,11 +679,249 @@ const getMyInvitations = async (req, res) => {
   }
 };
 
+const MAX_BULK_INVITATIONS = 5000;
+
+// Reads { email, name } entries from a JSON emails array or a CSV body. A CSV
+// with an "email" header column may also have a "name" column; without a
+// header the first column is the email and the second the name.
+const readBulkEntries = (body) => {
+  if (typeof body === 'string') {
+    const records = parseCsv(body).filter(record => record.some(cell => cell.trim()));
+    if (records.length === 0) return [];
+
+    const header = records[0].map(cell => cell.trim().toLowerCase());
+    const emailColumn = header.indexOf('email');
+    if (emailColumn === -1) {
+      return records.map(([email, name]) => ({ email, name }));
+    }
+
+    const nameColumn = header.indexOf('name');
+    return records.slice(1).map(record => ({
+      email: record[emailColumn],
+      name: nameColumn === -1 ? undefined : record[nameColumn]
+    }));
+  }
+
+  if (!body || !Array.isArray(body.emails)) return null;
+  return body.emails.map(entry => (typeof entry === 'string'
+    ? { email: entry }
+    : { email: entry?.email, name: entry?.name }));
+};
+
+// Mongoose copies driver WriteErrors into plain objects, which keeps the code under err
+const writeErrorCode = (writeError) => writeError.code ?? writeError.err?.code;
+
+// @desc    Invite many guests by email (JSON list or CSV upload)
+// @route   POST /api/events/:id/invitations/bulk
+// @access  Private (Organizer only)
+const bulkCreateInvitations = async (req, res) => {
+  try {
+    const organizerId = req.user._id;
+    // A CSV body carries its options in the query string
+    const options = typeof req.body === 'string' ? req.query : (req.body || {});
+    const createPlaceholders = options.createPlaceholders === true || options.createPlaceholders === 'true';
+    const occurrenceDate = options.occurrenceDate || null;
+    const plusOnes = typeof options.plusOnes === 'string' && options.plusOnes !== ''
+      ? Number(options.plusOnes)
+      : options.plusOnes;
+
+    const entries = readBulkEntries(req.body);
+    if (!entries) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send an emails array as JSON or a CSV body with an email column'
+      });
+    }
+
+    if (!isValidPlusOnes(plusOnes)) {
+      return res.status(400).json({
+        success: false,
+        message: PLUS_ONES_MESSAGE
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No emails to invite'
+      });
+    }
+
+    if (entries.length > MAX_BULK_INVITATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot invite more than ${MAX_BULK_INVITATIONS} guests at once`
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const targetError = getInvitationTargetError(event, organizerId, occurrenceDate);
+    if (targetError) {
+      return res.status(targetError.status).json({
+        success: false,
+        message: targetError.message
+      });
+    }
+    const targetOccurrence = occurrenceDate ? new Date(occurrenceDate) : null;
+
+    // One result per input row, filled in as each step settles it
+    const results = entries.map((entry, index) => ({
+      row: index + 1,
+      email: typeof entry.email === 'string' ? entry.email.trim().toLowerCase() : entry.email ?? null
+    }));
+    const settle = (result, status, fields = {}) => Object.assign(result, { status }, fields);
+
+    const seenEmails = new Set();
+    for (const result of results) {
+      if (typeof result.email !== 'string' || !validator.isEmail(result.email)) {
+        settle(result, 'failed', { reason: 'Invalid email address' });
+      } else if (result.email === req.user.email) {
+        settle(result, 'failed', { reason: 'Cannot invite yourself to your own event' });
+      } else if (seenEmails.has(result.email)) {
+        settle(result, 'skipped', { reason: 'Duplicate email in this request' });
+      } else {
+        seenEmails.add(result.email);
+      }
+    }
+
+    const pending = () => results.filter(result => !result.status);
+
+    // Match existing accounts, then optionally create placeholders for the rest
+    const findGuests = async () => new Map(
+      (await User.find({ email: { $in: pending().map(result => result.email) } }).select('_id email isPlaceholder'))
+        .map(user => [user.email, user])
+    );
+    let guests = await findGuests();
+
+    const unknown = pending().filter(result => !guests.has(result.email));
+    if (unknown.length > 0 && createPlaceholders) {
+      const placeholders = unknown.map(result => {
+        const name = entries[result.row - 1].name;
+        return {
+          email: result.email,
+          name: (typeof name === 'string' && name.trim()) || result.email.split('@')[0],
+          role: DEFAULT_ROLE,
+          isPlaceholder: true
+        };
+      });
+
+      try {
+        await User.insertMany(placeholders, { ordered: false });
+      } catch (error) {
+        // Someone registered one of these emails meanwhile; the lookup below picks them up
+        if (!error.writeErrors || error.writeErrors.some(writeError => writeErrorCode(writeError) !== 11000)) throw error;
+      }
+
+      guests = await findGuests();
+      for (const result of unknown) {
+        if (guests.get(result.email)?.isPlaceholder) result.placeholder = true;
+      }
+    }
+
+    for (const result of pending()) {
+      if (!guests.has(result.email)) {
+        settle(result, 'failed', { reason: 'No account with this email (set createPlaceholders to create one)' });
+      } else {
+        result.guestId = guests.get(result.email)._id;
+      }
+    }
+
+    // A series invitation already covers every occurrence
+    if (targetOccurrence) {
+      const seriesGuestIds = await Invitation.distinct('guestId', {
+        eventId: event._id,
+        guestId: { $in: pending().map(result => result.guestId) },
+        occurrenceDate: null
+      });
+      for (const result of pending()) {
+        if (seriesGuestIds.some(id => id.equals(result.guestId))) {
+          settle(result, 'skipped', { reason: 'Already invited to the whole series' });
+        }
+      }
+    }
+
+    // The eventId + guestId (+ occurrenceDate) unique index rejects existing invitations
+    const toInsert = pending().map(result => ({
+      result,
+      doc: {
+        _id: new mongoose.Types.ObjectId(),
+        eventId: event._id,
+        guestId: result.guestId,
+        organizerId,
+        occurrenceDate: targetOccurrence,
+        message: options.message || DEFAULT_INVITATION_MESSAGE,
+        plusOnes: plusOnes ?? null,
+        status: 'pending'
+      }
+    }));
+
+    const failedIndexes = new Map();
+    if (toInsert.length > 0) {
+      try {
+        await Invitation.insertMany(toInsert.map(item => item.doc), { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        for (const writeError of error.writeErrors) {
+          failedIndexes.set(writeError.index, writeErrorCode(writeError));
+        }
+      }
+    }
+
+    toInsert.forEach(({ result, doc }, index) => {
+      if (!failedIndexes.has(index)) {
+        settle(result, 'invited', { invitationId: doc._id });
+      } else if (failedIndexes.get(index) === 11000) {
+        settle(result, 'skipped', { reason: 'Invitation already exists for this guest' });
+      } else {
+        settle(result, 'failed', { reason: 'Could not create invitation' });
+      }
+    });
+
+    const summary = { total: results.length, invited: 0, skipped: 0, failed: 0 };
+    results.forEach(result => { summary[result.status] += 1; });
+    summary.placeholdersCreated = results.filter(result => result.placeholder).length;
+
+    res.status(summary.invited > 0 ? 201 : 200).json({
+      success: true,
+      message: `${summary.invited} invitation(s) created`,
+      summary,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Bulk create invitations error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invitations'
+    });
+  }
+};
+
 module.exports = {
   createInvitation,
+  bulkCreateInvitations,
   getInvitations,
   getInvitation,
   updateInvitation,
   deleteInvitation,
+  sendInvitation,
+  getRsvpLink,
+  rotateRsvpLink,
+  revokeRsvpLink,
   getMyInvitations
 };
\ No newline at end of file
@@ -1,12 +1,225 @@
+const mongoose = require('mongoose');
 const RSVP = require('../models/RSVP');
 const Invitation = require('../models/Invitation');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+const { isDateOnly, isOccurrence, toDateKey } = require('../utils/recurrence');
+const { streamRows } = require('../utils/csv');
+const { verifyRsvpToken } = require('../utils/rsvpToken');
+const { todayInTimeZone } = require('../utils/timezone');
+const { getRsvpWindow, getDeadlineError } = require('../utils/rsvpDeadline');
+const { validateAnswers, isChoice } = require('../utils/questionnaire');
+const { toSvg, toPng } = require('../utils/qrcode');
+
+const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+
+// Which occurrence an answer is for: fixed by a per-occurrence invitation,
+// otherwise the whole series unless the guest picks one occurrence
+const resolveTargetOccurrence = (invitation, event, occurrenceDate) => {
+  const fixed = invitation.occurrenceDate || null;
+  if (occurrenceDate === undefined || occurrenceDate === null) return { occurrence: fixed };
+
+  if (!isDateOnly(occurrenceDate) || !event.recurrence || !isOccurrence(event, occurrenceDate)) {
+    return { error: `${occurrenceDate} is not an occurrence of this event` };
+  }
+
+  if (fixed && fixed.getTime() !== new Date(occurrenceDate).getTime()) {
+    return { error: 'This invitation is for a different occurrence' };
+  }
+
+  return { occurrence: new Date(occurrenceDate) };
+};
+
+// Field errors for a companions list from the request body
+const getCompanionErrors = (companions) => {
+  if (!Array.isArray(companions)) return ['companions must be a list'];
+
+  const errors = [];
+  companions.forEach((companion, index) => {
+    const label = `companions[${index}]`;
+    if (!companion || typeof companion !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const { name, ageGroup, dietaryRestrictions, accessibilityNeeds } = companion;
+    if (typeof name !== 'string' || !name.trim() || name.length > 100)
+      errors.push(`${label}.name is required (at most 100 characters)`);
+    if (ageGroup !== undefined && !RSVP.AGE_GROUPS.includes(ageGroup))
+      errors.push(`${label}.ageGroup must be one of: ${RSVP.AGE_GROUPS.join(', ')}`);
+    if (dietaryRestrictions !== undefined && (!Array.isArray(dietaryRestrictions) ||
+        !dietaryRestrictions.every(item => typeof item === 'string' && item.length <= 100)))
+      errors.push(`${label}.dietaryRestrictions must be a list of short texts`);
+    if (accessibilityNeeds !== undefined && (typeof accessibilityNeeds !== 'string' || accessibilityNeeds.length > 300))
+      errors.push(`${label}.accessibilityNeeds must be text of at most 300 characters`);
+  });
+
+  return errors;
+};
+
+// Works out the party an answer brings: guestsCount counts the guest plus
+// everyone they bring, and listing companions without a count sets it. The
+// invitation's plusOnes caps the party when it grows; a party already over a
+// lowered allowance may stay the same size. Returns { guestsCount, companions }
+// or { error }.
+const resolveParty = ({ invitation, rsvp, guestsCount, companions }) => {
+  if (companions !== undefined) {
+    const errors = getCompanionErrors(companions);
+    if (errors.length > 0) return { error: errors.join(', ') };
+  }
+
+  const nextCompanions = companions !== undefined ? companions : rsvp?.companions || [];
+  const nextGuestsCount = guestsCount !== undefined
+    ? guestsCount
+    : companions !== undefined ? companions.length + 1 : rsvp?.guestsCount || 1;
+
+  if (!Number.isInteger(nextGuestsCount) || nextGuestsCount < 1 || nextGuestsCount > RSVP.MAX_PARTY_SIZE) {
+    return { error: `Number of guests must be between 1 and ${RSVP.MAX_PARTY_SIZE}` };
+  }
+
+  if (nextCompanions.length > nextGuestsCount - 1) {
+    return { error: `A party of ${nextGuestsCount} can list at most ${nextGuestsCount - 1} companion(s)` };
+  }
+
+  const allowance = invitation?.plusOnes;
+  if (allowance !== null && allowance !== undefined &&
+      nextGuestsCount - 1 > allowance && nextGuestsCount > (rsvp?.guestsCount || 1)) {
+    return { error: `This invitation allows ${allowance} plus-one(s)` };
+  }
+
+  return { guestsCount: nextGuestsCount, companions: nextCompanions };
+};
+
+// Checks questionnaire answers for the answer being recorded; required
+// questions only bind guests who are going. Returns { answers } or { error }.
+const resolveAnswers = ({ event, rsvp, status, answers }) => {
+  const result = validateAnswers(event.questions || [], answers, {
+    existing: rsvp?.answers || [],
+    requireAll: (status || rsvp?.status) === 'going'
+  });
+
+  return result.errors ? { error: result.errors.join(', ') } : result;
+};
+
+// Creates a new answer (from the invitation) or changes an existing rsvp,
+// applying the capacity and waitlist rules and mirroring the answer onto the
+// invitation status. Shared by the logged-in and RSVP-link routes.
+// Returns { rsvp } or { error: { status, message } }.
+const recordResponse = async ({ invitation, event, rsvp, occurrenceDate, status, guestsCount, companions, answers, notes }) => {
+  if (!rsvp) {
+    const validatedGuestsCount = guestsCount || 1;
+
+    // The seat count, the answer and the invitation status it implies are
+    // decided in one transaction, serialized per event by lockSeats
+    const created = await mongoose.connection.transaction(async (session) => {
+      await RSVP.lockSeats(event._id, session);
+
+      // Capacity check: overflowing 'going' responses join the waitlist, companions included
+      let waitlisted = false;
+      if (status === 'going') {
+        const seatsTaken = await RSVP.countConfirmedGuests(event._id, null, occurrenceDate, session);
+        waitlisted = seatsTaken + validatedGuestsCount > event.capacity;
+      }
+
+      const [rsvp] = await RSVP.create([{
+        invitationId: invitation._id,
+        userId: invitation.guestId,
+        eventId: invitation.eventId,
+        occurrenceDate,
+        status,
+        guestsCount: validatedGuestsCount,
+        companions: companions || [],
+        answers: answers || [],
+        waitlisted,
+        waitlistedAt: waitlisted ? new Date() : undefined,
+        notes: notes || '',
+        respondedAt: new Date()
+      }], { session });
+
+      await Invitation.syncWithRsvp(rsvp, session);
+      return rsvp;
+    });
+
+    return { rsvp: created };
+  }
+
+  const wasConfirmed = rsvp.status === 'going' && !rsvp.waitlisted;
+  const nextStatus = status || rsvp.status;
+  const nextGuestsCount = guestsCount || rsvp.guestsCount;
+
+  // Guests already through the door keep their seats. A series answer only
+  // keeps them for today's and later occurrences; earlier ones are over.
+  const admitted = event.recurrence && event.recurrence.frequency && !rsvp.occurrenceDate
+    ? rsvp.checkedInSince(todayInTimeZone(event.timezone))
+    : rsvp.checkedInCount;
+  if (admitted > 0 && (nextStatus !== 'going' || nextGuestsCount < admitted)) {
+    return {
+      error: {
+        status: 409,
+        message: `${admitted} guest(s) on this RSVP have already checked in`
+      }
+    };
+  }
+
+  const result = await mongoose.connection.transaction(async (session) => {
+    await RSVP.lockSeats(event._id, session);
+
+    const updates = { status, guestsCount, companions, answers, notes, respondedAt: new Date() };
+    if (nextStatus === 'going') {
+      const seatsTaken = await RSVP.countConfirmedGuests(event._id, rsvp._id, rsvp.occurrenceDate, session);
+      const fits = seatsTaken + nextGuestsCount <= event.capacity;
+
+      if (wasConfirmed && !fits) {
+        // Don't silently bump a confirmed guest onto the waitlist for growing their party
+        return {
+          error: {
+            status: 409,
+            message: `Only ${Math.max(event.capacity - seatsTaken, 0)} seat(s) left for this event`
+          }
+        };
+      }
+
+      if (!wasConfirmed && !rsvp.waitlisted) {
+        updates.waitlisted = !fits;
+        updates.waitlistedAt = fits ? undefined : new Date();
+      }
+
+      const confirmed = wasConfirmed || (!rsvp.waitlisted && fits);
+      if (confirmed && !rsvp.ticketCode) updates.ticketCode = RSVP.generateTicketCode();
+    } else {
+      updates.waitlisted = false;
+      updates.$unset = { waitlistedAt: 1 };
+    }
+
+    const changed = await RSVP.findByIdAndUpdate(
+      rsvp._id,
+      updates,
+      { new: true, runValidators: true, session }
+    );
+
+    await Invitation.syncWithRsvp(changed, session);
+    return { rsvp: changed };
+  });
+
+  if (result.error) return result;
+  let updated = result.rsvp;
+
+  // Leaving 'going' or shrinking a party may free seats for the waitlist
+  if (wasConfirmed || updated.waitlisted) {
+    await RSVP.promoteWaitlist(event, updated.occurrenceDate);
+    updated = await RSVP.findById(updated._id);
+  }
+
+  return { rsvp: updated };
+};
 
 // @desc    Create RSVP response
 // @route   POST /api/rsvps
 // @access  Private
 const createRSVP = async (req, res) => {
   try {
-    const { invitationId, status, guestsCount, notes } = req.body;
+    const { invitationId, status, guestsCount, companions, answers, notes, occurrenceDate } = req.body;
     const userId = req.user._id;
 
     // Validation
@@ -17,7 +230,7 @@ const createRSVP = async (req, res) => {
       });
     }
 
-    if (!status || !['going', 'maybe', 'not_going'].includes(status)) {
+    if (!status || !RSVP_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Valid RSVP status (going, maybe, not_going) is required'
@@ -41,38 +254,83 @@ const createRSVP = async (req, res) => {
       });
     }
 
-    // Check if RSVP already exists
-    const existingRSVP = await RSVP.findOne({ invitationId });
-    if (existingRSVP) {
+    // Validate the party against the invitation's plus-one allowance
+    const party = resolveParty({ invitation, rsvp: null, guestsCount: guestsCount || undefined, companions });
+    if (party.error) {
       return res.status(400).json({
         success: false,
-        message: 'RSVP already submitted for this invitation'
+        message: party.error
       });
     }
 
-    // Validate guestsCount
-    const validatedGuestsCount = guestsCount || 1;
-    if (validatedGuestsCount < 1 || validatedGuestsCount > 20) {
+    const event = await Event.findById(invitation.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot RSVP to a ${event.status} event`
+      });
+    }
+
+    const deadlineError = getDeadlineError(event, invitation);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        message: deadlineError
+      });
+    }
+
+    const target = resolveTargetOccurrence(invitation, event, occurrenceDate);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const questionnaire = resolveAnswers({ event, rsvp: null, status, answers });
+    if (questionnaire.error) {
       return res.status(400).json({
         success: false,
-        message: 'Number of guests must be between 1 and 20'
+        message: questionnaire.error
       });
     }
 
-    // Create RSVP
-    const rsvp = await RSVP.create({
-      invitationId,
-      userId,
-      eventId: invitation.eventId,
+    // Check if RSVP already exists
+    const existingRSVP = await RSVP.findOne({ invitationId, occurrenceDate: target.occurrence });
+    if (existingRSVP) {
+      return res.status(400).json({
+        success: false,
+        message: 'RSVP already submitted for this invitation'
+      });
+    }
+
+    const { rsvp } = await recordResponse({
+      invitation,
+      event,
+      rsvp: null,
+      occurrenceDate: target.occurrence,
       status,
-      guestsCount: validatedGuestsCount,
-      notes: notes || '',
-      respondedAt: new Date()
+      guestsCount: party.guestsCount,
+      companions: party.companions,
+      answers: questionnaire.answers,
+      notes
     });
 
+    const waitlistPosition = await RSVP.getWaitlistPosition(rsvp);
+
     res.status(201).json({
       success: true,
-      message: 'RSVP submitted successfully',
+      message: rsvp.waitlisted
+        ? 'Event is at capacity – you have been added to the waitlist'
+        : 'RSVP submitted successfully',
+      waitlistPosition,
       data: rsvp
     });
 
@@ -101,12 +359,29 @@ const createRSVP = async (req, res) => {
   }
 };
 
-// @desc    Get all RSVPs
+// @desc    Get RSVPs for events the user organizes (admins see all)
 // @route   GET /api/rsvps
 // @access  Private
 const getRSVPs = async (req, res) => {
   try {
-    const rsvps = await RSVP.find()
+    const filter = {};
+
+    if (req.user.role !== ROLES.ADMIN) {
+      const organizedEventIds = await Event.find({ organizerId: req.user._id }).distinct('_id');
+      filter.eventId = { $in: organizedEventIds };
+    }
+
+    if (req.query.status) {
+      if (!RSVP_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be going, maybe or not_going'
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const rsvps = await RSVP.find(filter)
       .populate('invitationId', 'message status')
       .populate('userId', 'name email')
       .populate('eventId', 'title date location')
@@ -135,7 +410,7 @@ const getRSVP = async (req, res) => {
     const rsvp = await RSVP.findById(req.params.id)
       .populate('invitationId', 'message status')
       .populate('userId', 'name email')
-      .populate('eventId', 'title date location');
+      .populate('eventId', 'title date location organizerId');
     
     if (!rsvp) {
       return res.status(404).json({
@@ -143,6 +418,18 @@ const getRSVP = async (req, res) => {
         message: 'RSVP not found'
       });
     }
+
+    // Authorization: Only the responding guest, the event organizer or an admin can view
+    const userId = req.user._id.toString();
+    const isGuest = rsvp.userId?._id.toString() === userId;
+    const isOrganizer = rsvp.eventId?.organizerId?.toString() === userId;
+
+    if (!isGuest && !isOrganizer && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this RSVP'
+      });
+    }
     
     res.json({
       success: true,
@@ -166,12 +453,79 @@ const getRSVP = async (req, res) => {
   }
 };
 
+const TICKET_FORMATS = ['svg', 'png'];
+
+// Writes the ticket's QR code image; it encodes just the ticket code
+const sendTicket = async (res, rsvp, format = 'svg') => {
+  const image = format === 'png' ? await toPng(rsvp.ticketCode) : await toSvg(rsvp.ticketCode);
+  res.set('Cache-Control', 'private, no-store').type(format).send(image);
+};
+
+// @desc    Get the QR code ticket of a confirmed RSVP (?format=svg|png)
+// @route   GET /api/rsvps/:id/ticket
+// @access  Private
+const getRSVPTicket = async (req, res) => {
+  try {
+    const { format = 'svg' } = req.query;
+    if (!TICKET_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${TICKET_FORMATS.join(', ')}`
+      });
+    }
+
+    const rsvp = await RSVP.findById(req.params.id).populate('eventId', 'organizerId');
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RSVP not found'
+      });
+    }
+
+    // Same audience as GET /api/rsvps/:id
+    const userId = req.user._id.toString();
+    const isGuest = rsvp.userId.toString() === userId;
+    const isOrganizer = rsvp.eventId?.organizerId?.toString() === userId;
+
+    if (!isGuest && !isOrganizer && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this ticket'
+      });
+    }
+
+    if (!rsvp.hasValidTicket()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tickets are only issued to confirmed guests who are going'
+      });
+    }
+
+    await sendTicket(res, rsvp, format);
+
+  } catch (error) {
+    console.error('Get ticket error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid RSVP ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ticket'
+    });
+  }
+};
+
 // @desc    Update RSVP
 // @route   PUT /api/rsvps/:id
 // @access  Private
 const updateRSVP = async (req, res) => {
   try {
-    const { status, guestsCount, notes } = req.body;
+    const { status, guestsCount, companions, answers, notes } = req.body;
     
     let rsvp = await RSVP.findById(req.params.id);
     
@@ -189,17 +543,62 @@ const updateRSVP = async (req, res) => {
         message: 'Not authorized to update this RSVP'
       });
     }
-    
-    // Update RSVP
-    rsvp = await RSVP.findByIdAndUpdate(
-      req.params.id,
-      { status, guestsCount, notes, respondedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+
+    if (status !== undefined && !RSVP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid RSVP status (going, maybe, not_going) is required'
+      });
+    }
+
+    const event = await Event.findById(rsvp.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const invitation = await Invitation.findById(rsvp.invitationId);
+    const deadlineError = getDeadlineError(event, invitation);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        message: deadlineError
+      });
+    }
+
+    const party = resolveParty({ invitation, rsvp, guestsCount, companions });
+    if (party.error) {
+      return res.status(400).json({
+        success: false,
+        message: party.error
+      });
+    }
+
+    const questionnaire = resolveAnswers({ event, rsvp, status, answers });
+    if (questionnaire.error) {
+      return res.status(400).json({
+        success: false,
+        message: questionnaire.error
+      });
+    }
+
+    const result = await recordResponse({ event, rsvp, status, ...party, answers: questionnaire.answers, notes });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+    rsvp = result.rsvp;
+
+    const waitlistPosition = await RSVP.getWaitlistPosition(rsvp);
     
     res.json({
       success: true,
       message: 'RSVP updated successfully',
+      waitlistPosition,
       data: rsvp
     });
     
@@ -241,8 +640,24 @@ const deleteRSVP = async (req, res) => {
         message: 'Not authorized to delete this RSVP'
       });
     }
+
+    if (rsvp.checkedInCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${rsvp.checkedInCount} guest(s) on this RSVP have already checked in`
+      });
+    }
     
-    await RSVP.findByIdAndDelete(req.params.id);
+    await mongoose.connection.transaction(async (session) => {
+      await RSVP.deleteOne({ _id: rsvp._id }, { session });
+      await Invitation.clearRsvp(rsvp, session);
+    });
+
+    // A confirmed guest leaving frees seats for the waitlist
+    if (rsvp.status === 'going' && !rsvp.waitlisted) {
+      const event = await Event.findById(rsvp.eventId);
+      if (event) await RSVP.promoteWaitlist(event, rsvp.occurrenceDate);
+    }
     
     res.json({
       success: true,
@@ -275,11 +690,19 @@ const getMyRSVPs = async (req, res) => {
       .populate('invitationId', 'message status')
       .populate('eventId', 'title date location')
       .sort({ respondedAt: -1 });
+
+    const data = await Promise.all(rsvps.map(async (rsvp) => ({
+      ...rsvp.toObject(),
+      // getWaitlistPosition needs the raw eventId, not the populated event
+      waitlistPosition: rsvp.eventId
+        ? await RSVP.getWaitlistPosition({ ...rsvp.toObject(), eventId: rsvp.eventId._id })
+        : null
+    })));
     
     res.json({
       success: true,
-      count: rsvps.length,
-      data: rsvps
+      count: data.length,
+      data
     });
     
   } catch (error) {
@@ -291,11 +714,665 @@ const getMyRSVPs = async (req, res) => {
   }
 };
 
+// @desc    Get RSVPs for a single event
+// @route   GET /api/events/:id/rsvps
+// @access  Private (Organizer only)
+const getEventRSVPs = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizerId.toString() !== req.user._id.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view RSVPs for this event'
+      });
+    }
+
+    const filter = { eventId: event._id };
+    if (req.query.status) {
+      if (!RSVP_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be going, maybe or not_going'
+        });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.occurrenceDate) {
+      if (!isDateOnly(req.query.occurrenceDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Occurrence date must be in YYYY-MM-DD format'
+        });
+      }
+      // Series-wide answers apply to every occurrence
+      filter.occurrenceDate = { $in: [null, new Date(req.query.occurrenceDate)] };
+    }
+
+    const rsvps = await RSVP.find(filter)
+      .populate('invitationId', 'message status')
+      .populate('userId', 'name email')
+      .populate('eventId', 'title date location')
+      .sort({ respondedAt: -1 });
+
+    const stats = { going: 0, maybe: 0, not_going: 0, waitlisted: 0, totalGuests: 0, plusOnes: 0 };
+    rsvps.forEach(rsvp => {
+      stats[rsvp.status] += 1;
+      if (rsvp.waitlisted) stats.waitlisted += 1;
+      else if (rsvp.status === 'going') {
+        stats.totalGuests += rsvp.guestsCount || 1;
+        stats.plusOnes += (rsvp.guestsCount || 1) - 1;
+      }
+    });
+    stats.capacity = event.capacity;
+    stats.seatsLeft = Math.max(event.capacity - stats.totalGuests, 0);
+
+    res.json({
+      success: true,
+      count: rsvps.length,
+      stats,
+      data: rsvps
+    });
+
+  } catch (error) {
+    console.error('Get event RSVPs error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching event RSVPs'
+    });
+  }
+};
+
+const MAX_TEXT_RESPONSES = 50;
+
+// One question's summary from the grouped { value, count } pairs
+const summarizeQuestion = (question, answered, values) => {
+  const summary = {
+    questionId: question._id,
+    label: question.label,
+    type: question.type,
+    required: question.required,
+    answered
+  };
+
+  if (isChoice(question.type)) {
+    // Every current option, then choices that were removed after guests picked them
+    const counts = new Map(question.options.map(option => [option, 0]));
+    values.forEach(({ value, count }) => counts.set(value, (counts.get(value) || 0) + count));
+    summary.options = [...counts].map(([option, count]) => ({
+      option,
+      count,
+      ...(!question.options.includes(option) && { removed: true })
+    }));
+  } else if (question.type === 'number') {
+    const total = values.reduce((sum, { value, count }) => sum + value * count, 0);
+    summary.min = values.length > 0 ? Math.min(...values.map(({ value }) => value)) : null;
+    summary.max = values.length > 0 ? Math.max(...values.map(({ value }) => value)) : null;
+    summary.average = answered > 0 ? Math.round((total / answered) * 100) / 100 : null;
+  } else {
+    summary.responses = values.slice(0, MAX_TEXT_RESPONSES).map(({ value, count }) => ({ value, count }));
+    summary.truncated = values.length > MAX_TEXT_RESPONSES;
+  }
+
+  return summary;
+};
+
+// @desc    Aggregate questionnaire answers for an event (counts per option)
+// @route   GET /api/events/:id/rsvps/answers
+// @access  Private (Organizer only)
+const getEventAnswers = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizerId.toString() !== req.user._id.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view answers for this event'
+      });
+    }
+
+    const match = { eventId: event._id };
+    if (req.query.status) {
+      if (!RSVP_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be going, maybe or not_going'
+        });
+      }
+      match.status = req.query.status;
+    }
+
+    // Multi-choice answers unwind into one value per choice
+    const [result] = await RSVP.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          answered: [
+            { $unwind: '$answers' },
+            { $group: { _id: '$answers.questionId', count: { $sum: 1 } } }
+          ],
+          values: [
+            { $unwind: '$answers' },
+            { $unwind: '$answers.value' },
+            { $group: { _id: { questionId: '$answers.questionId', value: '$answers.value' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, '_id.value': 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const answered = new Map(result.answered.map(({ _id, count }) => [_id.toString(), count]));
+    const values = new Map();
+    for (const { _id, count } of result.values) {
+      const key = _id.questionId.toString();
+      if (!values.has(key)) values.set(key, []);
+      values.get(key).push({ value: _id.value, count });
+    }
+
+    res.json({
+      success: true,
+      count: result.total[0]?.count || 0,
+      data: event.questions.map(question => {
+        const key = question._id.toString();
+        return summarizeQuestion(question, answered.get(key) || 0, values.get(key) || []);
+      })
+    });
+
+  } catch (error) {
+    console.error('Get event answers error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching answers'
+    });
+  }
+};
+
+// @desc    Get the ordered waitlist for an event
+// @route   GET /api/events/:id/waitlist
+// @access  Private (Organizer only)
+const getEventWaitlist = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizerId.toString() !== req.user._id.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the waitlist for this event'
+      });
+    }
+
+    // Recurring events keep one waitlist per occurrence; default to the series waitlist
+    const { occurrenceDate } = req.query;
+    if (occurrenceDate !== undefined && (!isDateOnly(occurrenceDate) || !isOccurrence(event, occurrenceDate))) {
+      return res.status(400).json({
+        success: false,
+        message: `${occurrenceDate} is not an occurrence of this event`
+      });
+    }
+    const slot = occurrenceDate ? new Date(occurrenceDate) : null;
+
+    const waitlist = await RSVP.find({ eventId: event._id, occurrenceDate: slot, waitlisted: true })
+      .populate('userId', 'name email')
+      .sort({ waitlistedAt: 1 });
+
+    const seatsTaken = await RSVP.countConfirmedGuests(event._id, null, slot);
+
+    res.json({
+      success: true,
+      occurrenceDate: occurrenceDate || null,
+      count: waitlist.length,
+      capacity: event.capacity,
+      seatsLeft: Math.max(event.capacity - seatsTaken, 0),
+      data: waitlist.map((rsvp, index) => ({
+        position: index + 1,
+        ...rsvp.toObject()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get event waitlist error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching event waitlist'
+    });
+  }
+};
+
+// An occurrence RSVP narrows a series invitation to one date
+const exportOccurrenceDate = (row) => {
+  const date = row.rsvp?.occurrenceDate || row.occurrenceDate;
+  return date ? toDateKey(date) : null;
+};
+
+// "Ana Ruiz (child; vegetarian, no nuts; wheelchair access) | Tom Ruiz (adult)"
+const formatCompanions = (companions) => {
+  if (!companions || companions.length === 0) return null;
+
+  return companions.map(companion => {
+    const details = [
+      companion.ageGroup || 'adult',
+      companion.dietaryRestrictions?.length ? companion.dietaryRestrictions.join(', ') : null,
+      companion.accessibilityNeeds || null
+    ].filter(Boolean);
+    return `${companion.name} (${details.join('; ')})`;
+  }).join(' | ');
+};
+
+const GUEST_EXPORT_COLUMNS = [
+  { header: 'guestName', value: row => row.guest?.name },
+  { header: 'guestEmail', value: row => row.guest?.email },
+  { header: 'occurrenceDate', value: exportOccurrenceDate },
+  { header: 'invitationStatus', value: row => row.status },
+  { header: 'sentAt', value: row => row.sentAt },
+  { header: 'rsvpStatus', value: row => row.rsvp?.status },
+  { header: 'waitlisted', value: row => (row.rsvp ? row.rsvp.waitlisted : null) },
+  { header: 'guestsCount', value: row => row.rsvp?.guestsCount },
+  { header: 'companions', value: row => formatCompanions(row.rsvp?.companions) },
+  { header: 'notes', value: row => row.rsvp?.notes },
+  { header: 'respondedAt', value: row => row.rsvp?.respondedAt }
+];
+
+// @desc    Export an event's guest list with RSVP answers (CSV or JSON Lines)
+// @route   GET /api/events/:id/guests.csv
+// @access  Private (Organizer only)
+const exportEventGuests = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or jsonl'
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizerId.toString() !== req.user._id.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export guests for this event'
+      });
+    }
+
+    // One row per RSVP, or per invitation that has no answer yet; read through a cursor so
+    // the list is streamed rather than loaded into memory
+    const rows = Invitation.aggregate([
+      { $match: { eventId: event._id } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'guestId',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, email: 1 } }],
+          as: 'guest'
+        }
+      },
+      { $unwind: { path: '$guest', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: RSVP.collection.name,
+          localField: '_id',
+          foreignField: 'invitationId',
+          pipeline: [{ $sort: { occurrenceDate: 1 } }],
+          as: 'rsvp'
+        }
+      },
+      { $unwind: { path: '$rsvp', preserveNullAndEmptyArrays: true } }
+    ]).cursor({ batchSize: 500 });
+
+    const filename = `event-${event._id}-guests.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    await streamRows(res, rows, GUEST_EXPORT_COLUMNS, { format });
+
+  } catch (error) {
+    console.error('Export event guests error:', error);
+
+    // Headers are gone once streaming has started; all we can do is cut the response short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting guests'
+    });
+  }
+};
+
+// Resolves an RSVP link to its invitation and event, or { error: { status, message } }
+const loadTokenInvitation = async (token) => {
+  let claims;
+  try {
+    claims = verifyRsvpToken(token);
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? { status: 410, message: 'This RSVP link has expired' }
+        : { status: 401, message: 'Invalid RSVP link' }
+    };
+  }
+
+  const invitation = await Invitation.findById(claims.invitationId);
+  if (!invitation) {
+    return { error: { status: 404, message: 'Invitation not found' } };
+  }
+
+  if (invitation.rsvpTokenRevokedAt || claims.version !== (invitation.rsvpTokenVersion || 0)) {
+    return { error: { status: 410, message: 'This RSVP link is no longer valid' } };
+  }
+
+  const event = await Event.findById(invitation.eventId);
+  if (!event) {
+    return { error: { status: 404, message: 'Event not found' } };
+  }
+
+  return { invitation, event };
+};
+
+// @desc    Show the invitation behind an RSVP link with the guest's current answers
+// @route   GET /api/rsvp/:token
+// @access  Public (RSVP link)
+const getRSVPByToken = async (req, res) => {
+  try {
+    const { invitation, event, error } = await loadTokenInvitation(req.params.token);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const [guest, organizer, responses] = await Promise.all([
+      User.findById(invitation.guestId).select('name'),
+      User.findById(invitation.organizerId).select('name'),
+      RSVP.find({ invitationId: invitation._id })
+        .select('occurrenceDate status guestsCount companions answers notes waitlisted ticketCode checkedInCount checkedInCounts respondedAt')
+        .sort({ occurrenceDate: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          _id: invitation._id,
+          message: invitation.message,
+          status: invitation.status,
+          occurrenceDate: invitation.occurrenceDate,
+          plusOnes: invitation.plusOnes
+        },
+        guest: { name: guest?.name },
+        organizer: { name: organizer?.name },
+        event: {
+          title: event.title,
+          description: event.description,
+          date: event.date,
+          time: event.time,
+          timezone: event.timezone,
+          startsAt: event.startsAt,
+          endsAt: event.endsAt,
+          location: event.location,
+          status: event.status,
+          recurrence: event.recurrence,
+          questions: event.questions
+        },
+        rsvpWindow: getRsvpWindow(event, invitation),
+        responses
+      }
+    });
+
+  } catch (error) {
+    console.error('Get RSVP link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invitation'
+    });
+  }
+};
+
+// @desc    Answer an invitation through its RSVP link (creates or changes the answer)
+// @route   POST /api/rsvp/:token
+// @access  Public (RSVP link)
+const respondByToken = async (req, res) => {
+  try {
+    const { status, guestsCount, companions, answers, notes, occurrenceDate } = req.body;
+
+    if (!status || !RSVP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid RSVP status (going, maybe, not_going) is required'
+      });
+    }
+
+    const { invitation, event, error } = await loadTokenInvitation(req.params.token);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot RSVP to a ${event.status} event`
+      });
+    }
+
+    const deadlineError = getDeadlineError(event, invitation);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        message: deadlineError
+      });
+    }
+
+    const target = resolveTargetOccurrence(invitation, event, occurrenceDate);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    // The link is the guest's only handle, so answering again changes the answer
+    const existing = await RSVP.findOne({ invitationId: invitation._id, occurrenceDate: target.occurrence });
+    const party = resolveParty({ invitation, rsvp: existing, guestsCount, companions });
+    if (party.error) {
+      return res.status(400).json({
+        success: false,
+        message: party.error
+      });
+    }
+
+    const questionnaire = resolveAnswers({ event, rsvp: existing, status, answers });
+    if (questionnaire.error) {
+      return res.status(400).json({
+        success: false,
+        message: questionnaire.error
+      });
+    }
+
+    const result = await recordResponse({
+      invitation,
+      event,
+      rsvp: existing,
+      occurrenceDate: target.occurrence,
+      status,
+      ...party,
+      answers: questionnaire.answers,
+      notes
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    const { rsvp } = result;
+    const waitlistPosition = await RSVP.getWaitlistPosition(rsvp);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: rsvp.waitlisted
+        ? 'Event is at capacity – you have been added to the waitlist'
+        : existing ? 'RSVP updated successfully' : 'RSVP submitted successfully',
+      waitlistPosition,
+      data: rsvp
+    });
+
+  } catch (error) {
+    console.error('RSVP link response error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'RSVP was submitted at the same time from another request'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting RSVP'
+    });
+  }
+};
+
+// @desc    Get the QR code ticket behind an RSVP link (?occurrenceDate, ?format=svg|png)
+// @route   GET /api/rsvp/:token/ticket
+// @access  Public (RSVP link)
+const getTicketByToken = async (req, res) => {
+  try {
+    const { occurrenceDate, format = 'svg' } = req.query;
+    if (!TICKET_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${TICKET_FORMATS.join(', ')}`
+      });
+    }
+
+    const { invitation, event, error } = await loadTokenInvitation(req.params.token);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const target = resolveTargetOccurrence(invitation, event, occurrenceDate);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const rsvp = await RSVP.findOne({ invitationId: invitation._id, occurrenceDate: target.occurrence });
+    if (!rsvp || !rsvp.hasValidTicket()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tickets are only issued to confirmed guests who are going'
+      });
+    }
+
+    await sendTicket(res, rsvp, format);
+
+  } catch (error) {
+    console.error('RSVP link ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ticket'
+    });
+  }
+};
+
 module.exports = {
   createRSVP,
   getRSVPs,
   getRSVP,
+  getRSVPTicket,
   updateRSVP,
   deleteRSVP,
-  getMyRSVPs
+  getMyRSVPs,
+  getEventRSVPs,
+  getEventAnswers,
+  getEventWaitlist,
+  exportEventGuests,
+  getRSVPByToken,
+  respondByToken,
+  getTicketByToken
 };
\ No newline at end of file
@@ -1,7 +1,24 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const {
+  ROLES,
+  ROLE_VALUES,
+  DEFAULT_ROLE,
+  SELF_ASSIGNABLE_ROLES,
+  isValidRole
+} = require('../config/roles');
+const { isValidTimeZone } = require('../utils/timezone');
+const { buildCalendar } = require('../utils/ical');
+const { isDateOnly, toDateKey } = require('../utils/recurrence');
+const { streamRows } = require('../utils/csv');
+const { verifyRsvpToken } = require('../utils/rsvpToken');
 
 /* -----------------------------------------------------
    JWT GENERATOR
@@ -14,7 +31,7 @@ const generateToken = (id) => {
    VALIDATION: USER CREATION
 ----------------------------------------------------- */
 const validateUserCreation = (req, res, next) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, role, claimToken } = req.body;
   const errors = [];
 
   if (!name || name.trim().length < 2) errors.push('Name must be at least 2 characters long');
@@ -26,8 +43,10 @@ const validateUserCreation = (req, res, next) => {
   if (!password || password.length < 6) errors.push('Password must be at least 6 characters long');
   if (password && password.length > 128) errors.push('Password cannot exceed 128 characters');
 
-  if (role && !['guest', 'organizer', 'admin'].includes(role))
-    errors.push('Role must be guest, organizer, or admin');
+  if (role && !SELF_ASSIGNABLE_ROLES.includes(role))
+    errors.push(`Role must be ${SELF_ASSIGNABLE_ROLES.join(' or ')}`);
+
+  if (claimToken !== undefined && typeof claimToken !== 'string') errors.push('claimToken must be a string');
 
   if (errors.length > 0) {
     return res.status(400).json({ success: false, message: 'Validation failed', errors });
@@ -36,11 +55,32 @@ const validateUserCreation = (req, res, next) => {
   next();
 };
 
+/* -----------------------------------------------------
+   PLACEHOLDER CLAIMS
+----------------------------------------------------- */
+// Only someone holding a live RSVP link from one of the placeholder's invitations has read that inbox
+const canClaimPlaceholder = async (placeholder, claimToken) => {
+  if (!claimToken) return false;
+
+  let claims;
+  try {
+    claims = verifyRsvpToken(claimToken);
+  } catch (error) {
+    return false;
+  }
+
+  const invitation = await Invitation.findById(claims.invitationId);
+  return Boolean(invitation &&
+    invitation.guestId.equals(placeholder._id) &&
+    !invitation.rsvpTokenRevokedAt &&
+    claims.version === (invitation.rsvpTokenVersion || 0));
+};
+
 /* -----------------------------------------------------
    VALIDATION: USER UPDATE
 ----------------------------------------------------- */
 const validateUserUpdate = (req, res, next) => {
-  const { name, email, role } = req.body;
+  const { name, email, role, timezone } = req.body;
   const errors = [];
 
   if (name !== undefined) {
@@ -53,8 +93,11 @@ const validateUserUpdate = (req, res, next) => {
     if (email.length > 100) errors.push('Email cannot exceed 100 characters');
   }
 
-  if (role !== undefined && !['guest', 'organizer', 'admin'].includes(role))
-    errors.push('Role must be guest, organizer, or admin');
+  if (role !== undefined && !isValidRole(role))
+    errors.push(`Role must be one of: ${ROLE_VALUES.join(', ')}`);
+
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone))
+    errors.push('Timezone must be a valid IANA timezone (e.g. Europe/London)');
 
   if (errors.length > 0) {
     return res.status(400).json({ success: false, message: 'Validation failed', errors });
@@ -70,11 +113,11 @@ const registerUser = async (req, res) => {
   console.log('🔍 Registration started:', req.body);
 
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, claimToken } = req.body;
 
-    // Check for duplicate email
+    // Check for duplicate email (placeholder guests from bulk invitations can be claimed)
     const userExists = await User.findOne({ email });
-    if (userExists) {
+    if (userExists && !userExists.isPlaceholder) {
       console.log('❌ Registration failed: Email already exists');
       return res.status(400).json({
         success: false,
@@ -82,17 +125,29 @@ const registerUser = async (req, res) => {
       });
     }
 
+    if (userExists && !(await canClaimPlaceholder(userExists, claimToken))) {
+      console.log('❌ Registration failed: Placeholder claim without a valid invitation link');
+      return res.status(403).json({
+        success: false,
+        message: 'This email has a pending invitation; register from the link in the invitation email',
+      });
+    }
+
     // Password hashing
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create user
-    const user = await User.create({
+    // Create user, or claim the placeholder so existing invitations carry over.
+    // A claimed placeholder stays a guest; other roles need a fresh account.
+    const fields = {
       name,
       email,
       password: hashedPassword,
-      role: role || 'guest',
-    });
+      role: userExists ? DEFAULT_ROLE : role || DEFAULT_ROLE,
+    };
+    const user = userExists
+      ? await userExists.set({ ...fields, isPlaceholder: false }).save()
+      : await User.create(fields);
 
     console.log('✅ User created:', user._id);
 
@@ -205,14 +260,14 @@ const getUser = async (req, res) => {
 ----------------------------------------------------- */
 const updateUser = async (req, res) => {
   try {
-    const { name, email, role } = req.body;
+    const { name, email, role, timezone } = req.body;
     const userId = req.params.id;
 
     let user = await User.findById(userId);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
 
     // Prevent non-admin users from modifying other users
-    if (req.user._id.toString() !== userId.toString() && req.user.role !== 'admin') {
+    if (req.user._id.toString() !== userId.toString() && req.user.role !== ROLES.ADMIN) {
       return res.status(403).json({ success: false, message: 'Not authorized to update this user' });
     }
 
@@ -226,7 +281,8 @@ const updateUser = async (req, res) => {
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (email !== undefined) updates.email = email;
-    if (role !== undefined && req.user.role === 'admin') updates.role = role;
+    if (role !== undefined && req.user.role === ROLES.ADMIN) updates.role = role;
+    if (timezone !== undefined) updates.timezone = timezone;
 
     user = await User.findByIdAndUpdate(userId, updates, {
       new: true,
@@ -256,11 +312,73 @@ const updateUser = async (req, res) => {
 ----------------------------------------------------- */
 const deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const userId = req.params.id;
 
+    const user = await User.findById(userId);
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
 
-    res.json({ success: true, message: 'User deleted successfully' });
+    if (req.user._id.toString() !== userId.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({ success: false, message: 'Not authorized to delete this user' });
+    }
+
+    // Block while the user still organizes live events that guests are counting on
+    const organizedEvents = await Event.find({ organizerId: user._id })
+      .setOptions({ includeDeleted: true })
+      .select('_id title status');
+    const organizedEventIds = organizedEvents.map(event => event._id);
+
+    const liveEventIds = organizedEvents
+      .filter(event => ['draft', 'published'].includes(event.status))
+      .map(event => event._id);
+    const blockingEventIds = await RSVP.distinct('eventId', {
+      eventId: { $in: liveEventIds },
+      status: 'going',
+      waitlisted: false
+    });
+
+    if (blockingEventIds.length > 0) {
+      const blocking = organizedEvents.filter(event =>
+        blockingEventIds.some(id => id.equals(event._id))
+      );
+      return res.status(409).json({
+        success: false,
+        message: 'User organizes events with confirmed guests. Cancel or reassign them before deleting the account',
+        events: blocking.map(event => ({ _id: event._id, title: event.title }))
+      });
+    }
+
+    // Seats this user held at other events (per occurrence), to refill from the waitlist
+    const freedSeats = await RSVP.find({
+      userId: user._id,
+      status: 'going',
+      waitlisted: false,
+      eventId: { $nin: organizedEventIds }
+    }).select('eventId occurrenceDate');
+
+    const deleted = await mongoose.connection.transaction(async (session) => {
+      const rsvps = await RSVP.deleteMany({
+        $or: [{ userId: user._id }, { eventId: { $in: organizedEventIds } }]
+      }, { session });
+      const invitations = await Invitation.deleteMany({
+        $or: [{ guestId: user._id }, { eventId: { $in: organizedEventIds } }]
+      }, { session });
+      const events = await Event.deleteMany({ organizerId: user._id }, { session });
+      await User.deleteOne({ _id: user._id }, { session });
+
+      return {
+        events: events.deletedCount,
+        invitations: invitations.deletedCount,
+        rsvps: rsvps.deletedCount
+      };
+    });
+
+    const freedEvents = await Event.find({ _id: { $in: freedSeats.map(seat => seat.eventId) } });
+    for (const seat of freedSeats) {
+      const event = freedEvents.find(candidate => candidate._id.equals(seat.eventId));
+      if (event) await RSVP.promoteWaitlist(event, seat.occurrenceDate);
+    }
+
+    res.json({ success: true, message: 'User deleted successfully', deleted });
   } catch (error) {
     console.error('Delete user error:', error);
 
@@ -271,6 +389,388 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/* -----------------------------------------------------
+   CALENDAR FEED TOKEN (create/rotate and revoke)
+----------------------------------------------------- */
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createCalendarToken = async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (req.user._id.toString() !== userId.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage this calendar feed' });
+    }
+
+    // Only the hash is stored, so the token is shown once; issuing a new one revokes the old URL
+    const token = crypto.randomBytes(32).toString('hex');
+    const user = await User.findByIdAndUpdate(userId, { calendarTokenHash: hashFeedToken(token) });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed token created. Any previous feed URL no longer works',
+      data: {
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/users/${user._id}/calendar.ics?token=${token}`
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error creating calendar feed token' });
+  }
+};
+
+const revokeCalendarToken = async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (req.user._id.toString() !== userId.toString() && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage this calendar feed' });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { $unset: { calendarTokenHash: 1 } });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.json({ success: true, message: 'Calendar feed token revoked' });
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error revoking calendar feed token' });
+  }
+};
+
+/* -----------------------------------------------------
+   CALENDAR FEED (.ics) — events the user organizes plus
+   their going/maybe RSVPs, authenticated by feed token
+----------------------------------------------------- */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token || typeof token !== 'string')
+      return res.status(401).json({ success: false, message: 'Calendar feed token is required' });
+
+    const user = await User.findById(req.params.id).select('+calendarTokenHash');
+
+    const expected = Buffer.from(user?.calendarTokenHash || '', 'hex');
+    const provided = Buffer.from(hashFeedToken(token), 'hex');
+    if (!user || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided))
+      return res.status(401).json({ success: false, message: 'Invalid or revoked calendar feed token' });
+
+    const [organizedEvents, rsvps] = await Promise.all([
+      Event.find({ organizerId: user._id }).populate('organizerId', 'name email'),
+      RSVP.find({ userId: user._id, status: { $in: ['going', 'maybe'] } })
+        .populate({ path: 'eventId', populate: { path: 'organizerId', select: 'name email' } })
+    ]);
+
+    const entries = organizedEvents.map(event => ({ event }));
+    const seriesIds = new Set(organizedEvents.map(event => event._id.toString()));
+
+    // Series RSVPs first so an occurrence RSVP isn't listed twice for the same series
+    const sortedRSVPs = rsvps
+      .filter(rsvp => rsvp.eventId) // event soft-deleted or gone
+      .sort((a, b) => Number(Boolean(a.occurrenceDate)) - Number(Boolean(b.occurrenceDate)));
+
+    for (const rsvp of sortedRSVPs) {
+      const eventId = rsvp.eventId._id.toString();
+      if (seriesIds.has(eventId)) continue;
+      if (!rsvp.occurrenceDate) seriesIds.add(eventId);
+
+      entries.push({
+        event: rsvp.eventId,
+        occurrenceDate: rsvp.occurrenceDate,
+        tentative: rsvp.status === 'maybe' || rsvp.waitlisted
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="eventease.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildCalendar(entries, { name: `EventEase – ${user.name}` }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+
+    if (error.kind === 'ObjectId')
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error building calendar feed' });
+  }
+};
+
+/* -----------------------------------------------------
+   ORGANIZER REPORT (totals across every event they organize)
+----------------------------------------------------- */
+const DEFAULT_REPORT_TOP = 10;
+const MAX_REPORT_TOP = 100;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Whether an RSVP has been scanned at the door at least once
+const hasCheckIn = { $gt: [{ $size: { $ifNull: ['$checkIns', []] } }, 0] };
+
+// One row per event in range with invitation and confirmed-guest counts.
+// Once anyone has checked in at an event, its attendees are the checked-in
+// parties; until then they are the parties with a confirmed 'going' answer.
+// Aggregations skip the soft-delete find hook, so deletedAt is matched here.
+const reportEventRows = (organizerId, { from, to }) => {
+  const match = { organizerId, deletedAt: null };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+
+  return [
+    { $match: match },
+    { $sort: { date: 1, _id: 1 } },
+    {
+      $lookup: {
+        from: Invitation.collection.name,
+        localField: '_id',
+        foreignField: 'eventId',
+        pipeline: [{ $group: { _id: null, count: { $sum: 1 } } }],
+        as: 'invitations'
+      }
+    },
+    {
+      // Confirmed parties are invitations with a confirmed 'going' answer; guests include their parties
+      $lookup: {
+        from: RSVP.collection.name,
+        localField: '_id',
+        foreignField: 'eventId',
+        pipeline: [
+          { $match: { status: 'going', waitlisted: false } },
+          { $group: { _id: '$invitationId', guests: { $sum: '$guestsCount' }, checkedIn: { $max: hasCheckIn } } },
+          {
+            $group: {
+              _id: null,
+              parties: { $sum: 1 },
+              guests: { $sum: '$guests' },
+              checkedInParties: { $sum: { $cond: ['$checkedIn', 1, 0] } }
+            }
+          }
+        ],
+        as: 'confirmed'
+      }
+    },
+    {
+      $set: {
+        confirmedParties: { $ifNull: [{ $first: '$confirmed.parties' }, 0] },
+        checkedInParties: { $ifNull: [{ $first: '$confirmed.checkedInParties' }, 0] }
+      }
+    },
+    {
+      $project: {
+        title: 1,
+        date: 1,
+        status: 1,
+        category: 1,
+        capacity: 1,
+        price: 1,
+        invited: { $ifNull: [{ $first: '$invitations.count' }, 0] },
+        attendanceFromCheckIns: { $gt: ['$checkedInParties', 0] },
+        attendees: { $cond: [{ $gt: ['$checkedInParties', 0] }, '$checkedInParties', '$confirmedParties'] },
+        confirmedGuests: { $ifNull: [{ $first: '$confirmed.guests' }, 0] }
+      }
+    },
+    {
+      $set: {
+        revenue: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, { $multiply: ['$price', '$confirmedGuests'] }] }
+      }
+    }
+  ];
+};
+
+const sumBy = (rows, field) => rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Per-guest outcomes across the given events. At events where check-in is in
+// use, a guest attended if their ticket was scanned, and a no-show holds a
+// confirmed 'going' ticket to a completed event that was never scanned.
+// Elsewhere a confirmed 'going' answer counts as attending. A repeat attendee
+// attended two or more events.
+const aggregateGuestOutcomes = async ({ eventIds, completedEventIds, checkInEventIds, top }) => {
+  const withGuest = [
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', pipeline: [{ $project: { name: 1, email: 1 } }], as: 'guest' } },
+    { $unwind: '$guest' },
+    { $project: { _id: 0, guestId: '$_id', name: '$guest.name', email: '$guest.email', invited: 1, attended: 1, noShows: 1 } }
+  ];
+
+  const [result] = await Invitation.aggregate([
+    { $match: { eventId: { $in: eventIds } } },
+    {
+      $lookup: {
+        from: RSVP.collection.name,
+        localField: '_id',
+        foreignField: 'invitationId',
+        pipeline: [
+          { $match: { status: 'going', waitlisted: false } },
+          { $project: { checkedIn: hasCheckIn } }
+        ],
+        as: 'tickets'
+      }
+    },
+    {
+      $project: {
+        guestId: 1,
+        eventId: 1,
+        confirmed: { $gt: [{ $size: '$tickets' }, 0] },
+        checkedIn: { $anyElementTrue: ['$tickets.checkedIn'] },
+        tracked: { $in: ['$eventId', checkInEventIds] },
+        completed: { $in: ['$eventId', completedEventIds] }
+      }
+    },
+    { $set: { attended: { $cond: ['$tracked', '$checkedIn', '$confirmed'] } } },
+    {
+      $group: {
+        _id: '$guestId',
+        invited: { $addToSet: '$eventId' },
+        attendedEvents: { $addToSet: { $cond: ['$attended', '$eventId', '$$REMOVE'] } },
+        noShows: {
+          $sum: { $cond: [{ $and: ['$completed', '$tracked', '$confirmed', { $not: ['$checkedIn'] }] }, 1, 0] }
+        }
+      }
+    },
+    { $set: { invited: { $size: '$invited' }, attended: { $size: '$attendedEvents' } } },
+    {
+      $facet: {
+        noShows: [{ $match: { noShows: { $gt: 0 } } }, { $sort: { noShows: -1, invited: -1, _id: 1 } }, { $limit: top }, ...withGuest],
+        repeatAttendees: [{ $match: { attended: { $gte: 2 } } }, { $sort: { attended: -1, _id: 1 } }, { $limit: top }, ...withGuest],
+        repeatCount: [{ $match: { attended: { $gte: 2 } } }, { $count: 'count' }]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+const REPORT_CSV_COLUMNS = [
+  { header: 'eventId', value: row => row._id },
+  { header: 'title', value: row => row.title },
+  { header: 'date', value: row => (row.date ? toDateKey(row.date) : null) },
+  { header: 'status', value: row => row.status },
+  { header: 'category', value: row => row.category },
+  { header: 'capacity', value: row => row.capacity },
+  { header: 'price', value: row => row.price },
+  { header: 'invited', value: row => row.invited },
+  { header: 'attendees', value: row => row.attendees },
+  { header: 'confirmedGuests', value: row => row.confirmedGuests },
+  { header: 'attendanceRate', value: row => ratio(row.attendees, row.invited) },
+  { header: 'revenue', value: row => row.revenue },
+  { header: 'attendanceFromCheckIns', value: row => row.attendanceFromCheckIns }
+];
+
+const getOrganizerReport = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { from, to, format = 'json' } = req.query;
+
+    if (req.user._id.toString() !== userId.toString() && req.user.role !== ROLES.ADMIN)
+      return res.status(403).json({ success: false, message: 'Not authorized to view this report' });
+
+    const errors = [];
+    if (from !== undefined && !isDateOnly(from)) errors.push('from must be a date in YYYY-MM-DD format');
+    if (to !== undefined && !isDateOnly(to)) errors.push('to must be a date in YYYY-MM-DD format');
+    if (isDateOnly(from) && isDateOnly(to) && from > to) errors.push('from must be on or before to');
+    if (!['json', 'csv'].includes(format)) errors.push('format must be json or csv');
+
+    const top = req.query.top === undefined ? DEFAULT_REPORT_TOP : Number(req.query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_REPORT_TOP) errors.push(`top must be a whole number from 1 to ${MAX_REPORT_TOP}`);
+
+    if (errors.length > 0)
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+
+    const organizer = await User.findById(userId).select('name email');
+    if (!organizer) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const pipeline = reportEventRows(organizer._id, { from, to });
+
+    // CSV: one row per event, streamed from the aggregation cursor
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="report-${organizer._id}${from ? `-from-${from}` : ''}${to ? `-to-${to}` : ''}.csv"`
+      });
+      return await streamRows(res, Event.aggregate(pipeline).cursor({ batchSize: 500 }), REPORT_CSV_COLUMNS);
+    }
+
+    const rows = await Event.aggregate([
+      ...pipeline,
+      { $project: { status: 1, category: 1, invited: 1, attendees: 1, attendanceFromCheckIns: 1, confirmedGuests: 1, revenue: 1 } }
+    ]);
+
+    const eventsByStatus = { draft: 0, published: 0, cancelled: 0, completed: 0 };
+    const eventsByCategory = {};
+    for (const row of rows) {
+      eventsByStatus[row.status] = (eventsByStatus[row.status] || 0) + 1;
+      eventsByCategory[row.category] = (eventsByCategory[row.category] || 0) + 1;
+    }
+
+    const held = rows.filter(row => row.status !== 'cancelled');
+    const completed = rows.filter(row => row.status === 'completed');
+    const upcoming = rows.filter(row => ['draft', 'published'].includes(row.status));
+
+    const guests = await aggregateGuestOutcomes({
+      eventIds: held.map(row => row._id),
+      completedEventIds: completed.map(row => row._id),
+      checkInEventIds: held.filter(row => row.attendanceFromCheckIns).map(row => row._id),
+      top
+    });
+
+    res.json({
+      success: true,
+      data: {
+        organizer,
+        range: { from: from || null, to: to || null },
+        totals: {
+          events: rows.length,
+          invitations: sumBy(rows, 'invited'),
+          confirmedGuests: sumBy(held, 'confirmedGuests')
+        },
+        eventsByStatus,
+        eventsByCategory,
+        // Completed events only: attendees (checked in, or confirmed 'going' where
+        // nobody was checked in) out of all invitations
+        attendance: {
+          completedEvents: completed.length,
+          fromCheckIns: completed.filter(row => row.attendanceFromCheckIns).length,
+          invited: sumBy(completed, 'invited'),
+          attended: sumBy(completed, 'attendees'),
+          rate: ratio(sumBy(completed, 'attendees'), sumBy(completed, 'invited'))
+        },
+        // price × confirmed guests; cancelled events earn nothing
+        revenue: {
+          total: toMoney(sumBy(held, 'revenue')),
+          completed: toMoney(sumBy(completed, 'revenue')),
+          upcoming: toMoney(sumBy(upcoming, 'revenue'))
+        },
+        topNoShowGuests: guests.noShows,
+        repeatAttendees: {
+          count: guests.repeatCount[0]?.count || 0,
+          top: guests.repeatAttendees
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Organizer report error:', error);
+
+    if (res.headersSent) return res.destroy(error);
+
+    if (error.kind === 'ObjectId' || error.name === 'CastError')
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+
+    res.status(500).json({ success: false, message: 'Server error building report' });
+  }
+};
+
 /* -----------------------------------------------------
    EXPORT (CORRECTED - NO ARRAYS!)
 ----------------------------------------------------- */
@@ -282,6 +782,10 @@ module.exports = {
   getUser,
   updateUser,
   deleteUser,
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed,
+  getOrganizerReport,
   
   // Validation middleware functions
   validateUserCreation,
@@ -0,0 +1,57 @@
+const Event = require('../models/Event');
+const { lastOccurrence } = require('../utils/recurrence');
+const { computeSchedule } = require('../utils/timezone');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Marks published events as completed once they have ended, using the end
+ * instant in the event's own timezone. Recurring series complete after the
+ * end of their last occurrence; open-ended series never do.
+ */
+const completePastEvents = async (now = new Date()) => {
+  const candidates = await Event.find({ status: 'published', date: { $lt: now } })
+    .select('date time timezone durationMinutes recurrence');
+
+  const pastIds = candidates
+    .filter(event => {
+      const last = lastOccurrence(event);
+      if (last === null) return false;
+      const { endsAt } = computeSchedule(last, event.time, event.timezone, event.durationMinutes);
+      return endsAt < now;
+    })
+    .map(event => event._id);
+
+  if (pastIds.length === 0) return 0;
+
+  const result = await Event.updateMany(
+    { _id: { $in: pastIds }, status: 'published' },
+    { status: 'completed', completedAt: now }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Auto-completed ${result.modifiedCount} past event(s)`);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Runs completePastEvents now and then on a fixed interval.
+ * Returns the timer so callers (and tests) can clear it.
+ */
+const scheduleCompletePastEvents = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const run = () => completePastEvents().catch(err => {
+    console.error('❌ Auto-complete events job failed:', err.message);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // never keep the process alive just for this job
+  return timer;
+};
+
+module.exports = {
+  completePastEvents,
+  scheduleCompletePastEvents
+};
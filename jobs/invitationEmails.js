@@ -0,0 +1,176 @@
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const InvitationEmailJob = require('../models/InvitationEmailJob');
+const User = require('../models/User');
+const { sendInvitationEmail } = require('../notifications');
+const { signRsvpToken } = require('../utils/rsvpToken');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_INTERVAL_MS = MINUTE_MS;
+const LOCK_TIMEOUT_MS = 10 * MINUTE_MS; // a crashed worker's claimed jobs are retried after this
+const MAX_ATTEMPTS = 5; // including the send made by the API request
+const RETRY_BASE_MS = MINUTE_MS; // retries wait 1, 2, 4 then 8 minutes
+const BATCH_SIZE = 100;
+
+/**
+ * Invitation email delivery. POST /api/invitations/:id/send tries once
+ * inside the request; a transient failure is queued as an
+ * InvitationEmailJob and retried here with exponential backoff, so the
+ * request never waits on retries and a restart never loses them.
+ *
+ * Every function takes `now`, so tests drive the queue with a fake clock.
+ */
+
+const retryAt = (attempts, now) => new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1));
+
+/**
+ * Sends the invitation email once and records the outcome on the invitation.
+ * Resolves { invitation, messageId } on success or { error } on failure; the
+ * error text is kept in lastDeliveryError and the logs only.
+ */
+const sendInvitationOnce = async ({ invitation, event, guest, organizer }, now = new Date()) => {
+  let delivery;
+  try {
+    const { token } = signRsvpToken(invitation, event);
+    delivery = await sendInvitationEmail({ invitation, event, guest, organizer, rsvpToken: token });
+  } catch (error) {
+    console.error(`❌ Invitation ${invitation._id} email failed:`, error.message);
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { $inc: { deliveryAttempts: 1 }, $set: { lastDeliveryError: error.message } }
+    );
+    return { error };
+  }
+
+  const updated = await Invitation.findByIdAndUpdate(
+    invitation._id,
+    {
+      $set: { status: 'sent', sentAt: now },
+      $inc: { deliveryAttempts: 1 },
+      $unset: { lastDeliveryError: 1 }
+    },
+    { new: true }
+  );
+
+  return { invitation: updated, messageId: delivery.messageId };
+};
+
+// Queues a background retry after the API request's send failed
+const queueInvitationRetry = (invitation, reason, now = new Date()) => InvitationEmailJob.findOneAndUpdate(
+  { invitationId: invitation._id },
+  {
+    $set: { eventId: invitation.eventId, status: 'scheduled', attempts: 1, runAt: retryAt(1, now), reason },
+    $unset: { lockedAt: 1, sentAt: 1, messageId: 1 }
+  },
+  { upsert: true, new: true }
+);
+
+// Drops a queued retry once the email went out (or can never go out) another way
+const cancelInvitationRetry = (invitationId, reason) => InvitationEmailJob.updateOne(
+  { invitationId, status: 'scheduled' },
+  { $set: { status: 'skipped', reason } }
+);
+
+const skip = (reason) => ({ status: 'skipped', reason });
+
+// Re-checks a job against the current invitation and event and sends it, or says why not
+const deliverQueuedInvitation = async (job, now) => {
+  const invitation = await Invitation.findById(job.invitationId);
+  if (!invitation) return skip('Invitation was deleted');
+  if (['accepted', 'declined'].includes(invitation.status)) return skip(`Guest has already ${invitation.status} this invitation`);
+  if (invitation.rsvpTokenRevokedAt) return skip('RSVP link was revoked');
+
+  const [event, guest, organizer] = await Promise.all([
+    Event.findById(invitation.eventId),
+    User.findById(invitation.guestId).select('name email'),
+    User.findById(invitation.organizerId).select('name email')
+  ]);
+  if (!event) return skip('Event no longer exists');
+  if (event.status !== 'published') return skip(`Event is ${event.status}`);
+  if (!guest) return skip('Guest account no longer exists');
+
+  const { error, messageId } = await sendInvitationOnce({ invitation, event, guest, organizer }, now);
+  if (error) throw error;
+  return { status: 'sent', messageId };
+};
+
+// Takes the next due job, or one whose worker died mid-send
+const claimNextJob = (now) => InvitationEmailJob.findOneAndUpdate(
+  {
+    runAt: { $lte: now },
+    $or: [
+      { status: 'scheduled' },
+      { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Retries up to BATCH_SIZE due invitation emails. Transient failures are
+ * rescheduled until MAX_ATTEMPTS sends have been tried; permanent ones
+ * (such as a rejected recipient) fail at once. Resolves counts by outcome.
+ */
+const processDueInvitationEmails = async (now = new Date()) => {
+  const counts = { sent: 0, skipped: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const job = await claimNextJob(now);
+    if (!job) break;
+
+    let update;
+    try {
+      const outcome = await deliverQueuedInvitation(job, now);
+      update = outcome.status === 'sent'
+        ? { status: 'sent', sentAt: now, messageId: outcome.messageId }
+        : { status: 'skipped', reason: outcome.reason };
+    } catch (error) {
+      update = !error.permanent && job.attempts < MAX_ATTEMPTS
+        ? { status: 'scheduled', runAt: retryAt(job.attempts, now), reason: error.message }
+        : { status: 'failed', reason: error.message };
+    }
+
+    await InvitationEmailJob.updateOne({ _id: job._id }, { $set: update, $unset: { lockedAt: 1 } });
+    counts[update.status === 'scheduled' ? 'retried' : update.status] += 1;
+  }
+
+  if (counts.sent > 0 || counts.failed > 0) {
+    console.log(`📧 Invitation retries: ${counts.sent} sent, ${counts.retried} rescheduled, ${counts.failed} failed`);
+  }
+
+  return counts;
+};
+
+/**
+ * Processes due retries now and then on a fixed interval. clock supplies
+ * "now" for each cycle. Returns the timer so callers (and tests) can clear it.
+ */
+const scheduleInvitationEmails = ({ intervalMs = DEFAULT_INTERVAL_MS, clock = () => new Date() } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // a slow cycle is still sending
+    running = true;
+    try {
+      await processDueInvitationEmails(clock());
+    } catch (err) {
+      console.error('❌ Invitation email job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // never keep the process alive just for this job
+  return timer;
+};
+
+module.exports = {
+  sendInvitationOnce,
+  queueInvitationRetry,
+  cancelInvitationRetry,
+  processDueInvitationEmails,
+  scheduleInvitationEmails
+};
@@ -0,0 +1,359 @@
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
+const User = require('../models/User');
+const ReminderJob = require('../models/ReminderJob');
+const { sendReminderEmail } = require('../notifications');
+const { expandOccurrences, isOccurrence } = require('../utils/recurrence');
+const { computeSchedule } = require('../utils/timezone');
+const { signRsvpToken } = require('../utils/rsvpToken');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PLAN_AHEAD_MS = DAY_MS; // jobs are written up to a day before they run
+const MAX_LATENESS_MS = 12 * 60 * MINUTE_MS; // after downtime, late reminders still go out within this
+const LOCK_TIMEOUT_MS = 10 * MINUTE_MS; // a crashed worker's claimed jobs are retried after this
+const MAX_JOB_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15 * MINUTE_MS;
+const BATCH_SIZE = 100;
+
+/**
+ * Reminder scheduling, backed by the ReminderJob collection:
+ *
+ * 1. planReminders writes one job per invitation for every reminder rule
+ *    that falls due within the next day (unique per invitation, rule and
+ *    target instant, so re-planning never duplicates).
+ * 2. processDueReminders claims due jobs one at a time, re-checks them
+ *    against the current event, invitation and RSVP, and sends the email.
+ *
+ * Every function takes `now`, so tests drive the scheduler with a fake clock.
+ */
+
+const occurrenceSchedule = (event, day) =>
+  computeSchedule(day, event.time, event.timezone, event.durationMinutes);
+
+const isRecurring = (event) => Boolean(event.recurrence && event.recurrence.frequency);
+
+/**
+ * Reminder runs whose send time falls in [from, to] and whose target is
+ * still after `now`. A run is { kind, offsetMinutes, occurrenceDate,
+ * targetAt, runAt }; nudges count back from the RSVP deadline when the
+ * event has one, otherwise from each start.
+ */
+const listRuns = (event, { now, from, to }) => {
+  const settings = event.getReminderSettings();
+  if (!settings.enabled) return [];
+
+  const runs = [];
+  const add = (kind, offsetMinutes, occurrenceDate, targetAt) => {
+    const runAt = new Date(targetAt.getTime() - offsetMinutes * MINUTE_MS);
+    if (targetAt > now && runAt >= from && runAt <= to) {
+      runs.push({ kind, offsetMinutes, occurrenceDate, targetAt, runAt });
+    }
+  };
+
+  const longestOffsetMs = Math.max(0, ...settings.beforeStartMinutes, ...settings.nudgeMinutes) * MINUTE_MS;
+  const days = expandOccurrences(event, new Date(from.getTime() - DAY_MS), new Date(to.getTime() + longestOffsetMs + DAY_MS));
+
+  for (const day of days) {
+    const { startsAt } = occurrenceSchedule(event, day);
+    const occurrenceDate = isRecurring(event) ? day : null;
+
+    for (const offset of settings.beforeStartMinutes) add('reminder', offset, occurrenceDate, startsAt);
+    if (!event.rsvpDeadline) {
+      for (const offset of settings.nudgeMinutes) add('nudge', offset, occurrenceDate, startsAt);
+    }
+  }
+
+  if (event.rsvpDeadline) {
+    for (const offset of settings.nudgeMinutes) add('nudge', offset, null, event.rsvpDeadline);
+  }
+
+  return runs.sort((a, b) => a.runAt - b.runAt);
+};
+
+// Invitations a run applies to: series invitations cover every occurrence
+const invitationsForRun = (run, invitations) => {
+  if (!run.occurrenceDate) return invitations;
+  return invitations.filter(invitation =>
+    !invitation.occurrenceDate || invitation.occurrenceDate.getTime() === run.occurrenceDate.getTime());
+};
+
+// The guest's answer that applies to a run: an occurrence answer beats the
+// series answer, and for deadline nudges on a series any answer counts
+const applicableAnswer = (answers, occurrenceDate) => {
+  const seriesAnswer = answers.find(answer => !answer.occurrenceDate);
+  if (!occurrenceDate) return seriesAnswer || answers[0] || null;
+
+  return answers.find(answer => answer.occurrenceDate?.getTime() === occurrenceDate.getTime()) ||
+    seriesAnswer || null;
+};
+
+// Nudges only chase invitations the guest has actually been sent
+const isRecipient = (kind, invitation, answer) => {
+  if (kind === 'nudge') return Boolean(invitation.sentAt) && !answer && !['accepted', 'declined'].includes(invitation.status);
+  return Boolean(answer) && (answer.status === 'maybe' || (answer.status === 'going' && !answer.waitlisted));
+};
+
+/* ---------------------------- PLAN ---------------------------- */
+
+const isDuplicateKeyError = (error) =>
+  error.code === 11000 ||
+  (Array.isArray(error.writeErrors) && error.writeErrors.every(writeError =>
+    (writeError.code ?? writeError.err?.code) === 11000));
+
+/**
+ * Writes jobs for runs due between MAX_LATENESS_MS ago and PLAN_AHEAD_MS
+ * from now. Resolves the number of new jobs.
+ */
+const planReminders = async (now = new Date()) => {
+  const from = new Date(now.getTime() - MAX_LATENESS_MS);
+  const to = new Date(now.getTime() + PLAN_AHEAD_MS);
+  const horizon = new Date(to.getTime() + Event.MAX_REMINDER_OFFSET_MINUTES * MINUTE_MS);
+
+  const events = await Event.find({
+    status: 'published',
+    'reminders.enabled': { $ne: false },
+    $or: [
+      { startsAt: { $gt: now, $lte: horizon } },
+      { rsvpDeadline: { $gt: now, $lte: horizon } },
+      { 'recurrence.frequency': { $exists: true }, date: { $lte: horizon } }
+    ]
+  });
+
+  let planned = 0;
+
+  for (const event of events) {
+    const runs = listRuns(event, { now, from, to });
+    if (runs.length === 0) continue;
+
+    const invitations = await Invitation.find({ eventId: event._id }).select('occurrenceDate createdAt sentAt');
+    const ops = [];
+
+    for (const run of runs) {
+      for (const invitation of invitationsForRun(run, invitations)) {
+        // Don't remind about a rule whose time came before the guest was invited
+        if (run.runAt < invitation.createdAt) continue;
+        if (run.kind === 'nudge' && !invitation.sentAt) continue;
+
+        ops.push({
+          updateOne: {
+            filter: {
+              invitationId: invitation._id,
+              kind: run.kind,
+              offsetMinutes: run.offsetMinutes,
+              occurrenceDate: run.occurrenceDate,
+              targetAt: run.targetAt
+            },
+            update: { $setOnInsert: { eventId: event._id, runAt: run.runAt, status: 'scheduled' } },
+            upsert: true
+          }
+        });
+      }
+    }
+
+    if (ops.length === 0) continue;
+
+    try {
+      const result = await ReminderJob.bulkWrite(ops, { ordered: false });
+      planned += result.upsertedCount;
+    } catch (error) {
+      // Another API instance planned the same jobs at the same moment
+      if (!isDuplicateKeyError(error)) throw error;
+      planned += error.result?.upsertedCount ?? 0;
+    }
+  }
+
+  return planned;
+};
+
+/* ---------------------------- DELIVER ---------------------------- */
+
+const skip = (reason) => ({ status: 'skipped', reason });
+
+// Re-checks a job against the current data and sends it, or says why not
+const deliverReminder = async (job, now) => {
+  if (now - job.runAt > MAX_LATENESS_MS) return skip('Missed: more than 12 hours late');
+
+  const event = await Event.findById(job.eventId);
+  if (!event) return skip('Event no longer exists');
+  if (event.status !== 'published') return skip(`Event is ${event.status}`);
+
+  const settings = event.getReminderSettings();
+  const offsets = job.kind === 'nudge' ? settings.nudgeMinutes : settings.beforeStartMinutes;
+  if (!settings.enabled || !offsets.includes(job.offsetMinutes)) return skip('Reminder no longer configured');
+
+  if (job.occurrenceDate && !isOccurrence(event, job.occurrenceDate)) return skip('Occurrence was removed');
+
+  const schedule = occurrenceSchedule(event, job.occurrenceDate || event.date);
+  const countsFromDeadline = job.kind === 'nudge' && event.rsvpDeadline;
+  const targetAt = countsFromDeadline ? event.rsvpDeadline : schedule.startsAt;
+  if (countsFromDeadline && job.occurrenceDate) return skip('Reminder no longer configured');
+  if (targetAt.getTime() !== job.targetAt.getTime()) return skip('Event was rescheduled');
+  if (targetAt <= now) return skip(countsFromDeadline ? 'RSVP deadline has passed' : 'Event has started');
+
+  const invitation = await Invitation.findById(job.invitationId);
+  if (!invitation) return skip('Invitation was deleted');
+
+  const answers = await RSVP.find({ invitationId: invitation._id });
+  const answer = applicableAnswer(answers, job.occurrenceDate);
+  if (!isRecipient(job.kind, invitation, answer)) {
+    return skip(job.kind === 'nudge' ? 'Guest has already answered' : 'Guest is not going');
+  }
+
+  const guest = await User.findById(invitation.guestId).select('name email');
+  if (!guest) return skip('Guest account no longer exists');
+
+  const delivery = await sendReminderEmail({
+    invitation,
+    guest,
+    rsvpToken: invitation.rsvpTokenRevokedAt ? null : signRsvpToken(invitation, event).token,
+    kind: job.kind,
+    offsetMinutes: job.offsetMinutes,
+    event,
+    rsvp: answer,
+    startsAt: schedule.startsAt,
+    endsAt: schedule.endsAt,
+    deadline: countsFromDeadline ? event.rsvpDeadline : null
+  });
+
+  return { status: 'sent', messageId: delivery.messageId };
+};
+
+// Takes the next due job, or one whose worker died mid-send
+const claimNextJob = (now) => ReminderJob.findOneAndUpdate(
+  {
+    runAt: { $lte: now },
+    $or: [
+      { status: 'scheduled' },
+      { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Sends up to BATCH_SIZE due jobs. Failed sends are retried up to
+ * MAX_JOB_ATTEMPTS times, RETRY_DELAY_MS apart. Resolves counts by outcome.
+ */
+const processDueReminders = async (now = new Date()) => {
+  const counts = { sent: 0, skipped: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const job = await claimNextJob(now);
+    if (!job) break;
+
+    let update;
+    try {
+      const outcome = await deliverReminder(job, now);
+      update = outcome.status === 'sent'
+        ? { status: 'sent', sentAt: now, messageId: outcome.messageId }
+        : { status: 'skipped', reason: outcome.reason };
+    } catch (error) {
+      console.error(`❌ Reminder ${job._id} failed:`, error.message);
+      update = job.attempts < MAX_JOB_ATTEMPTS
+        ? { status: 'scheduled', runAt: new Date(now.getTime() + RETRY_DELAY_MS), reason: error.message }
+        : { status: 'failed', reason: error.message };
+    }
+
+    await ReminderJob.updateOne({ _id: job._id }, { $set: update, $unset: { lockedAt: 1 } });
+    counts[update.status === 'scheduled' ? 'retried' : update.status] += 1;
+  }
+
+  return counts;
+};
+
+/**
+ * One scheduler cycle: plan upcoming jobs, then send the due ones.
+ */
+const runReminders = async (now = new Date()) => {
+  const planned = await planReminders(now);
+  const counts = await processDueReminders(now);
+
+  if (counts.sent > 0 || counts.failed > 0) {
+    console.log(`📧 Reminders: ${counts.sent} sent, ${counts.skipped} skipped, ${counts.failed} failed`);
+  }
+
+  return { planned, ...counts };
+};
+
+/* ---------------------------- PREVIEW ---------------------------- */
+
+const MAX_PREVIEW_RUNS = 100;
+
+/**
+ * Upcoming reminder runs for one event within `days`, each with the guests
+ * it would go to right now. Nothing is written.
+ */
+const previewReminders = async (event, { now = new Date(), days = 30 } = {}) => {
+  const runs = listRuns(event, { now, from: now, to: new Date(now.getTime() + days * DAY_MS) });
+
+  const [invitations, answers] = await Promise.all([
+    Invitation.find({ eventId: event._id }).select('guestId occurrenceDate status createdAt sentAt').populate('guestId', 'name email'),
+    RSVP.find({ eventId: event._id }).select('invitationId occurrenceDate status waitlisted guestsCount')
+  ]);
+
+  const answersByInvitation = new Map();
+  for (const answer of answers) {
+    const key = answer.invitationId.toString();
+    if (!answersByInvitation.has(key)) answersByInvitation.set(key, []);
+    answersByInvitation.get(key).push(answer);
+  }
+
+  const preview = runs.slice(0, MAX_PREVIEW_RUNS).map(run => {
+    const recipients = [];
+    for (const invitation of invitationsForRun(run, invitations)) {
+      if (run.runAt < invitation.createdAt) continue;
+
+      const answer = applicableAnswer(answersByInvitation.get(invitation._id.toString()) || [], run.occurrenceDate);
+      if (!isRecipient(run.kind, invitation, answer)) continue;
+
+      recipients.push({
+        invitationId: invitation._id,
+        name: invitation.guestId?.name,
+        email: invitation.guestId?.email,
+        rsvpStatus: answer ? answer.status : null
+      });
+    }
+
+    return { ...run, recipientCount: recipients.length, recipients };
+  });
+
+  return { runs: preview, truncated: runs.length > MAX_PREVIEW_RUNS };
+};
+
+/**
+ * Runs the reminder cycle now and then on a fixed interval. clock supplies
+ * "now" for each cycle. Returns the timer so callers (and tests) can clear it.
+ */
+const scheduleReminders = ({ intervalMs = DEFAULT_INTERVAL_MS, clock = () => new Date() } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // a slow cycle is still sending
+    running = true;
+    try {
+      await runReminders(clock());
+    } catch (err) {
+      console.error('❌ Reminder job failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // never keep the process alive just for this job
+  return timer;
+};
+
+module.exports = {
+  listRuns,
+  planReminders,
+  processDueReminders,
+  runReminders,
+  previewReminders,
+  scheduleReminders
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isValidRole } = require('../config/roles');
 
 /**
  * PROTECT ROUTES — Requires valid JWT
@@ -57,14 +58,19 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * ROLE-BASED AUTHORIZATION
+ * ROLE-BASED AUTHORIZATION — roles must come from config/roles
  */
 const authorize = (...roles) => {
+  const unknownRoles = roles.filter(role => !isValidRole(role));
+  if (unknownRoles.length > 0) {
+    throw new Error(`authorize() received unknown role(s): ${unknownRoles.join(', ')}`);
+  }
+
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user?.role} is not authorized to access this route`
+        message: `Not authorized: role ${req.user?.role} cannot access this route`
       });
     }
     next();
@@ -1,4 +1,132 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  isValidTimeZone,
+  computeSchedule
+} = require('../utils/timezone');
+const {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  MAX_LABEL_LENGTH,
+  MAX_OPTION_LENGTH,
+  isChoice
+} = require('../utils/questionnaire');
+
+// Allowed lifecycle moves; cancelled and completed are terminal
+const STATUS_TRANSITIONS = {
+  draft: ['published', 'cancelled'],
+  published: ['cancelled', 'completed'],
+  cancelled: [],
+  completed: []
+};
+
+// RRULE-style repeat rule; the event date is the first occurrence
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: [true, 'Recurrence frequency is required']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [99, 'Recurrence interval cannot exceed 99'],
+    default: 1
+  },
+  byWeekday: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: [1, 'Recurrence count must be at least 1'],
+    max: [1000, 'Recurrence count cannot exceed 1000']
+  },
+  exceptions: [{
+    type: Date
+  }]
+}, { _id: false });
+
+// Automatic emails, as lists of minutes before the target instant
+const MAX_REMINDER_OFFSET_MINUTES = 90 * 24 * 60;
+const MAX_REMINDERS_PER_KIND = 5;
+const DEFAULT_REMINDERS = {
+  enabled: true,
+  beforeStartMinutes: [7 * 24 * 60, 24 * 60],
+  nudgeMinutes: [3 * 24 * 60]
+};
+
+const offsetList = {
+  type: [Number],
+  validate: {
+    validator: (values) => values.length <= MAX_REMINDERS_PER_KIND &&
+      new Set(values).size === values.length &&
+      values.every(value => Number.isInteger(value) && value >= 1 && value <= MAX_REMINDER_OFFSET_MINUTES),
+    message: `Reminder offsets must be up to ${MAX_REMINDERS_PER_KIND} distinct whole minutes from 1 to ${MAX_REMINDER_OFFSET_MINUTES}`
+  }
+};
+
+const reminderSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: DEFAULT_REMINDERS.enabled
+  },
+  // Before the event (or occurrence) starts, to guests going or maybe
+  beforeStartMinutes: {
+    ...offsetList,
+    default: () => [...DEFAULT_REMINDERS.beforeStartMinutes]
+  },
+  // Before the RSVP deadline (or the start when there is none), to invitees who have not answered
+  nudgeMinutes: {
+    ...offsetList,
+    default: () => [...DEFAULT_REMINDERS.nudgeMinutes]
+  }
+}, { _id: false });
+
+// A question guests answer with their RSVP; its _id keys the answers
+const questionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Question label is required'],
+    trim: true,
+    maxlength: [MAX_LABEL_LENGTH, `Question label cannot exceed ${MAX_LABEL_LENGTH} characters`]
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for single_choice and multi_choice questions
+  options: {
+    type: [{ type: String, trim: true, maxlength: MAX_OPTION_LENGTH }],
+    default: undefined,
+    validate: {
+      validator: function(options) {
+        return isChoice(this.type) ? Array.isArray(options) && options.length >= 2 : !options || options.length === 0;
+      },
+      message: 'Choice questions need at least two options; other questions have none'
+    }
+  },
+  // Bounds for number questions
+  min: {
+    type: Number,
+    default: null
+  },
+  max: {
+    type: Number,
+    default: null
+  }
+});
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -11,11 +139,36 @@ const eventSchema = new mongoose.Schema({
   description: {
     type: String,
     trim: true,
-    maxlength: [500, 'Description cannot exceed 500 characters']
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Local calendar day in the event timezone, stored as UTC midnight
   date: {
     type: Date,
-    required: [true, 'Event date is required'],
+    required: [true, 'Event date is required']
+  },
+  // Local wall-clock start time in the event timezone
+  time: {
+    type: String,
+    required: [true, 'Event time is required'],
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be a valid IANA timezone (e.g. Europe/London)'
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [MAX_DURATION_MINUTES, 'Duration cannot exceed 7 days'],
+    default: DEFAULT_DURATION_MINUTES
+  },
+  // UTC instants derived from date, time, timezone and durationMinutes
+  startsAt: {
+    type: Date,
     validate: {
       validator: function(value) {
         return value > new Date();
@@ -23,10 +176,12 @@ const eventSchema = new mongoose.Schema({
       message: 'Event date must be in the future'
     }
   },
-  time: {
-    type: String,
-    required: [true, 'Event time is required'],
-    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
+  endsAt: {
+    type: Date
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
   },
   location: {
     type: String,
@@ -34,6 +189,47 @@ const eventSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Location cannot exceed 200 characters']
   },
+  category: {
+    type: String,
+    enum: {
+      values: ['wedding', 'birthday', 'conference', 'meeting', 'party', 'other'],
+      message: 'Invalid category'
+    },
+    default: 'other'
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    max: [10000, 'Capacity cannot exceed 10,000'],
+    default: 100
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+  // Responses close at this instant unless allowLateResponses is set or the
+  // guest's invitation carries an extension
+  rsvpDeadline: {
+    type: Date,
+    default: null
+  },
+  allowLateResponses: {
+    type: Boolean,
+    default: false
+  },
+  reminders: {
+    type: reminderSettingsSchema,
+    default: () => ({})
+  },
+  questions: {
+    type: [questionSchema],
+    default: [],
+    validate: {
+      validator: (questions) => questions.length <= MAX_QUESTIONS,
+      message: `An event can ask at most ${MAX_QUESTIONS} questions`
+    }
+  },
   organizerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -41,8 +237,42 @@ const eventSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'cancelled', 'completed'],
-    default: 'active'
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  completedAt: {
+    type: Date
+  },
+  // UID of the VEVENT this event was imported from, so re-imports can be skipped
+  externalUid: {
+    type: String,
+    trim: true
+  },
+  // Soft delete: archived events are hidden from every find query until restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bumped by every transaction that hands out or frees seats (see RSVP.lockSeats)
+  seatVersion: {
+    type: Number,
+    default: 0,
+    select: false
   }
 }, {
   timestamps: true
@@ -51,5 +281,47 @@ const eventSchema = new mongoose.Schema({
 // Index for better query performance
 eventSchema.index({ organizerId: 1, date: 1 });
 eventSchema.index({ status: 1, date: 1 });
+eventSchema.index({ category: 1, date: 1 });
+eventSchema.index({ status: 1, startsAt: 1 });
+eventSchema.index({ organizerId: 1, externalUid: 1 }, { partialFilterExpression: { externalUid: { $type: 'string' } } });
+eventSchema.index(
+  { title: 'text', description: 'text', location: 'text' },
+  { name: 'event_text_search', weights: { title: 10, location: 5, description: 2 } }
+);
+
+// Keep the UTC instants in step with the local schedule
+eventSchema.pre('validate', function() {
+  const scheduleFields = ['date', 'time', 'timezone', 'durationMinutes'];
+  if (!this.date || !isValidTimeZone(this.timezone)) return; // reported by the validators
+  if (this.isNew || !this.startsAt || scheduleFields.some(field => this.isModified(field))) {
+    Object.assign(this, computeSchedule(this.date, this.time, this.timezone, this.durationMinutes));
+  }
+});
+
+// Hide soft-deleted events unless the query opts in with setOptions({ includeDeleted: true })
+eventSchema.pre(/^find/, function() {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+eventSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+eventSchema.statics.DEFAULT_REMINDERS = DEFAULT_REMINDERS;
+eventSchema.statics.MAX_REMINDER_OFFSET_MINUTES = MAX_REMINDER_OFFSET_MINUTES;
+eventSchema.statics.MAX_REMINDERS_PER_KIND = MAX_REMINDERS_PER_KIND;
+
+// Events saved before reminders existed fall back to the defaults
+eventSchema.methods.getReminderSettings = function() {
+  const settings = this.reminders || {};
+  return {
+    enabled: settings.enabled ?? DEFAULT_REMINDERS.enabled,
+    beforeStartMinutes: settings.beforeStartMinutes ? [...settings.beforeStartMinutes] : [...DEFAULT_REMINDERS.beforeStartMinutes],
+    nudgeMinutes: settings.nudgeMinutes ? [...settings.nudgeMinutes] : [...DEFAULT_REMINDERS.nudgeMinutes]
+  };
+};
+
+eventSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
 
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
@@ -11,6 +11,16 @@ const invitationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  organizerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null invites the guest to the whole series (or the single event); a date targets one occurrence
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
   message: {
     type: String,
     trim: true,
@@ -23,12 +33,75 @@ const invitationSchema = new mongoose.Schema({
   },
   sentAt: {
     type: Date
+  },
+  // Email delivery bookkeeping for POST /api/invitations/:id/send
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveryError: {
+    type: String
+  },
+  // Signed RSVP links embed this version; bumping it invalidates older links
+  rsvpTokenVersion: {
+    type: Number,
+    default: 0
+  },
+  rsvpTokenRevokedAt: {
+    type: Date
+  },
+  // Companions the guest may bring; null leaves only the 20-person party limit
+  plusOnes: {
+    type: Number,
+    min: [0, 'Plus-ones must be between 0 and 19'],
+    max: [19, 'Plus-ones must be between 0 and 19'],
+    default: null
+  },
+  // Per-guest extension of the event's RSVP deadline
+  rsvpExtendedUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Ensure one invitation per guest per event
-invitationSchema.index({ eventId: 1, guestId: 1 }, { unique: true });
+// Ensure one invitation per guest per event (or per occurrence of a recurring event)
+invitationSchema.index({ eventId: 1, guestId: 1, occurrenceDate: 1 }, { unique: true });
+invitationSchema.index({ organizerId: 1, createdAt: -1 });
+invitationSchema.index({ guestId: 1, createdAt: -1 });
+
+// Status the invitation shows before (or without) an answer
+const unansweredStatus = (invitation) => (invitation.sentAt ? 'sent' : 'pending');
+
+// Invitation status that mirrors the guest's answer. Only a confirmed seat
+// is accepted: 'maybe' and a waitlisted 'going' leave it as if unanswered.
+invitationSchema.statics.statusForRsvp = function(rsvp, invitation) {
+  if (rsvp.status === 'not_going') return 'declined';
+  if (rsvp.status === 'going' && !rsvp.waitlisted) return 'accepted';
+  return unansweredStatus(invitation);
+};
+
+// Only an answer to what the invitation covers (the series, or its one
+// occurrence) sets its status; the occurrenceDate filter skips answers for
+// single occurrences of a series invitation.
+const answeredTarget = (rsvp) => ({ _id: rsvp.invitationId, occurrenceDate: rsvp.occurrenceDate || null });
+
+invitationSchema.statics.syncWithRsvp = async function(rsvp, session) {
+  const invitation = await this.findOne(answeredTarget(rsvp)).session(session);
+  if (!invitation) return;
+
+  invitation.status = this.statusForRsvp(rsvp, invitation);
+  await invitation.save({ session });
+};
+
+// The answer was withdrawn: back to sent if the invitation was emailed, else pending
+invitationSchema.statics.clearRsvp = async function(rsvp, session) {
+  const invitation = await this.findOne(answeredTarget(rsvp)).session(session);
+  if (!invitation) return;
+
+  invitation.status = unansweredStatus(invitation);
+  await invitation.save({ session });
+};
 
 module.exports = mongoose.model('Invitation', invitationSchema);
\ No newline at end of file
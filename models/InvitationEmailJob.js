@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Background retry of an invitation email whose send from the API failed.
+// One job per invitation; sending again replaces it.
+const invitationEmailJobSchema = new mongoose.Schema({
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation',
+    required: true,
+    unique: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'sent', 'skipped', 'failed'],
+    default: 'scheduled'
+  },
+  // Sends tried so far, including the one made by the API request
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  messageId: {
+    type: String
+  },
+  // Why a job was skipped, or the last delivery error
+  reason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+invitationEmailJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('InvitationEmailJob', invitationEmailJobSchema);
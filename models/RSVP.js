@@ -1,28 +1,326 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+const MAX_PARTY_SIZE = 20;
+const AGE_GROUPS = ['adult', 'teen', 'child', 'infant'];
+
+// Ticket codes skip look-alike characters (0/O, 1/I) so they can be typed in by hand
+const TICKET_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TICKET_CODE_LENGTH = 12;
+
+// A named plus-one, with what the caterer and venue need to know
+const companionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Companion name is required'],
+    trim: true,
+    maxlength: [100, 'Companion name cannot exceed 100 characters']
+  },
+  ageGroup: {
+    type: String,
+    enum: {
+      values: AGE_GROUPS,
+      message: `Companion age group must be one of: ${AGE_GROUPS.join(', ')}`
+    },
+    default: 'adult'
+  },
+  dietaryRestrictions: {
+    type: [{ type: String, trim: true, maxlength: 100 }],
+    default: []
+  },
+  accessibilityNeeds: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Accessibility needs cannot exceed 300 characters']
+  }
+}, { _id: false });
+
+// Answer to one of the event's questions (see utils/questionnaire)
+const answerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // String, number or list of strings, depending on the question type
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+// One scan at the door; a party may arrive in several groups
+const checkInSchema = new mongoose.Schema({
+  guests: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Occurrence of a recurring event the guests were admitted to; null for single events
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
+
 const rsvpSchema = new mongoose.Schema({
   invitationId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Invitation',
-    required: true,
-    unique: true
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // null answers for the whole series (or the single event); a date answers one occurrence
+  occurrenceDate: {
+    type: Date,
+    default: null
   },
   status: {
     type: String,
     enum: ['going', 'maybe', 'not_going'],
     required: true
   },
+  // The whole party, guest included; companions name some or all of the others
+  guestsCount: {
+    type: Number,
+    min: [1, 'Number of guests must be between 1 and 20'],
+    max: [MAX_PARTY_SIZE, 'Number of guests must be between 1 and 20'],
+    default: 1
+  },
+  companions: {
+    type: [companionSchema],
+    default: []
+  },
+  // A 'going' RSVP that did not fit the event capacity waits here until a seat frees up
+  waitlisted: {
+    type: Boolean,
+    default: false
+  },
+  waitlistedAt: {
+    type: Date
+  },
+  answers: {
+    type: [answerSchema],
+    default: []
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: 500
   },
+  // Issued the first time the guest holds a confirmed seat and kept afterwards;
+  // it only admits guests while the RSVP is still confirmed
+  ticketCode: {
+    type: String
+  },
+  // Guests admitted in total, across every occurrence of a recurring event
+  checkedInCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Guests admitted per occurrence of a recurring event, keyed YYYY-MM-DD
+  checkedInCounts: {
+    type: Map,
+    of: Number
+  },
+  checkIns: {
+    type: [checkInSchema],
+    default: []
+  },
+  // Last change to the answer
   respondedAt: {
     type: Date,
     default: Date.now
+  },
+  // First answer; stats measure response times from this
+  firstRespondedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
   }
 }, {
   timestamps: true
 });
 
+// One response per invitation, per occurrence
+rsvpSchema.index({ invitationId: 1, occurrenceDate: 1 }, { unique: true });
+rsvpSchema.index({ eventId: 1, status: 1 });
+rsvpSchema.index({ userId: 1, respondedAt: -1 });
+rsvpSchema.index({ eventId: 1, waitlisted: 1, waitlistedAt: 1 });
+rsvpSchema.index({ ticketCode: 1 }, { unique: true, sparse: true });
+
+rsvpSchema.statics.MAX_PARTY_SIZE = MAX_PARTY_SIZE;
+rsvpSchema.statics.AGE_GROUPS = AGE_GROUPS;
+
+rsvpSchema.statics.generateTicketCode = function() {
+  return Array.from(crypto.randomBytes(TICKET_CODE_LENGTH), byte => TICKET_ALPHABET[byte % TICKET_ALPHABET.length]).join('');
+};
+
+// Typed codes may come in lower case or grouped with spaces and dashes
+rsvpSchema.statics.normalizeTicketCode = function(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+};
+
+rsvpSchema.methods.hasValidTicket = function() {
+  return Boolean(this.ticketCode) && this.status === 'going' && !this.waitlisted;
+};
+
+// Guests admitted at one occurrence (YYYY-MM-DD) of a recurring event, or in
+// total for a single event
+rsvpSchema.methods.checkedInFor = function(occurrenceKey = null) {
+  if (!occurrenceKey) return this.checkedInCount;
+  return (this.checkedInCounts && this.checkedInCounts.get(occurrenceKey)) || 0;
+};
+
+// Largest party admitted at an occurrence on or after sinceKey (YYYY-MM-DD);
+// earlier occurrences are over, so their check-ins no longer hold seats
+rsvpSchema.methods.checkedInSince = function(sinceKey) {
+  let most = 0;
+  for (const [key, count] of this.checkedInCounts || []) {
+    if (key >= sinceKey && count > most) most = count;
+  }
+  return most;
+};
+
+// New and promoted confirmed RSVPs get their ticket here; recordResponse
+// issues it for answers changed in place
+rsvpSchema.pre('save', function() {
+  if (this.status === 'going' && !this.waitlisted && !this.ticketCode) {
+    this.ticketCode = this.constructor.generateTicketCode();
+  }
+});
+
+// Series-wide RSVPs hold a seat at every occurrence, so an occurrence's count
+// includes them. A series answer needs a seat at every upcoming occurrence, so
+// its count adds the fullest upcoming occurrence's own RSVPs.
+const occurrenceSlot = (occurrenceDate) =>
+  occurrenceDate ? { $in: [null, occurrenceDate] } : null;
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const seatSlots = (occurrenceDate) => (occurrenceDate
+  ? { occurrenceDate: occurrenceSlot(occurrenceDate) }
+  : { $or: [{ occurrenceDate: null }, { occurrenceDate: { $gte: startOfToday() } }] });
+
+// Total seats held by confirmed (non-waitlisted) 'going' RSVPs, guestsCount
+// included. Pass the session of a transaction that called lockSeats.
+rsvpSchema.statics.countConfirmedGuests = async function(eventId, excludeRsvpId, occurrenceDate = null, session = null) {
+  const match = { eventId, status: 'going', waitlisted: false, ...seatSlots(occurrenceDate) };
+  if (excludeRsvpId) match._id = { $ne: excludeRsvpId };
+
+  const slots = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$occurrenceDate', total: { $sum: '$guestsCount' } } }
+  ]).session(session);
+
+  const series = slots.find(({ _id }) => _id === null)?.total || 0;
+  const fullest = Math.max(0, ...slots.filter(({ _id }) => _id !== null).map(({ total }) => total));
+  return series + fullest;
+};
+
+// Serializes seat decisions for an event. Every transaction that counts seats
+// and then takes or frees one bumps the event's seatVersion first, so two
+// concurrent transactions conflict on that write and the driver retries the
+// later one, which then counts the seats the first one took.
+rsvpSchema.statics.lockSeats = function(eventId, session) {
+  return mongoose.model('Event').updateOne(
+    { _id: eventId },
+    { $inc: { seatVersion: 1 } },
+    { session, timestamps: false }
+  );
+};
+
+// IDs among eventIds of events whose confirmed guests have filled their
+// capacity; for a series that is the series seats plus the fullest occurrence
+rsvpSchema.statics.findFullEventIds = async function(eventIds) {
+  const full = await this.aggregate([
+    { $match: { eventId: { $in: eventIds }, status: 'going', waitlisted: false, ...seatSlots(null) } },
+    { $group: { _id: { eventId: '$eventId', occurrenceDate: '$occurrenceDate' }, total: { $sum: '$guestsCount' } } },
+    {
+      $group: {
+        _id: '$_id.eventId',
+        series: { $sum: { $cond: [{ $eq: ['$_id.occurrenceDate', null] }, '$total', 0] } },
+        fullest: { $max: { $cond: [{ $eq: ['$_id.occurrenceDate', null] }, 0, '$total'] } }
+      }
+    },
+    { $lookup: { from: 'events', localField: '_id', foreignField: '_id', as: 'event' } },
+    { $unwind: '$event' },
+    { $match: { $expr: { $gte: [{ $add: ['$series', '$fullest'] }, '$event.capacity'] } } },
+    { $project: { _id: 1 } }
+  ]);
+
+  return full.map(doc => doc._id);
+};
+
+// 1-based position of a waitlisted RSVP within its event's waitlist
+rsvpSchema.statics.getWaitlistPosition = async function(rsvp) {
+  if (!rsvp.waitlisted) return null;
+
+  const ahead = await this.countDocuments({
+    eventId: rsvp.eventId,
+    occurrenceDate: rsvp.occurrenceDate || null,
+    waitlisted: true,
+    waitlistedAt: { $lt: rsvp.waitlistedAt }
+  });
+
+  return ahead + 1;
+};
+
+// Promote waitlisted guests in arrival order while their party still fits.
+// A seat freed on the series is free at every occurrence, so every waitlist of
+// the event is considered; one freed at an occurrence serves that occurrence's
+// waitlist and the series'. Within one waitlist nobody jumps the queue. A
+// promoted guest's invitation becomes accepted.
+rsvpSchema.statics.promoteWaitlist = async function(event, occurrenceDate = null) {
+  return mongoose.connection.transaction(async (session) => {
+    await this.lockSeats(event._id, session);
+
+    const filter = { eventId: event._id, waitlisted: true };
+    if (occurrenceDate) filter.occurrenceDate = occurrenceSlot(occurrenceDate);
+    const waitlist = await this.find(filter).sort({ waitlistedAt: 1 }).session(session);
+
+    const promoted = [];
+    const blocked = new Set();
+    for (const rsvp of waitlist) {
+      const slot = rsvp.occurrenceDate ? rsvp.occurrenceDate.toISOString() : 'series';
+      if (blocked.has(slot)) continue;
+
+      const seatsTaken = await this.countConfirmedGuests(event._id, null, rsvp.occurrenceDate, session);
+      if (seatsTaken + rsvp.guestsCount > event.capacity) {
+        blocked.add(slot);
+        continue;
+      }
+
+      rsvp.waitlisted = false;
+      rsvp.waitlistedAt = undefined;
+      await rsvp.save({ session });
+      await mongoose.model('Invitation').syncWithRsvp(rsvp, session);
+      promoted.push(rsvp);
+    }
+
+    return promoted;
+  });
+};
+
 module.exports = mongoose.model('RSVP', rsvpSchema);
\ No newline at end of file
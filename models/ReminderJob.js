@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One scheduled email per invitation, reminder rule and target instant.
+// Persisted so a restart neither loses due reminders nor sends them twice.
+const reminderJobSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  invitationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation',
+    required: true
+  },
+  // 'reminder' goes to guests going or maybe; 'nudge' to invitees with no answer
+  kind: {
+    type: String,
+    enum: ['reminder', 'nudge'],
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  // Occurrence day for recurring events; null for single events and deadline nudges
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // The instant the offset counts back from (event start or RSVP deadline).
+  // If the event moves, old jobs no longer match and are skipped.
+  targetAt: {
+    type: Date,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'sent', 'skipped', 'failed'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  messageId: {
+    type: String
+  },
+  // Why a job was skipped, or the last delivery error
+  reason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+reminderJobSchema.index(
+  { invitationId: 1, kind: 1, offsetMinutes: 1, occurrenceDate: 1, targetAt: 1 },
+  { unique: true }
+);
+reminderJobSchema.index({ status: 1, runAt: 1 });
+reminderJobSchema.index({ eventId: 1, runAt: 1 });
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_VALUES, DEFAULT_ROLE } = require('../config/roles');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   googleId: {
@@ -29,8 +31,30 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: {
+      values: ROLE_VALUES,
+      message: `Role must be one of: ${ROLE_VALUES.join(', ')}`
+    },
+    default: DEFAULT_ROLE
+  },
+  // Preferred IANA timezone for rendering event times; null uses each event's own zone
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidTimeZone(value),
+      message: 'Timezone must be a valid IANA timezone (e.g. Europe/London)'
+    }
+  },
+  // SHA-256 of the secret in the calendar feed URL; unset means the feed is off
+  calendarTokenHash: {
+    type: String,
+    select: false
+  },
+  // Created by a bulk invitation for an unknown email; claimed by registering with one of its RSVP links
+  isPlaceholder: {
+    type: Boolean,
+    default: false
   },
   isVerified: {
     type: Boolean,
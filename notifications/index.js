@@ -0,0 +1,153 @@
+const { SmtpError, createSmtpTransport } = require('./transports/smtp');
+const { createFileTransport, createConsoleTransport } = require('./transports/local');
+const { renderInvitationEmail } = require('./templates/invitationEmail');
+const { renderReminderEmail } = require('./templates/reminderEmail');
+const { buildRsvpUrl } = require('../utils/rsvpToken');
+
+/**
+ * Outgoing email. The transport is picked from the environment on first use:
+ * MAIL_TRANSPORT=smtp|file|console, defaulting to smtp when SMTP_HOST is set
+ * and to console otherwise. Every transport exposes send(message) → { messageId }.
+ */
+
+let transport = null;
+let retryPolicy = null;
+
+const readRetryPolicy = () => ({
+  attempts: Math.max(1, parseInt(process.env.MAIL_RETRY_ATTEMPTS, 10) || 3),
+  baseDelayMs: Math.max(0, parseInt(process.env.MAIL_RETRY_BASE_MS, 10) || 1000)
+});
+
+const createTransportFromEnv = () => {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (kind) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined,
+        requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ directory: process.env.MAIL_DIR || 'mail-outbox' });
+    case 'console':
+      return createConsoleTransport({ verbose: process.env.NODE_ENV === 'development' });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+};
+
+// Tests swap in a console transport or one that fails on purpose
+const setTransport = (next) => {
+  transport = next;
+};
+
+const setRetryPolicy = (next) => {
+  retryPolicy = next ? { ...readRetryPolicy(), ...next } : null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a message, retrying transient failures with exponential backoff
+ * (base, 2×base, 4×base…). Permanent failures such as a rejected recipient
+ * are not retried. Resolves { messageId, attempts }; on failure the error
+ * carries the attempt count. options.attempts overrides the policy's count.
+ */
+const sendWithRetry = async (message, options = {}) => {
+  const policy = retryPolicy || readRetryPolicy();
+  const attempts = options.attempts || policy.attempts;
+  const { baseDelayMs } = policy;
+  const mailer = getTransport();
+  const from = message.from || process.env.MAIL_FROM || 'EventEase <no-reply@eventease.local>';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await mailer.send({ ...message, from });
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      if (error.permanent || attempt >= attempts) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// One-click links to the RSVP page for the signed token; no login needed
+const buildResponseLinks = (rsvpToken) => {
+  const base = buildRsvpUrl(rsvpToken);
+  return {
+    accept: `${base}?status=going`,
+    decline: `${base}?status=not_going`
+  };
+};
+
+const formatRecipient = (guest) =>
+  guest.name ? `"${guest.name.replace(/["\\\r\n]/g, '')}" <${guest.email}>` : guest.email;
+
+/**
+ * Renders and sends the invitation email in a single attempt; failures are
+ * retried in the background by jobs/invitationEmails. Expects the invitation
+ * with its event, guest and organizer documents and a signed RSVP token for
+ * the links.
+ */
+const sendInvitationEmail = async ({ invitation, event, guest, organizer, rsvpToken }) => {
+  const { subject, text, html } = renderInvitationEmail({
+    invitation,
+    event,
+    guest,
+    organizer,
+    links: buildResponseLinks(rsvpToken)
+  });
+
+  return sendWithRetry({
+    to: formatRecipient(guest),
+    subject,
+    text,
+    html,
+    headers: { 'X-EventEase-Invitation': String(invitation._id) }
+  }, { attempts: 1 });
+};
+
+/**
+ * Renders and sends a reminder or nudge (see templates/reminderEmail).
+ * rsvpToken is optional; without it the email has no answer links.
+ */
+const sendReminderEmail = async ({ invitation, guest, rsvpToken, ...details }) => {
+  const { subject, text, html } = renderReminderEmail({
+    guest,
+    links: rsvpToken ? buildResponseLinks(rsvpToken) : null,
+    ...details
+  });
+
+  return sendWithRetry({
+    to: formatRecipient(guest),
+    subject,
+    text,
+    html,
+    headers: { 'X-EventEase-Invitation': String(invitation._id) }
+  });
+};
+
+module.exports = {
+  SmtpError,
+  getTransport,
+  setTransport,
+  setRetryPolicy,
+  sendWithRetry,
+  sendInvitationEmail,
+  sendReminderEmail,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
@@ -0,0 +1,84 @@
+const { DEFAULT_TIMEZONE, computeSchedule } = require('../../utils/timezone');
+
+/**
+ * Invitation email: subject plus matching plain-text and HTML bodies with
+ * the event details and accept/decline links.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// "Saturday, November 14, 2026, 6:00 PM – 8:00 PM (America/New_York)"
+const formatWhen = (startsAt, endsAt, timeZone) => {
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  }).format(startsAt);
+  const clock = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+
+  return `${day}, ${clock.format(startsAt)} – ${clock.format(endsAt)} (${timeZone})`;
+};
+
+/**
+ * renderInvitationEmail({ invitation, event, guest, organizer, links })
+ * links is { accept, decline }. For occurrence invitations the date shown
+ * is that occurrence's, otherwise the event's first date.
+ */
+const renderInvitationEmail = ({ invitation, event, guest, organizer, links }) => {
+  const timeZone = event.timezone || DEFAULT_TIMEZONE;
+  const { startsAt, endsAt } = invitation.occurrenceDate
+    ? computeSchedule(invitation.occurrenceDate, event.time, timeZone, event.durationMinutes)
+    : { startsAt: event.startsAt, endsAt: event.endsAt };
+
+  const when = formatWhen(startsAt, endsAt, timeZone);
+  const organizerName = organizer?.name || 'The organizer';
+  const subject = `You're invited: ${event.title}`;
+  const repeats = event.recurrence && !invitation.occurrenceDate
+    ? `Repeats ${event.recurrence.frequency}, starting on the date above.`
+    : null;
+
+  const text = [
+    `Hi ${guest.name},`,
+    '',
+    `${organizerName} has invited you to ${event.title}.`,
+    '',
+    `When:  ${when}`,
+    `Where: ${event.location}`,
+    repeats,
+    event.description ? `\n${event.description}` : null,
+    invitation.message ? `\nMessage from ${organizerName}:\n${invitation.message}` : null,
+    '',
+    `Accept:  ${links.accept}`,
+    `Decline: ${links.decline}`,
+    ''
+  ].filter(line => line !== null).join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+  <p>Hi ${escapeHtml(guest.name)},</p>
+  <p>${escapeHtml(organizerName)} has invited you to <strong>${escapeHtml(event.title)}</strong>.</p>
+  <table style="border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="padding: 4px 12px 4px 0;"><strong>When</strong></td><td>${escapeHtml(when)}</td></tr>
+    <tr><td style="padding: 4px 12px 4px 0;"><strong>Where</strong></td><td>${escapeHtml(event.location)}</td></tr>
+  </table>
+${repeats ? `  <p>${escapeHtml(repeats)}</p>\n` : ''}${event.description ? `  <p>${escapeHtml(event.description)}</p>\n` : ''}${invitation.message ? `  <blockquote style="border-left: 3px solid #ccc; margin: 16px 0; padding-left: 12px;">${escapeHtml(invitation.message)}</blockquote>\n` : ''}  <p>
+    <a href="${escapeHtml(links.accept)}" style="background: #2e7d32; color: #fff; padding: 10px 18px; text-decoration: none; border-radius: 4px;">Accept</a>
+    &nbsp;
+    <a href="${escapeHtml(links.decline)}" style="background: #c62828; color: #fff; padding: 10px 18px; text-decoration: none; border-radius: 4px;">Decline</a>
+  </p>
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  escapeHtml,
+  formatWhen,
+  renderInvitationEmail
+};
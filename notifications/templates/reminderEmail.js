@@ -0,0 +1,85 @@
+const { DEFAULT_TIMEZONE } = require('../../utils/timezone');
+const { escapeHtml, formatWhen } = require('./invitationEmail');
+
+/**
+ * Reminder (guest is going or maybe) and nudge (guest has not answered)
+ * emails. startsAt/endsAt are for the occurrence being reminded about.
+ */
+
+// "in 7 days", "in 1 day", "in 3 hours"
+const describeLead = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `in ${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * renderReminderEmail({ kind, offsetMinutes, event, guest, rsvp, startsAt,
+ * endsAt, deadline, links }) → { subject, text, html }. links may be null
+ * when the guest's RSVP link is revoked.
+ */
+const renderReminderEmail = ({ kind, offsetMinutes, event, guest, rsvp, startsAt, endsAt, deadline, links }) => {
+  const timeZone = event.timezone || DEFAULT_TIMEZONE;
+  const when = formatWhen(startsAt, endsAt, timeZone);
+  const lead = describeLead(offsetMinutes);
+
+  let subject;
+  let intro;
+  if (kind === 'nudge') {
+    subject = deadline
+      ? `Please RSVP to ${event.title} – responses close ${lead}`
+      : `Please RSVP to ${event.title}`;
+    intro = deadline
+      ? `You haven't answered your invitation to ${event.title} yet. Responses close ${lead}.`
+      : `You haven't answered your invitation to ${event.title} yet. It starts ${lead}.`;
+  } else {
+    subject = `Reminder: ${event.title} is ${lead}`;
+    intro = rsvp?.status === 'maybe'
+      ? `${event.title} is ${lead}, and you answered maybe. Let the organizer know if you can make it.`
+      : `${event.title} is ${lead}. See you there!`;
+  }
+
+  const action = kind === 'nudge' ? 'Answer now' : 'Change your answer';
+  const text = [
+    `Hi ${guest.name},`,
+    '',
+    intro,
+    '',
+    `When:  ${when}`,
+    `Where: ${event.location}`,
+    rsvp?.guestsCount > 1 ? `Party: ${rsvp.guestsCount} guests` : null,
+    links ? `\nGoing:     ${links.accept}` : null,
+    links ? `Not going: ${links.decline}` : null,
+    ''
+  ].filter(line => line !== null).join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+  <p>Hi ${escapeHtml(guest.name)},</p>
+  <p>${escapeHtml(intro)}</p>
+  <table style="border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="padding: 4px 12px 4px 0;"><strong>When</strong></td><td>${escapeHtml(when)}</td></tr>
+    <tr><td style="padding: 4px 12px 4px 0;"><strong>Where</strong></td><td>${escapeHtml(event.location)}</td></tr>
+  </table>
+${links ? `  <p>${action}:
+    <a href="${escapeHtml(links.accept)}">Going</a> &middot;
+    <a href="${escapeHtml(links.decline)}">Not going</a>
+  </p>
+` : ''}</body>
+</html>
+`;
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  describeLead,
+  renderReminderEmail
+};
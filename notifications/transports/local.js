@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Transports for tests and local development: nothing leaves the machine.
+ */
+
+const MAX_OUTBOX = 50;
+
+const newMessageId = () => `<${crypto.randomUUID()}@eventease.local>`;
+
+/**
+ * Writes each message to <directory>/<timestamp>-<recipient>.json with its
+ * text and HTML bodies, so emails can be opened and inspected.
+ */
+const createFileTransport = ({ directory }) => {
+  if (!directory) throw new Error('File transport needs a directory (MAIL_DIR)');
+
+  const send = async (message) => {
+    const messageId = newMessageId();
+    const recipient = message.to.replace(/[^a-z0-9@._-]+/gi, '_');
+    const file = path.join(directory, `${Date.now()}-${recipient}.json`);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2));
+
+    return { messageId, file };
+  };
+
+  return { name: 'file', send };
+};
+
+/**
+ * Logs a one-line summary (plus the text body when verbose) and keeps the
+ * most recent messages in transport.outbox for tests.
+ */
+const createConsoleTransport = ({ verbose = false, logger = console } = {}) => {
+  const outbox = [];
+
+  const send = async (message) => {
+    const messageId = newMessageId();
+    outbox.push({ messageId, ...message });
+    if (outbox.length > MAX_OUTBOX) outbox.shift();
+
+    logger.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}`);
+    if (verbose) logger.log(message.text);
+
+    return { messageId };
+  };
+
+  return { name: 'console', send, outbox };
+};
+
+module.exports = {
+  createFileTransport,
+  createConsoleTransport
+};
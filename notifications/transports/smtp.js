@@ -0,0 +1,65 @@
+const os = require('os');
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport on nodemailer, which takes care of implicit TLS or
+ * STARTTLS, AUTH, RFC 2047 header encoding and address parsing. Header
+ * values are folded onto one line, so guest names cannot inject headers.
+ */
+
+class SmtpError extends Error {
+  constructor(message, responseCode) {
+    super(message);
+    this.name = 'SmtpError';
+    this.responseCode = responseCode;
+    // 5xx replies will fail the same way again, so they are not retried
+    this.permanent = responseCode >= 500;
+  }
+}
+
+/**
+ * createSmtpTransport({ host, port, secure, user, pass, requireTLS, timeoutMs })
+ * returns a transport with send(message) → { messageId }. timeoutMs bounds
+ * connecting, the server greeting and every later wait on the socket.
+ */
+const createSmtpTransport = ({
+  host,
+  port = 587,
+  secure = port === 465,
+  user,
+  pass,
+  requireTLS = false,
+  timeoutMs = 30000,
+  clientName = os.hostname()
+}) => {
+  if (!host) throw new Error('SMTP transport needs a host (SMTP_HOST)');
+
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS,
+    name: clientName,
+    auth: user ? { user, pass: pass || '' } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+
+  const send = async ({ from, to, subject, text, html, headers = {} }) => {
+    try {
+      const { messageId } = await mailer.sendMail({ from, to, subject, text, html, headers });
+      return { messageId };
+    } catch (error) {
+      if (!error.responseCode) throw error;
+      throw new SmtpError(`SMTP ${error.response || error.responseCode}`, error.responseCode);
+    }
+  };
+
+  return { name: 'smtp', send };
+};
+
+module.exports = {
+  SmtpError,
+  createSmtpTransport
+};
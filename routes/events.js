@@ -1,17 +1,40 @@
 const express = require('express');
 const {
   createEvent,
+  importEvents,
   getEvents,
+  searchEvents,
+  getOccurrences,
+  getEventOccurrences,
   getEvent,
+  getEventCalendar,
   updateEvent,
   deleteEvent,
+  restoreEvent,
+  publishEvent,
+  cancelEvent,
+  completeEvent,
+  getEventReminders,
+  updateEventReminders,
+  previewEventReminders,
+  updateEventQuestions,
+  getEventStats,
+  checkInGuests,
+  resolveTimeZone,
   validateEventCreation,
-  validateEventUpdate
+  validateEventUpdate,
+  validateEventQuery
 } = require('../controllers/eventsController');
-const { protect } = require('../middleware/auth'); // Changed from auth to { protect }
+const { getEventRSVPs, getEventAnswers, getEventWaitlist, exportEventGuests } = require('../controllers/rsvpsController');
+const { bulkCreateInvitations } = require('../controllers/invitationsController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth'); // Changed from auth to { protect }
+const { EVENT_MANAGER_ROLES, CHECK_IN_ROLES } = require('../config/roles');
 
 const router = express.Router();
 
+// Every event response honours ?tz= / X-Timezone for its local times
+router.use(resolveTimeZone);
+
 /**
  * @swagger
  * components:
@@ -38,7 +61,38 @@ const router = express.Router();
  *           description: Event date (YYYY-MM-DD)
  *         time:
  *           type: string
- *           description: Event time (HH:MM)
+ *           description: Event time (HH:MM) in the event timezone
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone the date and time are expressed in
+ *           default: UTC
+ *         durationMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10080
+ *           default: 60
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: UTC start instant, computed from date, time and timezone
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: UTC end instant, startsAt plus durationMinutes
+ *         local:
+ *           type: object
+ *           readOnly: true
+ *           description: Start and end rendered in the caller's preferred timezone
+ *           properties:
+ *             timezone:
+ *               type: string
+ *               example: America/New_York
+ *             startsAt:
+ *               type: string
+ *               example: '2024-07-15T18:00:00-04:00'
+ *             endsAt:
+ *               type: string
+ *               example: '2024-07-15T20:00:00-04:00'
  *         location:
  *           type: string
  *           description: Event location
@@ -54,6 +108,22 @@ const router = express.Router();
  *           type: number
  *           description: Event price
  *           default: 0
+ *         rsvpDeadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Responses close at this instant (must be before the event starts)
+ *         allowLateResponses:
+ *           type: boolean
+ *           default: false
+ *           description: Keep accepting responses after rsvpDeadline
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         questions:
+ *           type: array
+ *           description: Questions guests answer with their RSVP (set with PUT /api/events/{id}/questions)
+ *           items:
+ *             $ref: '#/components/schemas/RsvpQuestion'
  *         organizerId:
  *           type: string
  *           description: ID of the event organizer
@@ -67,6 +137,51 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     Recurrence:
+ *       type: object
+ *       nullable: true
+ *       description: RRULE-style repeat rule; the event date is the first occurrence
+ *       required:
+ *         - frequency
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 99
+ *           default: 1
+ *           description: Repeat every N days/weeks/months
+ *         byWeekday:
+ *           type: array
+ *           description: Weekly only; defaults to the weekday of the event date
+ *           items:
+ *             type: string
+ *             enum: [SU, MO, TU, WE, TH, FR, SA]
+ *         until:
+ *           type: string
+ *           format: date
+ *           description: Last possible occurrence date (cannot be combined with count)
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           description: Number of occurrences (cannot be combined with until)
+ *         exceptions:
+ *           type: array
+ *           description: Occurrence dates that are skipped
+ *           items:
+ *             type: string
+ *             format: date
+ *   parameters:
+ *     TimeZone:
+ *       in: query
+ *       name: tz
+ *       schema:
+ *         type: string
+ *         example: Europe/London
+ *       description: IANA timezone for the local times in the response (also accepted as the X-Timezone header). Defaults to the caller's saved timezone, then the event's own.
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -127,6 +242,14 @@ router.get('/test', (req, res) => {
  *                 type: string
  *                 pattern: '^([01]\d|2[0-3]):([0-5]\d)$'
  *                 example: '18:00'
+ *               timezone:
+ *                 type: string
+ *                 example: America/New_York
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10080
+ *                 example: 120
  *               location:
  *                 type: string
  *                 minLength: 3
@@ -145,6 +268,16 @@ router.get('/test', (req, res) => {
  *                 type: number
  *                 minimum: 0
  *                 example: 25.99
+ *               rsvpDeadline:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: '2024-07-13T23:59:00Z'
+ *               allowLateResponses:
+ *                 type: boolean
+ *                 example: false
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -165,16 +298,110 @@ router.get('/test', (req, res) => {
  *         description: Invalid input or validation failed
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Only organizers and admins can create events
  *       500:
  *         description: Server error
  */
-router.post('/', protect, validateEventCreation, createEvent); // Added validation
+router.post('/', protect, authorize(...EVENT_MANAGER_ROLES), validateEventCreation, createEvent); // Added validation
+
+/**
+ * @swagger
+ * /api/events/import:
+ *   post:
+ *     summary: Import events from an iCalendar (.ics) file
+ *     description: Each VEVENT is created as a draft event using the same rules as POST /api/events. Cancelled VEVENTs, modified occurrences and UIDs you already imported are skipped; VEVENTs that break the rules or use unsupported recurrence rules fail. The report lists every VEVENT in file order.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without saving anything
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: Europe/London
+ *         description: IANA timezone for floating and all-day times (defaults to your saved timezone, then UTC)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *             example: "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:team-offsite-1\r\nSUMMARY:Team Offsite\r\nDTSTART;TZID=Europe/London:20990301T090000\r\nDTEND;TZID=Europe/London:20990301T170000\r\nLOCATION:Lake House\r\nEND:VEVENT\r\nEND:VCALENDAR"
+ *     responses:
+ *       200:
+ *         description: Dry-run report, or nothing was created
+ *       201:
+ *         description: Import report with at least one created event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       uid:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [created, skipped, failed]
+ *                       eventId:
+ *                         type: string
+ *                         nullable: true
+ *                       reason:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Body is not an iCalendar document, has no VEVENTs or too many
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Only organizers and admins can import events
+ */
+router.post(
+  '/import',
+  protect,
+  authorize(...EVENT_MANAGER_ROLES),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  importEvents
+);
 
 /**
  * @swagger
  * /api/events:
  *   get:
- *     summary: Get all events
+ *     summary: Get events with filters, sorting and cursor pagination
  *     tags: [Events]
  *     parameters:
  *       - in: query
@@ -194,9 +421,59 @@ router.post('/', protect, validateEventCreation, createEvent); // Added validati
  *         schema:
  *           type: string
  *         description: Filter by organizer ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or before this date
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive location substring
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: hasSeats
+ *         schema:
+ *           type: boolean
+ *         description: true for events with seats left, false for full events
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startsAt, -startsAt, date, -date, createdAt, -createdAt, price, -price, capacity, -capacity, title, -title]
+ *           default: startsAt
+ *         description: Sort field, prefix with - for descending
+ *       - $ref: '#/components/parameters/TimeZone'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
  *     responses:
  *       200:
- *         description: List of all events
+ *         description: One page of events
  *         content:
  *           application/json:
  *             schema:
@@ -208,14 +485,91 @@ router.post('/', protect, validateEventCreation, createEvent); // Added validati
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 hasMore:
+ *                   type: boolean
+ *                   example: true
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as cursor to fetch the next page; null on the last page
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/', optionalAuth, validateEventQuery, getEvents);
+
+/**
+ * @swagger
+ * /api/events/search:
+ *   get:
+ *     summary: Full-text search across event title, description and location
+ *     description: Results are ranked by relevance. Anonymous callers only see published events; signed-in organizers also see their own drafts.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *         example: summer party
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching events with a relevance score and HTML snippets (matches wrapped in &lt;mark&gt;) under highlights
+ *       400:
+ *         description: Missing or invalid search query
  *       500:
  *         description: Server error
  */
-router.get('/', getEvents);
+// Must stay above /:id so "search" is not treated as an ID
+router.get('/search', optionalAuth, searchEvents);
+
+/**
+ * @swagger
+ * /api/events/occurrences:
+ *   get:
+ *     summary: List event occurrences in a date window
+ *     description: Recurring events are expanded into one entry per occurrence. Anonymous callers only see published events; signed-in organizers also see their own.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Window start (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Window end, inclusive (defaults to from + 90 days, at most 366 days)
+ *       - $ref: '#/components/parameters/TimeZone'
+ *     responses:
+ *       200:
+ *         description: Occurrences ordered by start instant, with startsAt/endsAt and local times
+ *       400:
+ *         description: Invalid date window
+ */
+// Must stay above /:id so "occurrences" is not treated as an ID
+router.get('/occurrences', optionalAuth, getOccurrences);
 
 /**
  * @swagger
@@ -231,6 +585,7 @@ router.get('/', getEvents);
  *         required: true
  *         description: Event ID
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/TimeZone'
  *     responses:
  *       200:
  *         description: Event data
@@ -251,13 +606,13 @@ router.get('/', getEvents);
  *       500:
  *         description: Server error
  */
-router.get('/:id', getEvent);
+router.get('/:id', optionalAuth, getEvent);
 
 /**
  * @swagger
- * /api/events/{id}:
- *   put:
- *     summary: Update event
+ * /api/events/{id}/rsvps:
+ *   get:
+ *     summary: Get RSVPs for an event
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -269,87 +624,40 @@ router.get('/:id', getEvent);
  *         required: true
  *         description: Event ID
  *         example: 507f1f77bcf86cd799439011
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 100
- *                 example: Updated Summer BBQ Party
- *               description:
- *                 type: string
- *                 maxLength: 2000
- *                 example: Updated description with more details
- *               date:
- *                 type: string
- *                 format: date
- *                 pattern: '^\d{4}-\d{2}-\d{2}$'
- *                 example: '2024-07-20'
- *               time:
- *                 type: string
- *                 pattern: '^([01]\d|2[0-3]):([0-5]\d)$'
- *                 example: '19:00'
- *               location:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 200
- *                 example: 'Updated Park Location'
- *               category:
- *                 type: string
- *                 enum: [wedding, birthday, conference, meeting, party, other]
- *                 example: party
- *               capacity:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 10000
- *                 example: 200
- *               price:
- *                 type: number
- *                 minimum: 0
- *                 example: 30.00
- *               status:
- *                 type: string
- *                 enum: [draft, published, cancelled, completed]
- *                 example: published
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [going, maybe, not_going]
+ *         description: Filter by RSVP status
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only RSVPs that apply to this occurrence (including series-wide answers)
  *     responses:
  *       200:
- *         description: Event updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Event updated successfully
- *                 data:
- *                   $ref: '#/components/schemas/Event'
+ *         description: RSVPs for the event with per-status counts
  *       400:
- *         description: Invalid input or validation failed
+ *         description: Invalid event ID, status or occurrence date
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Not authorized to update this event
+ *         description: Not the event organizer
  *       404:
  *         description: Event not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', protect, validateEventUpdate, updateEvent); // Added validation
+router.get('/:id/rsvps', protect, getEventRSVPs);
 
 /**
  * @swagger
- * /api/events/{id}:
- *   delete:
- *     summary: Delete event
+ * /api/events/{id}/rsvps/answers:
+ *   get:
+ *     summary: Aggregated answers to the event's RSVP questions
+ *     description: One entry per question in the event's order. Choice questions list a count per option (options removed after guests picked them are flagged removed), number questions give min, max and average, and text questions list the most common responses.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -360,32 +668,898 @@ router.put('/:id', protect, validateEventUpdate, updateEvent); // Added validati
  *           type: string
  *         required: true
  *         description: Event ID
- *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [going, maybe, not_going]
+ *         description: Only count answers from RSVPs with this status
  *     responses:
  *       200:
- *         description: Event deleted successfully
+ *         description: Per-question summaries; count is the number of RSVPs considered
+ *       400:
+ *         description: Invalid event ID format or status
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id/rsvps/answers', protect, getEventAnswers);
+
+/**
+ * @swagger
+ * /api/events/{id}/stats:
+ *   get:
+ *     summary: Attendance dashboard for an event
+ *     description: Invitation funnel, RSVP breakdown with party sizes, remaining capacity, daily responses with the running response rate, and the time from sentAt to a guest's first answer (firstRespondedAt). Computed with aggregation pipelines.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Stats for one occurrence of a recurring event (series-wide invitations and answers included)
+ *     responses:
+ *       200:
+ *         description: Event stats
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Event deleted successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: object
+ *                       description: Counts per status plus delivered (has sentAt), responded and responseRate (percent)
+ *                       example: { total: 40, pending: 5, sent: 10, accepted: 20, declined: 5, delivered: 35, responded: 27, responseRate: 67.5 }
+ *                     rsvps:
+ *                       type: object
+ *                       example: { going: { count: 20, guests: 34, confirmedGuests: 31, waitlisted: 2 }, maybe: { count: 2, guests: 2 }, not_going: { count: 5, guests: 5 }, total: 27 }
+ *                     capacity:
+ *                       type: object
+ *                       example: { total: 50, taken: 31, remaining: 19 }
+ *                     attendance:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Confirmed guests against guests checked in at the door; rate is a percent. Null for a recurring event unless occurrenceDate is given, as each occurrence is checked in separately
+ *                       example: { expectedGuests: 31, checkedInGuests: 26, checkedInParties: 17, notArrived: 5, rate: 83.9 }
+ *                     responseTimeline:
+ *                       type: array
+ *                       description: One entry per day (in the event timezone) from the first response to the last
+ *                       items:
+ *                         type: object
+ *                         example: { date: '2026-05-02', responses: 4, cumulative: 12, responseRate: 30 }
+ *                     responseLatency:
+ *                       type: object
+ *                       example: { responses: 25, averageSeconds: 93600, minSeconds: 120, maxSeconds: 604800 }
  *       400:
- *         description: Invalid event ID format
- *       401:
- *         description: Not authenticated
+ *         description: Invalid event ID or occurrence date
  *       403:
- *         description: Not authorized to delete this event
+ *         description: Not the event organizer or an admin
  *       404:
  *         description: Event not found
- *       500:
- *         description: Server error
  */
-router.delete('/:id', protect, deleteEvent);
+router.get('/:id/stats', protect, authorize(...EVENT_MANAGER_ROLES), getEventStats);
+
+/**
+ * @swagger
+ * /api/events/{id}/check-in:
+ *   post:
+ *     summary: Check in guests by scanning their ticket
+ *     description: Validates the ticket code from a guest's QR code and records who arrived, when and who scanned them. A party can arrive in several groups by checking in fewer guests than remain; a ticket with nobody left to admit is rejected. Each occurrence of a recurring event is checked in separately, so a series ticket admits its party once per occurrence. Open to the event organizer, staff and admins.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Ticket code as scanned or typed (case, spaces and dashes are ignored)
+ *                 example: K7QM3XRP9TWA
+ *               guests:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: How many of the party are arriving now; defaults to everyone not yet checked in
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Recurring events only – the occurrence being checked in; defaults to today in the event timezone
+ *     responses:
+ *       200:
+ *         description: Guests checked in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   example: { rsvpId: '665f1c2e8a1b2c3d4e5f6a7b', guest: { name: 'Ada Guest', email: 'ada@example.com' }, occurrenceDate: null, checkInDate: '2026-06-01', guestsCount: 3, checkedInCount: 2, remaining: 1, checkIns: [{ guests: 2, checkedInAt: '2026-06-01T18:02:11.000Z', occurrenceDate: '2026-06-01T00:00:00.000Z', scannedBy: { name: 'Door Staff' } }] }
+ *       400:
+ *         description: Missing code, invalid guests or occurrence date, more guests than remain, or the event is not published or completed
+ *       403:
+ *         description: Not the event organizer, staff or an admin
+ *       404:
+ *         description: Event or ticket not found
+ *       409:
+ *         description: Everyone on the ticket is already checked in, the RSVP is no longer confirmed, or the ticket is for another occurrence
+ */
+router.post('/:id/check-in', protect, authorize(...CHECK_IN_ROLES), checkInGuests);
+
+/**
+ * @swagger
+ * /api/events/{id}/guests.csv:
+ *   get:
+ *     summary: Export the guest list with RSVP responses
+ *     description: One row per RSVP (or per invitation without an answer yet), joining invitation, RSVP and guest details. The file is streamed, so large guest lists are fine.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *         description: csv for spreadsheets, jsonl for one JSON object per line
+ *     responses:
+ *       200:
+ *         description: Columns guestName, guestEmail, occurrenceDate, invitationStatus, sentAt, rsvpStatus, waitlisted, guestsCount, companions, notes, respondedAt
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid event ID or format
+ *       403:
+ *         description: Not the event organizer or an admin
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id/guests.csv', protect, exportEventGuests);
+
+/**
+ * @swagger
+ * /api/events/{id}/invitations/bulk:
+ *   post:
+ *     summary: Invite many guests by email
+ *     description: Send JSON with an emails array, or a CSV body (text/csv) with an email column and optional name column; CSV uploads pass their options as query parameters. Emails are matched to existing users. Guests who are already invited are skipped. Every row gets a result.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createPlaceholders
+ *         schema:
+ *           type: boolean
+ *         description: CSV uploads only – create placeholder guest accounts for unknown emails
+ *       - in: query
+ *         name: message
+ *         schema:
+ *           type: string
+ *         description: CSV uploads only – invitation message
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: CSV uploads only – invite to one occurrence of a recurring event
+ *       - in: query
+ *         name: plusOnes
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 19
+ *         description: CSV uploads only – companions each guest may bring
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emails
+ *             properties:
+ *               emails:
+ *                 type: array
+ *                 maxItems: 5000
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       format: email
+ *                     - type: object
+ *                       properties:
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                         name:
+ *                           type: string
+ *                 example: ['ana@example.com', { email: 'ben@example.com', name: 'Ben' }]
+ *               createPlaceholders:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create placeholder guest accounts for unknown emails; registering with the email and a claimToken (the invitation's RSVP link token) claims the account
+ *               message:
+ *                 type: string
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *               plusOnes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 19
+ *                 description: Companions each guest may bring (omit for no limit)
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "email,name\nana@example.com,Ana\nben@example.com,Ben"
+ *     responses:
+ *       200:
+ *         description: Report where no invitation was created
+ *       201:
+ *         description: Per-row report with at least one invitation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     invited:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     placeholdersCreated:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       email:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [invited, skipped, failed]
+ *                       guestId:
+ *                         type: string
+ *                       invitationId:
+ *                         type: string
+ *                       placeholder:
+ *                         type: boolean
+ *                       reason:
+ *                         type: string
+ *       400:
+ *         description: No emails, too many emails, or the event cannot take invitations
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ */
+router.post(
+  '/:id/invitations/bulk',
+  protect,
+  authorize(...EVENT_MANAGER_ROLES),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  bulkCreateInvitations
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/calendar.ics:
+ *   get:
+ *     summary: Download an event as an iCalendar file
+ *     description: Returns a VCALENDAR with one VEVENT (including the RRULE for recurring events). Cancelled events are exported with STATUS:CANCELLED. Anyone can download a published event; drafts and other unpublished events only their organizer and admins.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid event ID format
+ *       404:
+ *         description: Event not found, or not visible to the caller
+ */
+router.get('/:id/calendar.ics', optionalAuth, getEventCalendar);
+
+/**
+ * @swagger
+ * /api/events/{id}/occurrences:
+ *   get:
+ *     summary: Expand one event's occurrences in a date window
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Window start (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Window end, inclusive (defaults to from + 90 days, at most 366 days)
+ *     responses:
+ *       200:
+ *         description: Occurrences of the event within the window
+ *       400:
+ *         description: Invalid event ID or date window
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id/occurrences', getEventOccurrences);
+
+/**
+ * @swagger
+ * /api/events/{id}/waitlist:
+ *   get:
+ *     summary: Get the ordered waitlist for an event
+ *     description: Guests whose 'going' RSVP exceeded capacity, in the order they will be promoted.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Waitlist of one occurrence of a recurring event (defaults to the series waitlist)
+ *     responses:
+ *       200:
+ *         description: Waitlisted RSVPs with their position, plus capacity and seats left
+ *       400:
+ *         description: Invalid event ID format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/waitlist', protect, getEventWaitlist);
+
+/**
+ * @swagger
+ * /api/events/{id}:
+ *   put:
+ *     summary: Update event
+ *     description: Status cannot be changed here – use the publish, cancel and complete endpoints.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 100
+ *                 example: Updated Summer BBQ Party
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: Updated description with more details
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 pattern: '^\d{4}-\d{2}-\d{2}$'
+ *                 example: '2024-07-20'
+ *               time:
+ *                 type: string
+ *                 pattern: '^([01]\d|2[0-3]):([0-5]\d)$'
+ *                 example: '19:00'
+ *               timezone:
+ *                 type: string
+ *                 example: America/New_York
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10080
+ *                 example: 180
+ *               location:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 200
+ *                 example: 'Updated Park Location'
+ *               category:
+ *                 type: string
+ *                 enum: [wedding, birthday, conference, meeting, party, other]
+ *                 example: party
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10000
+ *                 example: 200
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 30.00
+ *               rsvpDeadline:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: '2024-07-13T23:59:00Z'
+ *               allowLateResponses:
+ *                 type: boolean
+ *                 example: false
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *     responses:
+ *       200:
+ *         description: Event updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Event updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Invalid input or validation failed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized to update this event
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, validateEventUpdate, updateEvent); // Added validation
+
+/**
+ * @swagger
+ * /api/events/{id}:
+ *   delete:
+ *     summary: Delete event
+ *     description: Permanently deletes the event with its invitations and RSVPs. Pass soft=true to archive it instead so it can be restored.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: soft
+ *         schema:
+ *           type: boolean
+ *         description: Archive the event instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Event deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Event deleted successfully
+ *       400:
+ *         description: Invalid event ID format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized to delete this event
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event has confirmed guests and is not cancelled
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, deleteEvent);
+
+/**
+ * @swagger
+ * /api/events/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event restored
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Archived event not found
+ */
+router.post('/:id/restore', protect, restoreEvent);
+
+/**
+ * @swagger
+ * /api/events/{id}/publish:
+ *   post:
+ *     summary: Publish a draft event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event published
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.post('/:id/publish', protect, publishEvent);
+
+/**
+ * @swagger
+ * /api/events/{id}/cancel:
+ *   post:
+ *     summary: Cancel a draft or published event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Venue unavailable
+ *     responses:
+ *       200:
+ *         description: Event cancelled
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.post('/:id/cancel', protect, cancelEvent);
+
+/**
+ * @swagger
+ * /api/events/{id}/complete:
+ *   post:
+ *     summary: Mark a published event as completed
+ *     description: Past published events are also completed automatically by a background job.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event completed
+ *       400:
+ *         description: Event has not started yet
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.post('/:id/complete', protect, completeEvent);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         beforeStartMinutes:
+ *           type: array
+ *           description: Minutes before each start to remind guests who are going or maybe
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 129600
+ *           default: [10080, 1440]
+ *         nudgeMinutes:
+ *           type: array
+ *           description: Minutes before the RSVP deadline (or each start when there is none) to nudge invitees who were emailed the invitation and have not answered
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 129600
+ *           default: [4320]
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/reminders:
+ *   get:
+ *     summary: Get the event's reminder settings
+ *     description: Returns the settings and how many reminder jobs are scheduled, sent, skipped or failed.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Settings and job history
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ *   put:
+ *     summary: Configure the event's reminders
+ *     description: Omitted fields keep their current value. Reminders are emailed by a background scheduler while the event is published.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderSettings'
+ *     responses:
+ *       200:
+ *         description: Reminders updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id/reminders', protect, authorize(...EVENT_MANAGER_ROLES), getEventReminders);
+router.put('/:id/reminders', protect, authorize(...EVENT_MANAGER_ROLES), updateEventReminders);
+
+/**
+ * @swagger
+ * /api/events/{id}/reminders/preview:
+ *   get:
+ *     summary: Preview upcoming reminders
+ *     description: Lists each upcoming reminder and nudge with its send time and the guests it would go to right now, plus a sample email of each kind. Nothing is sent.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *         description: How far ahead to look
+ *     responses:
+ *       200:
+ *         description: Upcoming runs (at most 100) with recipients and sample emails
+ *       400:
+ *         description: Invalid days
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id/reminders/preview', protect, authorize(...EVENT_MANAGER_ROLES), previewEventReminders);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RsvpQuestion:
+ *       type: object
+ *       required:
+ *         - label
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Send it back to keep an existing question and its answers; omit for a new question
+ *         label:
+ *           type: string
+ *           maxLength: 200
+ *           example: Meal choice
+ *         type:
+ *           type: string
+ *           enum: [text, single_choice, multi_choice, number]
+ *         required:
+ *           type: boolean
+ *           default: false
+ *           description: Guests who are going must answer it
+ *         options:
+ *           type: array
+ *           description: 2 to 20 choices, for single_choice and multi_choice only
+ *           items:
+ *             type: string
+ *             maxLength: 100
+ *           example: [Chicken, Fish, Vegetarian]
+ *         min:
+ *           type: number
+ *           description: Lowest allowed answer (number questions only)
+ *         max:
+ *           type: number
+ *           description: Highest allowed answer (number questions only)
+ */
+
+/**
+ * @swagger
+ * /api/events/{id}/questions:
+ *   put:
+ *     summary: Set the event's RSVP questions
+ *     description: Replaces the whole list, up to 20 questions. Guests answer with an answers object keyed by question _id when they RSVP; a question that has answers cannot change type.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questions
+ *             properties:
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpQuestion'
+ *     responses:
+ *       200:
+ *         description: Questions updated, with their ids
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Event not found
+ */
+router.put('/:id/questions', protect, authorize(...EVENT_MANAGER_ROLES), updateEventQuestions);
 
 module.exports = router;
\ No newline at end of file
@@ -1,4 +1,19 @@
 const express = require('express');
+const {
+  createInvitation,
+  getInvitations,
+  getInvitation,
+  updateInvitation,
+  deleteInvitation,
+  sendInvitation,
+  getRsvpLink,
+  rotateRsvpLink,
+  revokeRsvpLink,
+  getMyInvitations
+} = require('../controllers/invitationsController');
+const { protect, authorize } = require('../middleware/auth');
+const { EVENT_MANAGER_ROLES } = require('../config/roles');
+
 const router = express.Router();
 
 /**
@@ -19,30 +34,56 @@ router.get('/test', (req, res) => {
       getOne: 'GET /api/invitations/:id',
       update: 'PUT /api/invitations/:id',
       delete: 'DELETE /api/invitations/:id',
+      send: 'POST /api/invitations/:id/send',
+      rsvpLink: 'GET|POST|DELETE /api/invitations/:id/rsvp-token',
       myInvitations: 'GET /api/invitations/my-invitations'
     }
   });
 });
 
+/**
+ * @swagger
+ * /api/invitations/my-invitations:
+ *   get:
+ *     summary: Get my invitations
+ *     description: Each invitation includes rsvpWindow with the effective RSVP deadline (the guest's extension if later), whether responses are still open, and secondsLeft/timeLeft until it closes.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User's invitations
+ *       401:
+ *         description: Not authenticated
+ */
+// Must stay above /:id so "my-invitations" is not treated as an ID
+router.get('/my-invitations', protect, getMyInvitations);
+
 /**
  * @swagger
  * /api/invitations:
  *   get:
- *     summary: Get all invitations
+ *     summary: Get invitations visible to the current user
+ *     description: Returns invitations for events the caller organizes and invitations the caller received. Admins see all invitations.
  *     tags: [Invitations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, accepted, declined]
+ *         description: Filter by invitation status
  *     responses:
  *       200:
  *         description: List of invitations
+ *       400:
+ *         description: Invalid status filter
+ *       401:
+ *         description: Not authenticated
  */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'GET all invitations - Controller needed',
-    data: []
-  });
-});
+router.get('/', protect, getInvitations);
 
 /**
  * @swagger
@@ -68,17 +109,29 @@ router.get('/', (req, res) => {
  *                 type: string
  *               message:
  *                 type: string
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Invite to one occurrence of a recurring event instead of the whole series
+ *               plusOnes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 19
+ *                 nullable: true
+ *                 description: How many companions the guest may bring; omit or null for no limit beyond the 20-person party
  *     responses:
  *       201:
  *         description: Invitation created
+ *       400:
+ *         description: Invalid input or duplicate invitation
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an organizer/admin or not the event organizer
+ *       404:
+ *         description: Event or guest not found
  */
-router.post('/', (req, res) => {
-  res.status(201).json({
-    success: true,
-    message: 'Invitation created - Controller needed',
-    data: req.body
-  });
-});
+router.post('/', protect, authorize(...EVENT_MANAGER_ROLES), createInvitation);
 
 /**
  * @swagger
@@ -97,20 +150,19 @@ router.post('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Invitation details
+ *       403:
+ *         description: Not the organizer or the invited guest
+ *       404:
+ *         description: Invitation not found
  */
-router.get('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get invitation by ID - Controller needed',
-    id: req.params.id
-  });
-});
+router.get('/:id', protect, getInvitation);
 
 /**
  * @swagger
  * /api/invitations/{id}:
  *   put:
  *     summary: Update invitation
+ *     description: Once the guest has RSVP'd, status follows the answer (going → accepted, not_going → declined, maybe → sent) and cannot be set to anything else.
  *     tags: [Invitations]
  *     security:
  *       - bearerAuth: []
@@ -120,18 +172,39 @@ router.get('/:id', (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, sent, accepted, declined]
+ *               rsvpExtendedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Lets this guest respond after the event's RSVP deadline until this instant; null removes the extension
+ *               plusOnes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 19
+ *                 nullable: true
+ *                 description: How many companions the guest may bring; null removes the limit. Existing larger parties may keep their size.
  *     responses:
  *       200:
  *         description: Invitation updated
+ *       403:
+ *         description: Not an organizer/admin or not the event organizer
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Status contradicts the guest's RSVP
  */
-router.put('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Update invitation - Controller needed',
-    id: req.params.id,
-    updates: req.body
-  });
-});
+router.put('/:id', protect, authorize(...EVENT_MANAGER_ROLES), updateInvitation);
 
 /**
  * @swagger
@@ -149,34 +222,112 @@ router.put('/:id', (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Invitation deleted
+ *         description: Invitation and the guest's RSVP deleted
+ *       403:
+ *         description: Not an organizer/admin or not the event organizer
+ *       404:
+ *         description: Invitation not found
  */
-router.delete('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Delete invitation - Controller needed',
-    id: req.params.id
-  });
-});
+router.delete('/:id', protect, authorize(...EVENT_MANAGER_ROLES), deleteInvitation);
 
 /**
  * @swagger
- * /api/invitations/my-invitations:
+ * /api/invitations/{id}/send:
+ *   post:
+ *     summary: Email the invitation to the guest
+ *     description: Sends an HTML and plain-text email with the event details and accept/decline links, then marks the invitation sent. Can be called again to resend. The request tries once; a transient mail failure is queued and retried in the background after 1, 2, 4 and 8 minutes.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email sent; invitation status is sent and sentAt is set
+ *       202:
+ *         description: Sending failed for now; a background retry is queued (delivery.retryAt)
+ *       400:
+ *         description: Event is not published
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Invitation, event or guest not found
+ *       409:
+ *         description: Guest already accepted or declined
+ *       502:
+ *         description: The mail server rejected the email permanently (details are kept in the invitation's lastDeliveryError)
+ */
+router.post('/:id/send', protect, authorize(...EVENT_MANAGER_ROLES), sendInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/rsvp-token:
  *   get:
- *     summary: Get my invitations
+ *     summary: Get the guest's RSVP link
+ *     description: Issues a signed link for the current token version, so earlier links keep working. Links expire after RSVP_TOKEN_TTL_DAYS (default 60) or when the event ends.
  *     tags: [Invitations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: User's invitations
+ *         description: Token, link URL and expiry
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Link is revoked; rotate it to issue a new one
+ *   post:
+ *     summary: Rotate the guest's RSVP link
+ *     description: Invalidates every earlier link (and lifts a revocation) and returns a new one.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: New token, link URL and expiry
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Invitation not found
+ *   delete:
+ *     summary: Revoke the guest's RSVP link
+ *     description: Every link stops working until the organizer rotates it.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       403:
+ *         description: Not the event organizer
+ *       404:
+ *         description: Invitation not found
  */
-router.get('/my-invitations', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get my invitations - Controller needed',
-    data: []
-  });
-});
+router.get('/:id/rsvp-token', protect, authorize(...EVENT_MANAGER_ROLES), getRsvpLink);
+router.post('/:id/rsvp-token', protect, authorize(...EVENT_MANAGER_ROLES), rotateRsvpLink);
+router.delete('/:id/rsvp-token', protect, authorize(...EVENT_MANAGER_ROLES), revokeRsvpLink);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
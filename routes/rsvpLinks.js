@@ -0,0 +1,151 @@
+const express = require('express');
+const {
+  getRSVPByToken,
+  respondByToken,
+  getTicketByToken
+} = require('../controllers/rsvpsController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: RSVP Links
+ *   description: Public one-click RSVP for guests without accounts, authorized by the signed token in the link
+ */
+
+/**
+ * @swagger
+ * /api/rsvp/{token}:
+ *   get:
+ *     summary: Show the invitation behind an RSVP link
+ *     description: Returns the event details, the organizer's message, the guest's current answers and their rsvpWindow (deadline and time left). No login needed.
+ *     tags: [RSVP Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation, event and current answers
+ *       401:
+ *         description: Invalid RSVP link
+ *       404:
+ *         description: Invitation or event not found
+ *       410:
+ *         description: Link expired, rotated or revoked
+ */
+router.get('/:token', getRSVPByToken);
+
+/**
+ * @swagger
+ * /api/rsvp/{token}:
+ *   post:
+ *     summary: Answer an invitation through its RSVP link
+ *     description: Creates the guest's RSVP, or changes it when they already answered. Capacity and waitlist rules match POST /api/rsvps.
+ *     tags: [RSVP Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [going, maybe, not_going]
+ *               guestsCount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 description: The whole party, guest included; defaults to 1 plus the companions listed
+ *               companions:
+ *                 type: array
+ *                 maxItems: 19
+ *                 items:
+ *                   $ref: '#/components/schemas/Companion'
+ *               answers:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Answers to the event's questions keyed by question id; a null value clears an answer
+ *                 example: { "665f1c2e8a1b2c3d4e5f6a7b": "Vegetarian" }
+ *               notes:
+ *                 type: string
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Answer for one occurrence of a recurring event; omit to answer for the whole series
+ *     responses:
+ *       201:
+ *         description: RSVP created (or waitlisted)
+ *       200:
+ *         description: Existing RSVP updated
+ *       400:
+ *         description: Invalid input, the event is cancelled or completed, or the RSVP deadline has passed
+ *       401:
+ *         description: Invalid RSVP link
+ *       409:
+ *         description: Not enough seats left to grow a confirmed party
+ *       410:
+ *         description: Link expired, rotated or revoked
+ */
+router.post('/:token', respondByToken);
+
+/**
+ * @swagger
+ * /api/rsvp/{token}/ticket:
+ *   get:
+ *     summary: Get the QR code ticket behind an RSVP link
+ *     description: Same image as GET /api/rsvps/{id}/ticket for guests without an account. No login needed.
+ *     tags: [RSVP Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Ticket for one occurrence of a recurring event; omit for the whole series
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [svg, png]
+ *           default: svg
+ *     responses:
+ *       200:
+ *         description: QR code image
+ *         content:
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or occurrence date
+ *       401:
+ *         description: Invalid RSVP link
+ *       409:
+ *         description: No confirmed 'going' answer for this link
+ *       410:
+ *         description: Link expired, rotated or revoked
+ */
+router.get('/:token/ticket', getTicketByToken);
+
+module.exports = router;
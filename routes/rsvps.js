@@ -1,4 +1,15 @@
 const express = require('express');
+const {
+  createRSVP,
+  getRSVPs,
+  getRSVP,
+  getRSVPTicket,
+  updateRSVP,
+  deleteRSVP,
+  getMyRSVPs
+} = require('../controllers/rsvpsController');
+const { protect } = require('../middleware/auth');
+
 const router = express.Router();
 
 /**
@@ -8,6 +19,32 @@ const router = express.Router();
  *   description: Event RSVP management
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Companion:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         ageGroup:
+ *           type: string
+ *           enum: [adult, teen, child, infant]
+ *           default: adult
+ *         dietaryRestrictions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['vegetarian', 'nut allergy']
+ *         accessibilityNeeds:
+ *           type: string
+ *           maxLength: 300
+ */
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({
@@ -19,30 +56,55 @@ router.get('/test', (req, res) => {
       getOne: 'GET /api/rsvps/:id',
       update: 'PUT /api/rsvps/:id',
       delete: 'DELETE /api/rsvps/:id',
-      myRSVPs: 'GET /api/rsvps/my-rsvps'
+      myRSVPs: 'GET /api/rsvps/my-rsvps',
+      eventRSVPs: 'GET /api/events/:id/rsvps'
     }
   });
 });
 
+/**
+ * @swagger
+ * /api/rsvps/my-rsvps:
+ *   get:
+ *     summary: Get my RSVPs
+ *     description: Each RSVP includes waitlistPosition (1-based) when the event was full, otherwise null.
+ *     tags: [RSVPs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User's RSVPs
+ *       401:
+ *         description: Not authenticated
+ */
+// Must stay above /:id so "my-rsvps" is not treated as an ID
+router.get('/my-rsvps', protect, getMyRSVPs);
+
 /**
  * @swagger
  * /api/rsvps:
  *   get:
- *     summary: Get all RSVPs
+ *     summary: Get RSVPs for events the current user organizes
+ *     description: Admins see every RSVP. Guests should use /api/rsvps/my-rsvps.
  *     tags: [RSVPs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [going, maybe, not_going]
+ *         description: Filter by RSVP status
  *     responses:
  *       200:
  *         description: List of RSVPs
+ *       400:
+ *         description: Invalid status filter
+ *       401:
+ *         description: Not authenticated
  */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'GET all RSVPs - Controller needed',
-    data: []
-  });
-});
+router.get('/', protect, getRSVPs);
 
 /**
  * @swagger
@@ -69,19 +131,36 @@ router.get('/', (req, res) => {
  *                 enum: [going, maybe, not_going]
  *               guestsCount:
  *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 description: The whole party, guest included; defaults to 1 plus the companions listed
+ *               companions:
+ *                 type: array
+ *                 maxItems: 19
+ *                 items:
+ *                   $ref: '#/components/schemas/Companion'
+ *               answers:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Answers to the event's questions keyed by question id; a null value clears an answer
+ *                 example: { "665f1c2e8a1b2c3d4e5f6a7b": "Vegetarian" }
  *               notes:
  *                 type: string
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Answer for one occurrence of a recurring event; omit to answer for the whole series
  *     responses:
  *       201:
- *         description: RSVP created
+ *         description: RSVP created, or added to the waitlist when the event is at capacity (companions take seats too)
+ *       400:
+ *         description: Invalid input, party larger than the invitation's plusOnes allows, RSVP already submitted, or the RSVP deadline has passed
+ *       403:
+ *         description: Not the invited guest
+ *       404:
+ *         description: Invitation not found
  */
-router.post('/', (req, res) => {
-  res.status(201).json({
-    success: true,
-    message: 'RSVP created - Controller needed',
-    data: req.body
-  });
-});
+router.post('/', protect, createRSVP);
 
 /**
  * @swagger
@@ -100,20 +179,19 @@ router.post('/', (req, res) => {
  *     responses:
  *       200:
  *         description: RSVP details
+ *       403:
+ *         description: Not the guest or the event organizer
+ *       404:
+ *         description: RSVP not found
  */
-router.get('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get RSVP by ID - Controller needed',
-    id: req.params.id
-  });
-});
+router.get('/:id', protect, getRSVP);
 
 /**
  * @swagger
- * /api/rsvps/{id}:
- *   put:
- *     summary: Update RSVP
+ * /api/rsvps/{id}/ticket:
+ *   get:
+ *     summary: Get the QR code ticket of a confirmed RSVP
+ *     description: The QR code encodes the RSVP's ticketCode, issued once the guest holds a confirmed seat. Staff scan it with POST /api/events/{id}/check-in.
  *     tags: [RSVPs]
  *     security:
  *       - bearerAuth: []
@@ -123,24 +201,40 @@ router.get('/:id', (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [svg, png]
+ *           default: svg
  *     responses:
  *       200:
- *         description: RSVP updated
+ *         description: QR code image
+ *         content:
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid RSVP ID or format
+ *       403:
+ *         description: Not the guest or the event organizer
+ *       404:
+ *         description: RSVP not found
+ *       409:
+ *         description: The RSVP is not going or is waitlisted
  */
-router.put('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Update RSVP - Controller needed',
-    id: req.params.id,
-    updates: req.body
-  });
-});
+router.get('/:id/ticket', protect, getRSVPTicket);
 
 /**
  * @swagger
  * /api/rsvps/{id}:
- *   delete:
- *     summary: Delete RSVP
+ *   put:
+ *     summary: Update RSVP
+ *     description: Sending companions replaces the list. A party already over a lowered plusOnes allowance may keep its size but not grow.
  *     tags: [RSVPs]
  *     security:
  *       - bearerAuth: []
@@ -150,36 +244,70 @@ router.put('/:id', (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [going, maybe, not_going]
+ *               guestsCount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 description: The whole party, guest included; defaults to 1 plus the companions listed
+ *               companions:
+ *                 type: array
+ *                 maxItems: 19
+ *                 items:
+ *                   $ref: '#/components/schemas/Companion'
+ *               answers:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Answers to the event's questions keyed by question id; a null value clears an answer
+ *                 example: { "665f1c2e8a1b2c3d4e5f6a7b": "Vegetarian" }
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
- *         description: RSVP deleted
+ *         description: RSVP updated
+ *       400:
+ *         description: Invalid status or party, or the RSVP deadline has passed
+ *       409:
+ *         description: Not enough seats left for a confirmed guest's larger party, or the change would drop guests who already checked in
+ *       403:
+ *         description: Not the guest who responded
+ *       404:
+ *         description: RSVP not found
  */
-router.delete('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Delete RSVP - Controller needed',
-    id: req.params.id
-  });
-});
+router.put('/:id', protect, updateRSVP);
 
 /**
  * @swagger
- * /api/rsvps/my-rsvps:
- *   get:
- *     summary: Get my RSVPs
+ * /api/rsvps/{id}:
+ *   delete:
+ *     summary: Delete RSVP
  *     tags: [RSVPs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: User's RSVPs
+ *         description: RSVP deleted
+ *       403:
+ *         description: Not the guest who responded
+ *       404:
+ *         description: RSVP not found
+ *       409:
+ *         description: Guests on this RSVP have already checked in
  */
-router.get('/my-rsvps', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get my RSVPs - Controller needed',
-    data: []
-  });
-});
+router.delete('/:id', protect, deleteRSVP);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,10 @@ const {
   getUser,
   updateUser,
   deleteUser,
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarFeed,
+  getOrganizerReport,
   validateUserCreation,
   validateUserUpdate
 } = require('../controllers/usersController');
@@ -40,8 +44,12 @@ const router = express.Router();
  *           description: User's password (min 6 characters)
  *         role:
  *           type: string
- *           enum: [organizer, guest]
+ *           enum: [guest, organizer, staff, admin]
  *           default: guest
+ *         timezone:
+ *           type: string
+ *           nullable: true
+ *           description: Preferred IANA timezone for event times (e.g. Europe/London)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -101,13 +109,19 @@ router.get('/test', (req, res) => {
  *                 example: password123
  *               role:
  *                 type: string
- *                 enum: [organizer, guest]
+ *                 enum: [guest, organizer]
+ *                 description: Admin can only be granted by another admin; ignored when claiming a placeholder
  *                 example: guest
+ *               claimToken:
+ *                 type: string
+ *                 description: RSVP link token from an invitation email, required to claim a placeholder guest account created by a bulk invitation
  *     responses:
  *       201:
  *         description: User created successfully
  *       400:
  *         description: Invalid input or user already exists
+ *       403:
+ *         description: The email belongs to a placeholder guest and no valid claimToken was given
  *       500:
  *         description: Server error
  */
@@ -222,6 +236,10 @@ router.get('/:id', protect, getUser);
  *                 type: string
  *                 format: email
  *                 example: johnsmith@example.com
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: America/New_York
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -241,6 +259,7 @@ router.put('/:id', protect, validateUserUpdate, updateUser);
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user
+ *     description: Also removes the user's organized events, their invitations and RSVPs, and the user's own invitations and RSVPs.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -256,11 +275,148 @@ router.put('/:id', protect, validateUserUpdate, updateUser);
  *         description: Invalid user ID
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Not the same user or an admin
  *       404:
  *         description: User not found
+ *       409:
+ *         description: User organizes draft or published events with confirmed guests
  *       500:
  *         description: Server error
  */
 router.delete('/:id', protect, deleteUser);
 
+/**
+ * @swagger
+ * /api/users/{id}/calendar-token:
+ *   post:
+ *     summary: Create or rotate the user's calendar feed token
+ *     description: Returns a subscribable feed URL. The token is only shown once; creating a new one revokes the previous URL.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: Token and feed URL
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the same user or an admin
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Revoke the user's calendar feed token
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Token revoked; the feed URL stops working
+ *       403:
+ *         description: Not the same user or an admin
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/calendar-token', protect, createCalendarToken);
+router.delete('/:id/calendar-token', protect, revokeCalendarToken);
+
+/**
+ * @swagger
+ * /api/users/{id}/calendar.ics:
+ *   get:
+ *     summary: Personal iCalendar feed
+ *     description: Events the user organizes plus events they RSVP'd going or maybe to. Calendar apps subscribe with the token in the URL, so no bearer token is needed. Cancelled events are listed with STATUS:CANCELLED.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token from POST /api/users/{id}/calendar-token
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing, invalid or revoked feed token
+ */
+router.get('/:id/calendar.ics', getCalendarFeed);
+
+/**
+ * @swagger
+ * /api/users/{id}/report:
+ *   get:
+ *     summary: Organizer report across all of the user's events
+ *     description: Totals over every event the user organizes whose date falls in the range. Attendance covers completed events and counts attendees out of all invitations, where attendees are the checked-in parties once anyone has checked in at an event (attendanceFromCheckIns) and the parties confirmed going otherwise. Revenue is price × confirmed guests, parties included; cancelled events earn nothing. No-show guests held a confirmed going ticket to a completed event using check-in and were never scanned; repeat attendees attended two or more events. With format=csv the response is one row per event instead.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID of the organizer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or after this day
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or before this day
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Length of the no-show and repeat attendee lists
+ *     responses:
+ *       200:
+ *         description: Report (JSON), or per-event rows as CSV
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range, format or top
+ *       403:
+ *         description: Not the same user or an admin
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/report', protect, getOrganizerReport);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { ROLES, ROLE_VALUES } = require('../config/roles');
+
+/**
+ * Moves users off the legacy 'user' role (and any other value outside
+ * config/roles). Users who already organize events become organizers,
+ * everyone else becomes a guest. Admins are left untouched.
+ */
+async function migrateRoles() {
+  console.log('🚀 Migrating user roles...\n');
+
+  const organizerIds = await Event.distinct('organizerId');
+  const legacyFilter = { role: { $nin: ROLE_VALUES } };
+
+  const organizerResult = await User.collection.updateMany(
+    { ...legacyFilter, _id: { $in: organizerIds } },
+    { $set: { role: ROLES.ORGANIZER } }
+  );
+  console.log(`✅ Promoted to ${ROLES.ORGANIZER}: ${organizerResult.modifiedCount}`);
+
+  const guestResult = await User.collection.updateMany(
+    legacyFilter,
+    { $set: { role: ROLES.GUEST } }
+  );
+  console.log(`✅ Set to ${ROLES.GUEST}: ${guestResult.modifiedCount}`);
+
+  console.log('\n🎉 Role migration complete!');
+}
+
+// Run migration
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/eventease')
+    .then(() => migrateRoles())
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Role migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateRoles;
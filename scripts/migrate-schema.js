@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
+const ReminderJob = require('../models/ReminderJob');
+const { computeSchedule } = require('../utils/timezone');
+
+/**
+ * Backfills documents created before the Event, Invitation and RSVP schemas
+ * gained the fields the controllers write. Safe to run more than once: every
+ * step only touches documents that are still missing the field.
+ *
+ * Writes go straight to the collections so the "must be in the future"
+ * validator does not reject past events.
+ */
+async function migrateEvents() {
+  console.log('1. Backfilling events...');
+
+  const statusResult = await Event.collection.updateMany(
+    { status: 'active' },
+    { $set: { status: 'published' } }
+  );
+  console.log(`   ✅ status active → published: ${statusResult.modifiedCount}`);
+
+  const defaults = { category: 'other', capacity: 100, price: 0, timezone: 'UTC', durationMinutes: 60 };
+  for (const [field, value] of Object.entries(defaults)) {
+    const result = await Event.collection.updateMany(
+      { [field]: { $exists: false } },
+      { $set: { [field]: value } }
+    );
+    console.log(`   ✅ ${field} defaulted to ${value}: ${result.modifiedCount}`);
+  }
+
+  const cursor = Event.collection.find(
+    { startsAt: { $exists: false } },
+    { projection: { date: 1, time: 1, timezone: 1, durationMinutes: 1 } }
+  );
+
+  let scheduled = 0;
+  for await (const event of cursor) {
+    if (!event.date) continue;
+    await Event.collection.updateOne(
+      { _id: event._id },
+      { $set: computeSchedule(event.date, event.time, event.timezone, event.durationMinutes) }
+    );
+    scheduled += 1;
+  }
+  console.log(`   ✅ startsAt/endsAt computed: ${scheduled}`);
+}
+
+async function migrateInvitations() {
+  console.log('\n2. Backfilling invitation organizerId from events...');
+
+  const cursor = Invitation.collection.find(
+    { organizerId: { $exists: false } },
+    { projection: { eventId: 1 } }
+  );
+
+  let updated = 0;
+  let orphaned = 0;
+
+  for await (const invitation of cursor) {
+    const event = await Event.collection.findOne(
+      { _id: invitation.eventId },
+      { projection: { organizerId: 1 } }
+    );
+
+    if (!event) {
+      orphaned += 1;
+      continue;
+    }
+
+    await Invitation.collection.updateOne(
+      { _id: invitation._id },
+      { $set: { organizerId: event.organizerId } }
+    );
+    updated += 1;
+  }
+
+  console.log(`   ✅ Updated: ${updated}`);
+  if (orphaned > 0) {
+    console.log(`   ⚠️ Skipped ${orphaned} invitation(s) whose event no longer exists`);
+  }
+}
+
+async function migrateRSVPs() {
+  console.log('\n3. Backfilling RSVP userId, eventId, guestsCount, firstRespondedAt and ticket codes...');
+
+  const cursor = RSVP.collection.find(
+    { $or: [{ userId: { $exists: false } }, { eventId: { $exists: false } }] },
+    { projection: { invitationId: 1 } }
+  );
+
+  let updated = 0;
+  let orphaned = 0;
+
+  for await (const rsvp of cursor) {
+    const invitation = await Invitation.collection.findOne(
+      { _id: rsvp.invitationId },
+      { projection: { guestId: 1, eventId: 1 } }
+    );
+
+    if (!invitation) {
+      orphaned += 1;
+      continue;
+    }
+
+    await RSVP.collection.updateOne(
+      { _id: rsvp._id },
+      { $set: { userId: invitation.guestId, eventId: invitation.eventId } }
+    );
+    updated += 1;
+  }
+
+  const guestsResult = await RSVP.collection.updateMany(
+    { guestsCount: { $exists: false } },
+    { $set: { guestsCount: 1 } }
+  );
+
+  // The RSVP was created by the first answer; respondedAt has moved on since
+  const firstResponseResult = await RSVP.collection.updateMany(
+    { firstRespondedAt: { $exists: false } },
+    [{ $set: { firstRespondedAt: { $ifNull: ['$createdAt', '$respondedAt'] } } }]
+  );
+
+  // Confirmed guests from before tickets existed get one now
+  const ticketCursor = RSVP.collection.find(
+    { status: 'going', waitlisted: { $ne: true }, ticketCode: { $exists: false } },
+    { projection: { _id: 1 } }
+  );
+
+  let ticketed = 0;
+  for await (const rsvp of ticketCursor) {
+    await RSVP.collection.updateOne(
+      { _id: rsvp._id, ticketCode: { $exists: false } },
+      { $set: { ticketCode: RSVP.generateTicketCode() } }
+    );
+    ticketed += 1;
+  }
+
+  console.log(`   ✅ Updated: ${updated}`);
+  console.log(`   ✅ guestsCount defaulted to 1: ${guestsResult.modifiedCount}`);
+  console.log(`   ✅ firstRespondedAt backfilled: ${firstResponseResult.modifiedCount}`);
+  console.log(`   ✅ Ticket codes issued: ${ticketed}`);
+  if (orphaned > 0) {
+    console.log(`   ⚠️ Skipped ${orphaned} RSVP(s) whose invitation no longer exists`);
+  }
+}
+
+async function syncInvitationStatuses() {
+  console.log('\n4. Syncing invitation status with RSVP answers...');
+
+  const cursor = RSVP.collection.find({}, { projection: { invitationId: 1, occurrenceDate: 1, status: 1, waitlisted: 1 } });
+
+  let updated = 0;
+  for await (const rsvp of cursor) {
+    const filter = { _id: rsvp.invitationId, occurrenceDate: rsvp.occurrenceDate || null };
+    const invitation = await Invitation.collection.findOne(filter, { projection: { sentAt: 1 } });
+    if (!invitation) continue;
+
+    const status = Invitation.statusForRsvp(rsvp, invitation);
+    const result = await Invitation.collection.updateOne(
+      { ...filter, status: { $ne: status } },
+      { $set: { status } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`   ✅ Updated: ${updated}`);
+}
+
+async function migrateSchema() {
+  console.log('🚀 Migrating EventEase collections...\n');
+
+  await migrateEvents();
+  await migrateInvitations();
+  await migrateRSVPs();
+  await syncInvitationStatuses();
+
+  console.log('\n5. Syncing indexes...');
+  for (const Model of [Event, Invitation, RSVP, ReminderJob]) {
+    await Model.syncIndexes();
+    console.log(`   ✅ ${Model.modelName} indexes: OK`);
+  }
+
+  console.log('\n🎉 Migration complete!');
+}
+
+// Run migration
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/eventease')
+    .then(() => migrateSchema())
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateSchema;
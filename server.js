@@ -24,11 +24,17 @@ const userRoutes = require('./routes/users');
 const eventRoutes = require('./routes/events');
 const invitationRoutes = require('./routes/invitations');
 const rsvpRoutes = require('./routes/rsvps');
+const rsvpLinkRoutes = require('./routes/rsvpLinks');
 const authRoutes = require('./routes/auth');
 
 // Swagger docs
 const swaggerSpecs = require('./docs/swagger');
 
+// Background jobs
+const { scheduleCompletePastEvents } = require('./jobs/completePastEvents');
+const { scheduleReminders } = require('./jobs/reminders');
+const { scheduleInvitationEmails } = require('./jobs/invitationEmails');
+
 const app = express();
 const PORT = process.env.PORT || 5000; // CHANGED: Default to 5000 instead of 3000
 
@@ -85,6 +91,9 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
+// Bulk invitations send a few thousand emails at once, past the default 100kb;
+// parsed here first, the global parser below leaves the body alone
+app.use('/api/events/:id/invitations/bulk', express.json({ limit: '2mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -149,6 +158,12 @@ const connectDB = async () => {
       console.log('📊 MongoDB connected (connection details unavailable)');
     }
 
+    // RSVP, waitlist and cascade writes use transactions, which need a replica set (or mongos)
+    const hello = await conn.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.warn('⚠️ MongoDB is a standalone server: RSVP and delete requests will fail until it runs as a replica set (see README)');
+    }
+
     return conn;
   } catch (err) {
     console.error('❌ MongoDB connection failed:', err.message);
@@ -162,7 +177,7 @@ const connectDB = async () => {
     } else {
       console.log('💡 Development MongoDB Tips:');
       console.log('1. Check your .env file has MONGODB_URI');
-      console.log('2. Check if MongoDB is running locally: mongod');
+      console.log('2. Check if MongoDB is running locally as a replica set: mongod --replSet rs0');
       console.log('3. Try connecting with MongoDB Compass');
     }
     
@@ -196,6 +211,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/invitations', invitationRoutes);
 app.use('/api/rsvps', rsvpRoutes);
+app.use('/api/rsvp', rsvpLinkRoutes);
 app.use('/api/auth', authRoutes);
 
 /* --------------------------------
@@ -340,6 +356,7 @@ app.get('/api/info', (req, res) => {
       events: '/api/events',
       invitations: '/api/invitations',
       rsvps: '/api/rsvps',
+      rsvpLinks: '/api/rsvp/:token',
       auth: '/api/auth'
     },
     team: [
@@ -400,6 +417,10 @@ app.use((err, req, res, next) => {
 async function startServer() {
   try {
     await connectDB();
+
+    scheduleCompletePastEvents();
+    scheduleReminders();
+    scheduleInvitationEmails();
     
     app.listen(PORT, () => {
       console.log(`\n🎉 ============================================`);
@@ -443,4 +464,9 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Tests load the app with supertest against their own in-memory database
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -1,7 +1,13 @@
 const request = require('supertest');
 const app = require('../server');
 const Event = require('../models/Event');
-const { createTestUser, createTestEvent } = require('./helpers');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
+const ReminderJob = require('../models/ReminderJob');
+const notifications = require('../notifications');
+const { completePastEvents } = require('../jobs/completePastEvents');
+const { runReminders } = require('../jobs/reminders');
+const { createTestUser, createTestEvent, createTestInvitation, createTestRSVP } = require('./helpers');
 
 describe('Events API Tests', () => {
   describe('GET /api/events', () => {
@@ -47,6 +53,184 @@ describe('Events API Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.every(event => event.category === 'wedding')).toBe(true);
     });
+
+    test('should filter events by price range and location substring', async () => {
+      const user = await createTestUser();
+      await createTestEvent(Event, user, { price: 10, location: 'Central Park' });
+      await createTestEvent(Event, user, { price: 50, location: 'Central Station' });
+      await createTestEvent(Event, user, { price: 10, location: 'Harbour View' });
+      
+      const response = await request(app)
+        .get('/api/events?minPrice=5&maxPrice=20&location=central')
+        .expect(200);
+      
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].location).toBe('Central Park');
+    });
+
+    test('should page through events with nextCursor', async () => {
+      const user = await createTestUser();
+      for (let day = 1; day <= 3; day++) {
+        await createTestEvent(Event, user, {
+          title: `Event ${day}`,
+          date: new Date(Date.now() + day * 24 * 60 * 60 * 1000)
+        });
+      }
+      
+      const first = await request(app).get('/api/events?limit=2').expect(200);
+      expect(first.body.data.map(e => e.title)).toEqual(['Event 1', 'Event 2']);
+      expect(first.body.hasMore).toBe(true);
+      
+      const second = await request(app)
+        .get(`/api/events?limit=2&cursor=${first.body.nextCursor}`)
+        .expect(200);
+      expect(second.body.data.map(e => e.title)).toEqual(['Event 3']);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should return 400 for a cursor carrying an operator or a bad date', async () => {
+      const cursor = (v) => Buffer.from(JSON.stringify({ v, id: '665f1c2e8a1b2c3d4e5f6a7b' })).toString('base64url');
+
+      await request(app).get(`/api/events?cursor=${cursor({ $gt: '' })}`).expect(400);
+      await request(app).get(`/api/events?cursor=${cursor('garbage')}`).expect(400);
+      await request(app).get(`/api/events?sort=title&cursor=${cursor('garbage')}`).expect(200);
+    });
+
+    test('should return 400 for an unknown sort field', async () => {
+      const response = await request(app)
+        .get('/api/events?sort=organizerId')
+        .expect(400);
+      
+      expect(response.body.message).toContain('Validation failed');
+    });
+
+    test('should return 400 for a repeated query parameter', async () => {
+      const response = await request(app)
+        .get('/api/events?sort=title&sort=-title')
+        .expect(400);
+      
+      expect(response.body.errors).toEqual(['sort must be a single value']);
+    });
+
+    test('should filter events by free seats', async () => {
+      const user = await createTestUser();
+      const guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      const full = await createTestEvent(Event, user, { title: 'Full', capacity: 1 });
+      await createTestEvent(Event, user, { title: 'Open', capacity: 1 });
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, full, guest));
+      
+      const open = await request(app).get('/api/events?hasSeats=true').expect(200);
+      expect(open.body.data.map(e => e.title)).toEqual(['Open']);
+      
+      const booked = await request(app).get('/api/events?hasSeats=false').expect(200);
+      expect(booked.body.data.map(e => e.title)).toEqual(['Full']);
+    });
+  });
+
+  describe('GET /api/events/search', () => {
+    test('should rank matches and hide drafts from anonymous callers', async () => {
+      const user = await createTestUser();
+      await Event.syncIndexes();
+      await createTestEvent(Event, user, { title: 'Summer Party', description: 'A party by the lake' });
+      await createTestEvent(Event, user, { title: 'Board Meeting', description: 'Quarterly party planning' });
+      await createTestEvent(Event, user, { title: 'Secret Party', status: 'draft' });
+      
+      const response = await request(app)
+        .get('/api/events/search?q=party')
+        .expect(200);
+      
+      expect(response.body.count).toBe(2);
+      expect(response.body.data[0].title).toBe('Summer Party');
+      expect(response.body.data[0].highlights.title).toBe('Summer <mark>Party</mark>');
+    });
+
+    test('should include the organizer\'s own drafts', async () => {
+      const user = await createTestUser();
+      await Event.syncIndexes();
+      await createTestEvent(Event, user, { title: 'Secret Party', status: 'draft' });
+      
+      const response = await request(app)
+        .get('/api/events/search?q=party')
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(200);
+      
+      expect(response.body.count).toBe(1);
+    });
+
+    test('should leave deleted events out of the total', async () => {
+      const user = await createTestUser();
+      await Event.syncIndexes();
+      await createTestEvent(Event, user, { title: 'Summer Party' });
+      await createTestEvent(Event, user, { title: 'Old Party', deletedAt: new Date() });
+      
+      const response = await request(app)
+        .get('/api/events/search?q=party')
+        .expect(200);
+      
+      expect(response.body.count).toBe(1);
+      expect(response.body.total).toBe(1);
+    });
+
+    test('should return 400 for a repeated query', async () => {
+      await request(app)
+        .get('/api/events/search?q[]=party&q[]=meeting')
+        .expect(400);
+    });
+  });
+
+  describe('Recurring events', () => {
+    test('should expand a weekly series in a date window', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user, {
+        title: 'Weekly Standup',
+        date: new Date('2099-01-05'), // a Monday
+        recurrence: { frequency: 'weekly', byWeekday: ['MO', 'TH'], exceptions: [new Date('2099-01-08')] }
+      });
+      
+      const response = await request(app)
+        .get(`/api/events/${event._id}/occurrences?from=2099-01-01&to=2099-01-15`)
+        .expect(200);
+      
+      expect(response.body.data.map(o => o.occurrenceDate)).toEqual(['2099-01-05', '2099-01-12', '2099-01-15']);
+    });
+
+    test('should list occurrences of every visible event', async () => {
+      const user = await createTestUser();
+      await createTestEvent(Event, user, {
+        title: 'Monthly Social',
+        date: new Date('2099-01-10'),
+        recurrence: { frequency: 'monthly', count: 2 }
+      });
+      await createTestEvent(Event, user, { title: 'One-off', date: new Date('2099-01-20') });
+      
+      const response = await request(app)
+        .get('/api/events/occurrences?from=2099-01-01&to=2099-03-31')
+        .expect(200);
+      
+      expect(response.body.data.map(o => `${o.title} ${o.occurrenceDate}`)).toEqual([
+        'Monthly Social 2099-01-10',
+        'One-off 2099-01-20',
+        'Monthly Social 2099-02-10'
+      ]);
+    });
+
+    test('should reject an invalid recurrence rule', async () => {
+      const user = await createTestUser();
+      
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({
+          title: 'Broken Series',
+          date: '2099-01-05',
+          time: '10:00',
+          location: 'Test Location',
+          recurrence: { frequency: 'yearly' }
+        })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toContain('Recurrence frequency');
+    });
   });
 
   describe('GET /api/events/:id', () => {
@@ -75,6 +259,68 @@ describe('Events API Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Event not found');
     });
+
+    test('should export an event as iCalendar', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user, { title: 'Launch, Party', status: 'cancelled' });
+      
+      const response = await request(app)
+        .get(`/api/events/${event._id}/calendar.ics`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200);
+      
+      expect(response.text).toContain('BEGIN:VEVENT');
+      expect(response.text).toContain(`UID:${event._id}@eventease`);
+      expect(response.text).toContain('SUMMARY:Launch\\, Party');
+      expect(response.text).toContain('STATUS:CANCELLED');
+    });
+
+    test('should only export a draft to its organizer and admins', async () => {
+      const user = await createTestUser();
+      const other = await createTestUser({ email: 'other@example.com' });
+      const event = await createTestEvent(Event, user, { status: 'draft' });
+
+      await request(app).get(`/api/events/${event._id}/calendar.ics`).expect(404);
+      await request(app)
+        .get(`/api/events/${event._id}/calendar.ics`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(404);
+      await request(app)
+        .get(`/api/events/${event._id}/calendar.ics`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(200);
+    });
+
+    test('should back local series times with a VTIMEZONE and export single events in UTC', async () => {
+      const user = await createTestUser();
+      const series = await createTestEvent(Event, user, {
+        date: new Date('2099-01-05'),
+        time: '09:00',
+        timezone: 'Europe/London',
+        recurrence: { frequency: 'weekly' }
+      });
+      const single = await createTestEvent(Event, user, {
+        date: new Date('2099-07-01'),
+        time: '09:00',
+        timezone: 'Europe/London'
+      });
+
+      const seriesResponse = await request(app)
+        .get(`/api/events/${series._id}/calendar.ics`)
+        .expect(200);
+
+      expect(seriesResponse.text).toContain('DTSTART;TZID=Europe/London:20990105T090000');
+      expect(seriesResponse.text).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/London');
+      expect(seriesResponse.text).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU');
+
+      const singleResponse = await request(app)
+        .get(`/api/events/${single._id}/calendar.ics`)
+        .expect(200);
+
+      expect(singleResponse.text).toContain('DTSTART:20990701T080000Z');
+      expect(singleResponse.text).not.toContain('TZID');
+    });
   });
 
   describe('POST /api/events', () => {
@@ -142,5 +388,565 @@ describe('Events API Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Event date must be in the future');
     });
+
+    test('should return 403 for guests', async () => {
+      const guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      
+      const eventData = {
+        title: 'Guest Event',
+        date: '2099-01-01',
+        time: '14:00',
+        location: 'Test Location'
+      };
+      
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send(eventData)
+        .expect(403);
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Not authorized');
+    });
+
+    test('should compute start and end instants from the event timezone', async () => {
+      const user = await createTestUser();
+      
+      const response = await request(app)
+        .post('/api/events?tz=Asia/Tokyo')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({
+          title: 'New York Meetup',
+          date: '2099-07-15',
+          time: '18:00',
+          timezone: 'America/New_York',
+          durationMinutes: 90,
+          location: 'Brooklyn'
+        })
+        .expect(201);
+      
+      expect(response.body.data.startsAt).toBe('2099-07-15T22:00:00.000Z');
+      expect(response.body.data.endsAt).toBe('2099-07-15T23:30:00.000Z');
+      expect(response.body.data.local).toEqual({
+        timezone: 'Asia/Tokyo',
+        startsAt: '2099-07-16T07:00:00+09:00',
+        endsAt: '2099-07-16T08:30:00+09:00'
+      });
+    });
+
+    test('should reject an event whose start has already passed in its timezone', async () => {
+      const user = await createTestUser();
+      
+      // Midnight today in UTC+14 was yesterday in UTC
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({
+          title: 'Early Start',
+          date: new Date().toISOString().slice(0, 10),
+          time: '00:00',
+          timezone: 'Pacific/Kiritimati',
+          location: 'Kiritimati'
+        })
+        .expect(400);
+      
+      expect(response.body.message).toContain('Event date must be in the future');
+    });
+
+    test('should return 400 for an unknown timezone', async () => {
+      const user = await createTestUser();
+      
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({
+          title: 'Somewhere Event',
+          date: '2099-01-01',
+          time: '14:00',
+          timezone: 'Mars/Olympus_Mons',
+          location: 'Test Location'
+        })
+        .expect(400);
+      
+      expect(response.body.message).toContain('Validation failed');
+    });
+
+    test('should return 400 for an RSVP deadline after the event starts', async () => {
+      const user = await createTestUser();
+      
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({
+          title: 'Deadline Event',
+          date: '2099-01-01',
+          time: '14:00',
+          location: 'Test Location',
+          rsvpDeadline: '2099-01-02T00:00:00Z'
+        })
+        .expect(400);
+      
+      expect(response.body.message).toContain('RSVP deadline must be before the event starts');
+    });
+  });
+
+  describe('POST /api/events/import', () => {
+    const calendar = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:offsite-2099',
+      'SUMMARY:Team Offsite',
+      'DTSTART;TZID=Europe/London:20990301T090000',
+      'DTEND;TZID=Europe/London:20990301T170000',
+      'LOCATION:Lake House',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:old-party',
+      'SUMMARY:Old Party',
+      'DTSTART:20200101T180000Z',
+      'LOCATION:Town Hall',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:called-off',
+      'SUMMARY:Called Off',
+      'DTSTART:20990101T180000Z',
+      'LOCATION:Town Hall',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    test('should report without saving in dry-run mode', async () => {
+      const user = await createTestUser();
+      
+      const response = await request(app)
+        .post('/api/events/import?dryRun=true')
+        .set('Authorization', `Bearer ${user.token}`)
+        .set('Content-Type', 'text/calendar')
+        .send(calendar)
+        .expect(200);
+      
+      expect(response.body.summary).toEqual({ total: 3, created: 1, skipped: 1, failed: 1 });
+      expect(response.body.data.map(item => item.status)).toEqual(['created', 'failed', 'skipped']);
+      expect(response.body.data[1].errors).toContain('Event date must be in the future');
+      expect(await Event.countDocuments()).toBe(0);
+    });
+
+    test('should create drafts and skip UIDs that were already imported', async () => {
+      const user = await createTestUser();
+      
+      const first = await request(app)
+        .post('/api/events/import')
+        .set('Authorization', `Bearer ${user.token}`)
+        .set('Content-Type', 'text/calendar')
+        .send(calendar)
+        .expect(201);
+      
+      const event = await Event.findById(first.body.data[0].eventId);
+      expect(event.status).toBe('draft');
+      expect(event.timezone).toBe('Europe/London');
+      expect(event.durationMinutes).toBe(480);
+      
+      const second = await request(app)
+        .post('/api/events/import')
+        .set('Authorization', `Bearer ${user.token}`)
+        .set('Content-Type', 'text/calendar')
+        .send(calendar)
+        .expect(200);
+      
+      expect(second.body.data[0].status).toBe('skipped');
+      expect(await Event.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('Event lifecycle', () => {
+    test('should publish a draft event', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user, { status: 'draft' });
+      
+      const response = await request(app)
+        .post(`/api/events/${event._id}/publish`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(200);
+      
+      expect(response.body.data.status).toBe('published');
+      expect(response.body.data.publishedAt).toBeDefined();
+    });
+
+    test('should return 409 for a transition that is not allowed', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user, { status: 'draft' });
+      
+      const response = await request(app)
+        .post(`/api/events/${event._id}/complete`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(409);
+      
+      expect(response.body.allowedTransitions).toEqual(['published', 'cancelled']);
+    });
+
+    test('should reject status changes through PUT', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user, { status: 'draft' });
+      
+      const response = await request(app)
+        .put(`/api/events/${event._id}`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({ status: 'completed' })
+        .expect(400);
+      
+      expect(response.body.message).toContain('Validation failed');
+    });
+
+    test('should ignore fields PUT cannot change', async () => {
+      const user = await createTestUser();
+      const other = await createTestUser({ email: 'other@example.com' });
+      const event = await createTestEvent(Event, user);
+      
+      await request(app)
+        .put(`/api/events/${event._id}`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({ title: 'Renamed Event', organizerId: other._id, deletedAt: new Date(), externalUid: 'forged' })
+        .expect(200);
+      
+      const stored = await Event.findById(event._id);
+      expect(stored.title).toBe('Renamed Event');
+      expect(stored.organizerId.toString()).toBe(user._id.toString());
+      expect(stored.deletedAt).toBeNull();
+      expect(stored.externalUid).toBeUndefined();
+    });
+
+    test('should auto-complete published events whose day has passed', async () => {
+      const user = await createTestUser();
+      const event = await createTestEvent(Event, user);
+      const twoDaysAfter = new Date(event.date.getTime() + 2 * 24 * 60 * 60 * 1000);
+      
+      const completed = await completePastEvents(twoDaysAfter);
+      
+      expect(completed).toBe(1);
+      expect((await Event.findById(event._id)).status).toBe('completed');
+    });
+  });
+
+  describe('Reminders', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let organizer, goingGuest, silentGuest, event, outbox;
+
+    beforeEach(async () => {
+      const transport = notifications.createConsoleTransport({ logger: { log: () => {} } });
+      outbox = transport.outbox;
+      notifications.setTransport(transport);
+
+      organizer = await createTestUser({ email: 'organizer@example.com' });
+      goingGuest = await createTestUser({ email: 'going@example.com', role: 'guest' });
+      silentGuest = await createTestUser({ email: 'silent@example.com', role: 'guest' });
+      event = await createTestEvent(Event, organizer, { date: new Date(Date.now() + 10 * DAY) });
+
+      const invitation = await createTestInvitation(Invitation, event, goingGuest);
+      await createTestRSVP(RSVP, invitation, { status: 'going' });
+      await createTestInvitation(Invitation, event, silentGuest, { status: 'sent', sentAt: new Date() });
+    });
+
+    afterEach(() => {
+      notifications.setTransport(null);
+    });
+
+    test('should remind going guests and nudge unanswered invitees on a fake clock', async () => {
+      const weekBefore = new Date(event.startsAt.getTime() - 7 * DAY + 60 * 1000);
+      
+      const first = await runReminders(weekBefore);
+      
+      expect(first.sent).toBe(1);
+      expect(outbox[0].to).toContain('going@example.com');
+      expect(outbox[0].subject).toContain(event.title);
+      
+      // A second cycle at the same moment (or after a restart) sends nothing new
+      const again = await runReminders(weekBefore);
+      expect(again).toMatchObject({ planned: 0, sent: 0 });
+      
+      const nudgeTime = new Date(event.startsAt.getTime() - 3 * DAY + 60 * 1000);
+      const nudge = await runReminders(nudgeTime);
+      
+      expect(nudge.sent).toBe(1);
+      expect(outbox[1].to).toContain('silent@example.com');
+      expect(outbox[1].text).toMatch(/\/rsvp\/[\w.-]+\?status=going/);
+      expect(await ReminderJob.countDocuments({ eventId: event._id, status: 'sent' })).toBe(2);
+    });
+
+    test('should not nudge guests whose invitation was never sent', async () => {
+      const unsentGuest = await createTestUser({ email: 'unsent@example.com', role: 'guest' });
+      await createTestInvitation(Invitation, event, unsentGuest);
+
+      const preview = await request(app)
+        .get(`/api/events/${event._id}/reminders/preview`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      const nudgeRun = preview.body.data.runs.find(run => run.kind === 'nudge');
+      expect(nudgeRun.recipients.map(recipient => recipient.email)).toEqual(['silent@example.com']);
+
+      const nudge = await runReminders(new Date(event.startsAt.getTime() - 3 * DAY + 60 * 1000));
+      expect(nudge.sent).toBe(1);
+      expect(outbox.map(message => message.to).join()).not.toContain('unsent@example.com');
+    });
+
+    test('should skip jobs for an event that was rescheduled', async () => {
+      const dayBefore = new Date(event.startsAt.getTime() - DAY + 60 * 1000);
+      await ReminderJob.create({
+        eventId: event._id,
+        invitationId: (await Invitation.findOne({ guestId: goingGuest._id }))._id,
+        kind: 'reminder',
+        offsetMinutes: 1440,
+        targetAt: new Date(event.startsAt.getTime() - 60 * 60 * 1000),
+        runAt: new Date(dayBefore.getTime() - 60 * 60 * 1000)
+      });
+      
+      const result = await runReminders(dayBefore);
+      
+      expect(result.skipped).toBe(1);
+      expect(result.sent).toBe(1);
+      expect((await ReminderJob.findOne({ status: 'skipped' })).reason).toBe('Event was rescheduled');
+    });
+
+    test('should configure reminders and preview recipients', async () => {
+      await request(app)
+        .put(`/api/events/${event._id}/reminders`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ beforeStartMinutes: [60, 0] })
+        .expect(400);
+      
+      const updated = await request(app)
+        .put(`/api/events/${event._id}/reminders`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ beforeStartMinutes: [60, 2880] })
+        .expect(200);
+      
+      expect(updated.body.data.settings).toMatchObject({ enabled: true, beforeStartMinutes: [2880, 60], nudgeMinutes: [4320] });
+      
+      const preview = await request(app)
+        .get(`/api/events/${event._id}/reminders/preview`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      const { runs, samples } = preview.body.data;
+      expect(runs.map(run => [run.kind, run.offsetMinutes])).toEqual([['nudge', 4320], ['reminder', 2880], ['reminder', 60]]);
+      expect(runs[0].recipients.map(recipient => recipient.email)).toEqual(['silent@example.com']);
+      expect(runs[1].recipients.map(recipient => recipient.email)).toEqual(['going@example.com']);
+      expect(samples.reminder.subject).toContain(event.title);
+      expect(outbox).toHaveLength(0);
+    });
+
+    test('should not let guests configure reminders', async () => {
+      await request(app)
+        .put(`/api/events/${event._id}/reminders`)
+        .set('Authorization', `Bearer ${goingGuest.token}`)
+        .send({ enabled: false })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/events/:id/stats', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    test('should return the funnel, breakdown, capacity and response timing', async () => {
+      const organizer = await createTestUser({ email: 'organizer@example.com' });
+      const event = await createTestEvent(Event, organizer, { capacity: 10 });
+      const now = Date.now();
+      const invite = async (email, fields) =>
+        createTestInvitation(Invitation, event, await createTestUser({ email, role: 'guest' }), fields);
+
+      const going = await invite('going@example.com', { status: 'accepted', sentAt: new Date(now - 10 * HOUR) });
+      const declined = await invite('declined@example.com', { status: 'declined', sentAt: new Date(now - 6 * HOUR) });
+      await invite('sent@example.com', { status: 'sent', sentAt: new Date(now - HOUR) });
+      await invite('pending@example.com', { status: 'pending' });
+      // The going guest changed their party size an hour ago; timing uses the first answer
+      await createTestRSVP(RSVP, going, {
+        status: 'going', guestsCount: 3, firstRespondedAt: new Date(now - 8 * HOUR), respondedAt: new Date(now - HOUR)
+      });
+      await createTestRSVP(RSVP, declined, {
+        status: 'not_going', firstRespondedAt: new Date(now - 2 * HOUR), respondedAt: new Date(now - 2 * HOUR)
+      });
+
+      const response = await request(app)
+        .get(`/api/events/${event._id}/stats`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      const stats = response.body.data;
+      expect(stats.invitations).toEqual({
+        total: 4, pending: 1, sent: 1, accepted: 1, declined: 1, delivered: 3, responded: 2, responseRate: 50
+      });
+      expect(stats.rsvps.going).toEqual({ count: 1, guests: 3, confirmedGuests: 3, waitlisted: 0 });
+      expect(stats.rsvps.not_going).toEqual({ count: 1, guests: 1 });
+      expect(stats.capacity).toEqual({ total: 10, taken: 3, remaining: 7 });
+      expect(stats.attendance).toEqual({ expectedGuests: 3, checkedInGuests: 0, checkedInParties: 0, notArrived: 3, rate: 0 });
+      expect(stats.responseLatency).toEqual({ responses: 2, averageSeconds: 3 * 3600, minSeconds: 2 * 3600, maxSeconds: 4 * 3600 });
+      expect(stats.responseTimeline[stats.responseTimeline.length - 1]).toMatchObject({ cumulative: 2, responseRate: 50 });
+    });
+
+    test('should count an occurrence answer instead of the series answer it overrides', async () => {
+      const organizer = await createTestUser({ email: 'organizer@example.com' });
+      const guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      const event = await createTestEvent(Event, organizer, {
+        capacity: 10,
+        date: new Date('2099-01-05'),
+        recurrence: { frequency: 'weekly' }
+      });
+      const invitation = await createTestInvitation(Invitation, event, guest, { status: 'accepted' });
+      await createTestRSVP(RSVP, invitation, { status: 'going', guestsCount: 2 });
+      await createTestRSVP(RSVP, invitation, { status: 'not_going', occurrenceDate: new Date('2099-01-12') });
+
+      const response = await request(app)
+        .get(`/api/events/${event._id}/stats?occurrenceDate=2099-01-12`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      expect(response.body.data.rsvps).toMatchObject({ going: { count: 0 }, not_going: { count: 1 }, total: 1 });
+      expect(response.body.data.invitations.responded).toBe(1);
+    });
+
+    test('should return 403 for another organizer', async () => {
+      const organizer = await createTestUser({ email: 'organizer@example.com' });
+      const other = await createTestUser({ email: 'other@example.com' });
+      const event = await createTestEvent(Event, organizer);
+
+      await request(app)
+        .get(`/api/events/${event._id}/stats`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/events/:id/check-in', () => {
+    let organizer, staff, event, rsvp;
+
+    beforeEach(async () => {
+      organizer = await createTestUser({ email: 'organizer@example.com' });
+      staff = await createTestUser({ email: 'staff@example.com', role: 'staff' });
+      event = await createTestEvent(Event, organizer, { capacity: 10 });
+      const guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      const invitation = await createTestInvitation(Invitation, event, guest, { status: 'accepted' });
+      rsvp = await createTestRSVP(RSVP, invitation, { guestsCount: 3 });
+    });
+
+    const checkIn = (user, body) => request(app)
+      .post(`/api/events/${event._id}/check-in`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+
+    test('should check in a party in groups and reject a ticket scanned again', async () => {
+      const first = await checkIn(staff, { code: rsvp.ticketCode.toLowerCase(), guests: 2 }).expect(200);
+      expect(first.body.data).toMatchObject({ guestsCount: 3, checkedInCount: 2, remaining: 1 });
+      expect(first.body.data.checkIns[0]).toMatchObject({ guests: 2, scannedBy: { name: staff.name } });
+      expect(first.body.data.checkIns[0].checkedInAt).toBeDefined();
+
+      await checkIn(staff, { code: rsvp.ticketCode, guests: 2 }).expect(400);
+
+      const rest = await checkIn(organizer, { code: rsvp.ticketCode }).expect(200);
+      expect(rest.body.data).toMatchObject({ checkedInCount: 3, remaining: 0 });
+      expect(rest.body.data.checkIns).toHaveLength(2);
+
+      const again = await checkIn(staff, { code: rsvp.ticketCode }).expect(409);
+      expect(again.body.message).toContain('already checked in');
+
+      const stats = await request(app)
+        .get(`/api/events/${event._id}/stats`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      expect(stats.body.data.attendance).toEqual({ expectedGuests: 3, checkedInGuests: 3, checkedInParties: 1, notArrived: 0, rate: 100 });
+    });
+
+    test('should reject unknown codes and tickets that are no longer confirmed', async () => {
+      await checkIn(staff, { code: 'NOTATICKET23' }).expect(404);
+      await checkIn(staff, {}).expect(400);
+
+      await RSVP.updateOne({ _id: rsvp._id }, { status: 'not_going' });
+      await checkIn(staff, { code: rsvp.ticketCode }).expect(409);
+    });
+
+    test('should only let the organizer, staff and admins scan tickets', async () => {
+      const other = await createTestUser({ email: 'other@example.com' });
+      const guest = await createTestUser({ email: 'walkin@example.com', role: 'guest' });
+
+      await checkIn(other, { code: rsvp.ticketCode }).expect(403);
+      await checkIn(guest, { code: rsvp.ticketCode }).expect(403);
+    });
+
+    test('should check in a series ticket once per occurrence of a recurring event', async () => {
+      await Event.updateOne({ _id: event._id }, { date: new Date('2099-01-05'), recurrence: { frequency: 'weekly' } });
+
+      const first = await checkIn(staff, { code: rsvp.ticketCode, occurrenceDate: '2099-01-05' }).expect(200);
+      expect(first.body.data).toMatchObject({ checkInDate: '2099-01-05', checkedInCount: 3, remaining: 0 });
+      await checkIn(staff, { code: rsvp.ticketCode, occurrenceDate: '2099-01-05' }).expect(409);
+
+      const next = await checkIn(staff, { code: rsvp.ticketCode, occurrenceDate: '2099-01-12', guests: 1 }).expect(200);
+      expect(next.body.data).toMatchObject({ checkInDate: '2099-01-12', checkedInCount: 1, remaining: 2 });
+      expect(next.body.data.checkIns).toHaveLength(1);
+
+      await checkIn(staff, { code: rsvp.ticketCode, occurrenceDate: '2099-01-06' }).expect(400);
+
+      const stats = await request(app)
+        .get(`/api/events/${event._id}/stats?occurrenceDate=2099-01-12`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      expect(stats.body.data.attendance).toMatchObject({ checkedInGuests: 1, notArrived: 2 });
+
+      const updated = await RSVP.findById(rsvp._id);
+      expect(updated.checkedInCount).toBe(4);
+    });
+  });
+
+  describe('DELETE /api/events/:id', () => {
+    let organizer, guest, event, invitation;
+
+    beforeEach(async () => {
+      organizer = await createTestUser({ email: 'organizer@example.com' });
+      guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      event = await createTestEvent(Event, organizer);
+      invitation = await createTestInvitation(Invitation, event, guest);
+    });
+
+    test('should cascade to invitations and RSVPs', async () => {
+      await createTestRSVP(RSVP, invitation, { status: 'maybe' });
+      
+      const response = await request(app)
+        .delete(`/api/events/${event._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      expect(response.body.deleted).toEqual({ invitations: 1, rsvps: 1 });
+      expect(await Invitation.countDocuments({ eventId: event._id })).toBe(0);
+      expect(await RSVP.countDocuments({ eventId: event._id })).toBe(0);
+    });
+
+    test('should return 409 when the event has confirmed guests', async () => {
+      await createTestRSVP(RSVP, invitation, { status: 'going' });
+      
+      const response = await request(app)
+        .delete(`/api/events/${event._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(409);
+      
+      expect(response.body.message).toContain('confirmed guest');
+    });
+
+    test('should soft delete and restore an event', async () => {
+      await createTestRSVP(RSVP, invitation, { status: 'going' });
+      
+      await request(app)
+        .delete(`/api/events/${event._id}?soft=true`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      await request(app).get(`/api/events/${event._id}`).expect(404);
+      
+      await request(app)
+        .post(`/api/events/${event._id}/restore`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      await request(app).get(`/api/events/${event._id}`).expect(200);
+      expect(await RSVP.countDocuments({ eventId: event._id })).toBe(1);
+    });
   });
 });
\ No newline at end of file
@@ -3,6 +3,9 @@ const app = require('../server');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Invitation = require('../models/Invitation');
+const InvitationEmailJob = require('../models/InvitationEmailJob');
+const notifications = require('../notifications');
+const { processDueInvitationEmails } = require('../jobs/invitationEmails');
 const { createTestUser, createTestEvent, createTestInvitation } = require('./helpers');
 
 describe('Invitations API Tests', () => {
@@ -55,6 +58,47 @@ describe('Invitations API Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.every(inv => inv.status === 'sent')).toBe(true);
     });
+
+    test('should reject an unknown or operator status filter', async () => {
+      await request(app)
+        .get('/api/invitations?status=opened')
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/invitations?status[$ne]=x')
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+    });
+
+    test('should not list invitations to anyone but the organizer, the guest and admins', async () => {
+      await createTestInvitation(Invitation, event, guest);
+      const stranger = await createTestUser({ email: 'stranger@example.com' });
+
+      const response = await request(app)
+        .get('/api/invitations')
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+  });
+
+  describe('GET /api/invitations/:id', () => {
+    test('should return 403 for a user who is neither organizer nor guest', async () => {
+      const invitation = await createTestInvitation(Invitation, event, guest);
+      const stranger = await createTestUser({ email: 'stranger@example.com' });
+
+      await request(app)
+        .get(`/api/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(403);
+
+      await request(app)
+        .get(`/api/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(200);
+    });
   });
 
   describe('POST /api/invitations', () => {
@@ -92,6 +136,22 @@ describe('Invitations API Tests', () => {
       expect(response.body.message).toContain('Not authorized');
     });
 
+    test('should set a plus-one allowance and reject invalid ones', async () => {
+      const response = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ eventId: event._id, guestId: guest._id, plusOnes: 2 })
+        .expect(201);
+      
+      expect(response.body.data.plusOnes).toBe(2);
+      
+      await request(app)
+        .put(`/api/invitations/${response.body.data._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ plusOnes: 20 })
+        .expect(400);
+    });
+
     test('should return 400 for duplicate invitation', async () => {
       await createTestInvitation(Invitation, event, guest);
       
@@ -111,6 +171,220 @@ describe('Invitations API Tests', () => {
     });
   });
 
+  describe('POST /api/events/:id/invitations/bulk', () => {
+    test('should report invited, skipped and failed rows', async () => {
+      await createTestInvitation(Invitation, event, guest);
+      const other = await createTestUser({ email: 'other@example.com', role: 'guest' });
+      
+      const response = await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ emails: ['Other@Example.com', 'guest@example.com', 'other@example.com', 'not-an-email', 'nobody@example.com'] })
+        .expect(201);
+      
+      expect(response.body.summary).toEqual({ total: 5, invited: 1, skipped: 2, failed: 2, placeholdersCreated: 0 });
+      expect(response.body.data.map(row => row.status)).toEqual(['invited', 'skipped', 'skipped', 'failed', 'failed']);
+      expect(response.body.data[0].guestId).toBe(other._id.toString());
+      expect(response.body.data[1].reason).toContain('already exists');
+    });
+
+    test('should accept a JSON upload of a few thousand emails', async () => {
+      const emails = Array.from({ length: 5000 }, (_, i) => `firstname.lastname${i}@example-company.com`);
+
+      const response = await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ emails })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ total: 5000, failed: 5000 });
+    });
+
+    test('should reject more emails than one upload allows', async () => {
+      const emails = Array.from({ length: 5001 }, (_, i) => `firstname.lastname${i}@example-company.com`);
+
+      const response = await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ emails })
+        .expect(400);
+
+      expect(response.body.message).toContain('Cannot invite more than 5000');
+    });
+
+    test('should create placeholder guests from a CSV upload', async () => {
+      const csv = 'name,email\r\n"Doe, Jane",jane@example.com\r\nGuest,guest@example.com\r\n';
+      
+      const response = await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk?createPlaceholders=true`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+      
+      expect(response.body.summary.invited).toBe(2);
+      expect(response.body.summary.placeholdersCreated).toBe(1);
+      
+      const placeholder = await User.findOne({ email: 'jane@example.com' });
+      expect(placeholder.name).toBe('Doe, Jane');
+      expect(placeholder.isPlaceholder).toBe(true);
+      expect(await Invitation.countDocuments({ eventId: event._id })).toBe(2);
+    });
+
+    test('should let an invited placeholder guest register and keep the invitation', async () => {
+      await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ emails: ['newcomer@example.com'], createPlaceholders: true })
+        .expect(201);
+
+      const invitation = await Invitation.findOne({ eventId: event._id });
+      const link = await request(app)
+        .get(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({
+          name: 'New Comer',
+          email: 'newcomer@example.com',
+          password: 'password123',
+          role: 'organizer',
+          claimToken: link.body.data.token
+        })
+        .expect(201);
+
+      expect(invitation.guestId.toString()).toBe(response.body.data._id);
+      expect(response.body.data.role).toBe('guest');
+    });
+
+    test('should not let anyone claim a placeholder without its invitation link', async () => {
+      await request(app)
+        .post(`/api/events/${event._id}/invitations/bulk`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ emails: ['newcomer@example.com'], createPlaceholders: true })
+        .expect(201);
+
+      await request(app)
+        .post('/api/users')
+        .send({ name: 'Impostor', email: 'newcomer@example.com', password: 'password123' })
+        .expect(403);
+
+      const placeholder = await User.findOne({ email: 'newcomer@example.com' });
+      expect(placeholder.isPlaceholder).toBe(true);
+    });
+  });
+
+  describe('POST /api/invitations/:id/send', () => {
+    let outbox;
+
+    beforeEach(() => {
+      const transport = notifications.createConsoleTransport({ logger: { log: () => {} } });
+      outbox = transport.outbox;
+      notifications.setTransport(transport);
+      notifications.setRetryPolicy({ attempts: 3, baseDelayMs: 1 });
+    });
+
+    afterAll(() => {
+      notifications.setTransport(null);
+      notifications.setRetryPolicy(null);
+    });
+
+    test('should email the guest and mark the invitation sent', async () => {
+      const invitation = await createTestInvitation(Invitation, event, guest, { message: 'Bring <snacks>' });
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation._id}/send`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('sent');
+      expect(response.body.data.sentAt).toBeDefined();
+      expect(response.body.delivery.attempts).toBe(1);
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toContain(guest.email);
+      expect(outbox[0].subject).toContain(event.title);
+      expect(outbox[0].text).toMatch(/\/rsvp\/[\w.-]+\?status=going/);
+      expect(outbox[0].html).toContain('Bring &lt;snacks&gt;');
+    });
+
+    test('should keep line breaks in a guest name out of the recipient header', async () => {
+      const sneaky = await createTestUser({ name: 'Sneaky\r\nBcc: list@example.com', email: 'sneaky@example.com', role: 'guest' });
+      const invitation = await createTestInvitation(Invitation, event, sneaky);
+
+      await request(app)
+        .post(`/api/invitations/${invitation._id}/send`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      expect(outbox[0].to).toBe('"SneakyBcc: list@example.com" <sneaky@example.com>');
+    });
+
+    test('should queue a transient failure and retry it in the background', async () => {
+      const invitation = await createTestInvitation(Invitation, event, guest);
+      let calls = 0;
+      notifications.setTransport({
+        send: async () => {
+          calls++;
+          if (calls < 3) throw new Error('Connection reset');
+          return { messageId: '<retried@test>' };
+        }
+      });
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation._id}/send`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(202);
+
+      expect(calls).toBe(1);
+      expect(response.body.error).toBeUndefined();
+      const retryAt = new Date(response.body.delivery.retryAt);
+
+      // Second try fails and backs off further; the third goes out
+      expect(await processDueInvitationEmails(retryAt)).toMatchObject({ retried: 1 });
+      const job = await InvitationEmailJob.findOne({ invitationId: invitation._id });
+      expect(job.runAt - retryAt).toBe(2 * 60 * 1000);
+      expect(await processDueInvitationEmails(job.runAt)).toMatchObject({ sent: 1 });
+
+      const updated = await Invitation.findById(invitation._id);
+      expect(updated.status).toBe('sent');
+      expect(updated.deliveryAttempts).toBe(3);
+      expect(updated.lastDeliveryError).toBeUndefined();
+    });
+
+    test('should report a permanent failure without the mail server\'s reply', async () => {
+      const invitation = await createTestInvitation(Invitation, event, guest);
+      notifications.setTransport({
+        send: async () => { throw new notifications.SmtpError('SMTP 550 5.1.1 <guest@example.com>: mailbox unknown', 550); }
+      });
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation._id}/send`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(502);
+
+      expect(JSON.stringify(response.body)).not.toContain('mailbox unknown');
+      expect(await InvitationEmailJob.countDocuments()).toBe(0);
+
+      const updated = await Invitation.findById(invitation._id);
+      expect(updated.status).toBe('pending');
+      expect(updated.lastDeliveryError).toContain('mailbox unknown');
+    });
+
+    test('should not resend an answered invitation', async () => {
+      const invitation = await createTestInvitation(Invitation, event, guest, { status: 'accepted' });
+
+      await request(app)
+        .post(`/api/invitations/${invitation._id}/send`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(409);
+
+      expect(outbox).toHaveLength(0);
+    });
+  });
+
   describe('GET /api/invitations/my-invitations', () => {
     test('should return only user\'s invitations', async () => {
       // Create invitations for different guests
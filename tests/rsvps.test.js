@@ -53,6 +53,20 @@ describe('RSVPs API Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.every(r => r.status === 'going')).toBe(true);
     });
+
+    test('should reject an unknown or operator status filter', async () => {
+      await createTestRSVP(RSVP, invitation, { status: 'going' });
+
+      await request(app)
+        .get('/api/rsvps?status=attending')
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/rsvps?status[$ne]=x')
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+    });
   });
 
   describe('POST /api/rsvps', () => {
@@ -134,4 +148,764 @@ describe('RSVPs API Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('GET /api/events/:id/rsvps', () => {
+    test('should return RSVPs and stats for the event organizer', async () => {
+      await createTestRSVP(RSVP, invitation, { guestsCount: 3 });
+      
+      const response = await request(app)
+        .get(`/api/events/${event._id}/rsvps`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.count).toBe(1);
+      expect(response.body.stats.going).toBe(1);
+      expect(response.body.stats.totalGuests).toBe(3);
+    });
+
+    test('should reject an operator status filter', async () => {
+      const response = await request(app)
+        .get(`/api/events/${event._id}/rsvps?status[$regex]=.`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('Status must be');
+    });
+
+    test('should return 403 if not event organizer', async () => {
+      const response = await request(app)
+        .get(`/api/events/${event._id}/rsvps`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(403);
+      
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/events/:id/guests.csv', () => {
+    test('should export guests with their RSVP answers as CSV', async () => {
+      await createTestRSVP(RSVP, invitation, { guestsCount: 2, notes: 'Vegan, no nuts' });
+      const pending = await createTestUser({ name: 'Pending Guest', email: 'pending@example.com', role: 'guest' });
+      await createTestInvitation(Invitation, event, pending);
+      
+      const response = await request(app)
+        .get(`/api/events/${event._id}/guests.csv`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+      
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('guestName,guestEmail,occurrenceDate,invitationStatus,sentAt,rsvpStatus,waitlisted,guestsCount,companions,notes,respondedAt');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('guest@example.com,,accepted,,going,false,2,,"Vegan, no nuts"');
+      expect(lines[2]).toContain('pending@example.com,,pending,,,,,,');
+    });
+
+    test('should export JSON Lines when requested', async () => {
+      await createTestRSVP(RSVP, invitation);
+      
+      const response = await request(app)
+        .get(`/api/events/${event._id}/guests.csv?format=jsonl`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+      
+      const rows = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(rows).toHaveLength(1);
+      expect(rows[0].guestEmail).toBe('guest@example.com');
+      expect(rows[0].rsvpStatus).toBe('going');
+    });
+
+    test('should return 403 if not event organizer', async () => {
+      await request(app)
+        .get(`/api/events/${event._id}/guests.csv`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('RSVP links (/api/rsvp/:token)', () => {
+    const getLink = async () => {
+      const response = await request(app)
+        .get(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      return response.body.data;
+    };
+
+    test('should let the guest answer and change the answer without logging in', async () => {
+      const { token, url } = await getLink();
+      expect(url).toContain(`/rsvp/${token}`);
+
+      const details = await request(app).get(`/api/rsvp/${token}`).expect(200);
+      expect(details.body.data.event.title).toBe(event.title);
+      expect(details.body.data.responses).toHaveLength(0);
+
+      const created = await request(app)
+        .post(`/api/rsvp/${token}`)
+        .send({ status: 'going', guestsCount: 2, notes: 'See you there' })
+        .expect(201);
+      expect(created.body.data.userId).toBe(guest._id.toString());
+
+      const changed = await request(app)
+        .post(`/api/rsvp/${token}`)
+        .send({ status: 'not_going' })
+        .expect(200);
+      expect(changed.body.data._id).toBe(created.body.data._id);
+      expect(changed.body.data.status).toBe('not_going');
+    });
+
+    test('should reject links after rotation and revocation', async () => {
+      const { token: oldToken } = await getLink();
+
+      const rotated = await request(app)
+        .post(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(201);
+
+      await request(app).get(`/api/rsvp/${oldToken}`).expect(410);
+      await request(app).get(`/api/rsvp/${rotated.body.data.token}`).expect(200);
+
+      await request(app)
+        .delete(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/rsvp/${rotated.body.data.token}`)
+        .send({ status: 'going' })
+        .expect(410);
+    });
+
+    test('should not accept a login token as an RSVP link', async () => {
+      await request(app).get(`/api/rsvp/${guest.token}`).expect(401);
+    });
+
+    test('should not let another user manage the link', async () => {
+      await request(app)
+        .post(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Invitation status sync', () => {
+    let pendingGuest, pendingInvitation;
+
+    beforeEach(async () => {
+      pendingGuest = await createTestUser({ email: 'pending@example.com', role: 'guest' });
+      pendingInvitation = await createTestInvitation(Invitation, event, pendingGuest, {
+        status: 'sent',
+        sentAt: new Date()
+      });
+    });
+
+    test('should follow the RSVP through create, update and delete', async () => {
+      const created = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${pendingGuest.token}`)
+        .send({ invitationId: pendingInvitation._id, status: 'going' })
+        .expect(201);
+      expect((await Invitation.findById(pendingInvitation._id)).status).toBe('accepted');
+
+      await request(app)
+        .put(`/api/rsvps/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${pendingGuest.token}`)
+        .send({ status: 'not_going' })
+        .expect(200);
+      expect((await Invitation.findById(pendingInvitation._id)).status).toBe('declined');
+
+      await request(app)
+        .put(`/api/rsvps/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${pendingGuest.token}`)
+        .send({ status: 'maybe' })
+        .expect(200);
+      expect((await Invitation.findById(pendingInvitation._id)).status).toBe('sent');
+
+      await request(app)
+        .delete(`/api/rsvps/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${pendingGuest.token}`)
+        .expect(200);
+      expect((await Invitation.findById(pendingInvitation._id)).status).toBe('sent');
+    });
+
+    test('should leave an unsent invitation pending on a maybe', async () => {
+      const unsent = await createTestInvitation(Invitation, event, guest);
+
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: unsent._id, status: 'maybe' })
+        .expect(201);
+
+      expect((await Invitation.findById(unsent._id)).status).toBe('pending');
+    });
+
+    test('should accept a waitlisted invitation only once the guest is promoted', async () => {
+      const fullEvent = await createTestEvent(Event, organizer, { capacity: 1 });
+      const seatHolder = await createTestRSVP(RSVP, await createTestInvitation(Invitation, fullEvent, guest));
+      const waiting = await createTestInvitation(Invitation, fullEvent, pendingGuest, { status: 'sent', sentAt: new Date() });
+
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${pendingGuest.token}`)
+        .send({ invitationId: waiting._id, status: 'going' })
+        .expect(201);
+      expect((await Invitation.findById(waiting._id)).status).toBe('sent');
+
+      await request(app)
+        .put(`/api/rsvps/${seatHolder._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'not_going' })
+        .expect(200);
+      expect((await Invitation.findById(waiting._id)).status).toBe('accepted');
+    });
+
+    test('should not let the organizer contradict the RSVP', async () => {
+      await createTestRSVP(RSVP, pendingInvitation, { status: 'not_going' });
+
+      const response = await request(app)
+        .put(`/api/invitations/${pendingInvitation._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ status: 'accepted' })
+        .expect(409);
+
+      expect(response.body.message).toContain('declined');
+    });
+  });
+
+  describe('RSVP deadlines', () => {
+    const closeResponses = (data = {}) => Event.updateOne(
+      { _id: event._id },
+      { rsvpDeadline: new Date(Date.now() - 60 * 60 * 1000), ...data }
+    );
+
+    test('should reject responses after the deadline', async () => {
+      await closeResponses();
+
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going' })
+        .expect(400);
+
+      expect(response.body.message).toContain('RSVP deadline passed');
+    });
+
+    test('should accept late responses when the event allows them', async () => {
+      await closeResponses({ allowLateResponses: true });
+
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going' })
+        .expect(201);
+    });
+
+    test('should honour a per-guest extension for updates', async () => {
+      const rsvp = await createTestRSVP(RSVP, invitation);
+      await closeResponses();
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'maybe' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ rsvpExtendedUntil: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'maybe' })
+        .expect(200);
+    });
+
+    test('should show guests how long they have left', async () => {
+      await Event.updateOne(
+        { _id: event._id },
+        { rsvpDeadline: new Date(Date.now() + (2 * 24 + 3) * 60 * 60 * 1000 + 30000) }
+      );
+
+      const response = await request(app)
+        .get('/api/invitations/my-invitations')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(200);
+
+      const { rsvpWindow } = response.body.data[0];
+      expect(rsvpWindow.open).toBe(true);
+      expect(rsvpWindow.timeLeft).toBe('2 days 3 hours');
+      expect(rsvpWindow.secondsLeft).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Companions and plus-ones', () => {
+    const companions = [
+      { name: 'Ana Ruiz', ageGroup: 'child', dietaryRestrictions: ['vegetarian'] },
+      { name: 'Tom Ruiz', accessibilityNeeds: 'Wheelchair access' }
+    ];
+
+    test('should size the party from the companions listed', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', companions })
+        .expect(201);
+
+      expect(response.body.data.guestsCount).toBe(3);
+      expect(response.body.data.companions[0]).toMatchObject({ name: 'Ana Ruiz', ageGroup: 'child' });
+      expect(response.body.data.companions[1].ageGroup).toBe('adult');
+      expect(await RSVP.countConfirmedGuests(event._id)).toBe(3);
+    });
+
+    test('should reject more companions than the party has room for', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', guestsCount: 2, companions })
+        .expect(400);
+
+      expect(response.body.message).toContain('at most 1 companion');
+    });
+
+    test('should reject companions without a name', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', companions: [{ ageGroup: 'elder' }] })
+        .expect(400);
+
+      expect(response.body.message).toContain('companions[0].name');
+      expect(response.body.message).toContain('companions[0].ageGroup');
+    });
+
+    test('should enforce the plus-one allowance set on the invitation', async () => {
+      await request(app)
+        .put(`/api/invitations/${invitation._id}`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ plusOnes: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', companions })
+        .expect(400);
+
+      expect(response.body.message).toBe('This invitation allows 1 plus-one(s)');
+
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', companions: companions.slice(0, 1) })
+        .expect(201);
+    });
+
+    test('should let a party over a lowered allowance keep its size but not grow', async () => {
+      const rsvp = await createTestRSVP(RSVP, invitation, { guestsCount: 3 });
+      await Invitation.updateOne({ _id: invitation._id }, { plusOnes: 1 });
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ companions })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ guestsCount: 4 })
+        .expect(400);
+    });
+
+    test('should count companions against capacity', async () => {
+      const smallEvent = await createTestEvent(Event, organizer, { capacity: 2 });
+      const smallInvitation = await createTestInvitation(Invitation, smallEvent, guest);
+
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: smallInvitation._id, status: 'going', companions })
+        .expect(201);
+
+      expect(response.body.data.waitlisted).toBe(true);
+    });
+
+    test('should export companions with their dietary and accessibility needs', async () => {
+      await createTestRSVP(RSVP, invitation, { guestsCount: 3, companions });
+
+      const response = await request(app)
+        .get(`/api/events/${event._id}/guests.csv`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      expect(response.text).toContain('Ana Ruiz (child; vegetarian) | Tom Ruiz (adult; Wheelchair access)');
+    });
+  });
+
+  describe('RSVP questionnaire', () => {
+    let meal, sessions, age;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .put(`/api/events/${event._id}/questions`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({
+          questions: [
+            { label: 'Meal choice', type: 'single_choice', required: true, options: ['Chicken', 'Fish', 'Vegetarian'] },
+            { label: 'Sessions', type: 'multi_choice', options: ['Morning', 'Afternoon'] },
+            { label: 'Age', type: 'number', min: 0, max: 120 }
+          ]
+        })
+        .expect(200);
+
+      [meal, sessions, age] = response.body.data.map(question => question._id);
+    });
+
+    test('should reject invalid questions', async () => {
+      const response = await request(app)
+        .put(`/api/events/${event._id}/questions`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ questions: [{ label: 'T-shirt size', type: 'single_choice', options: ['M'] }] })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('questions[0].options');
+    });
+
+    test('should validate answers against the questions', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', answers: { [meal]: 'Beef', [age]: 130 } })
+        .expect(400);
+
+      expect(response.body.message).toContain('"Meal choice" must be one of: Chicken, Fish, Vegetarian');
+      expect(response.body.message).toContain('"Age" must be at most 120');
+    });
+
+    test('should require answers to required questions from guests who are going', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going' })
+        .expect(400);
+
+      expect(response.body.message).toBe('"Meal choice" is required');
+
+      const declined = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'not_going' })
+        .expect(201);
+
+      // Changing to going later needs the answer too
+      await request(app)
+        .put(`/api/rsvps/${declined.body.data._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'going' })
+        .expect(400);
+
+      const accepted = await request(app)
+        .put(`/api/rsvps/${declined.body.data._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'going', answers: { [meal]: 'Fish' } })
+        .expect(200);
+
+      expect(accepted.body.data.answers).toEqual([{ questionId: meal, value: 'Fish' }]);
+    });
+
+    test('should aggregate answers per option for the organizer', async () => {
+      const secondGuest = await createTestUser({ email: 'second@example.com', role: 'guest' });
+      const secondInvitation = await createTestInvitation(Invitation, event, secondGuest);
+
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going', answers: { [meal]: 'Fish', [sessions]: ['Morning', 'Afternoon'], [age]: 30 } })
+        .expect(201);
+      await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${secondGuest.token}`)
+        .send({ invitationId: secondInvitation._id, status: 'going', answers: { [meal]: 'Fish', [sessions]: ['Morning'], [age]: 40 } })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/events/${event._id}/rsvps/answers`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      const [mealSummary, sessionSummary, ageSummary] = response.body.data;
+      expect(response.body.count).toBe(2);
+      expect(mealSummary.options).toEqual([
+        { option: 'Chicken', count: 0 },
+        { option: 'Fish', count: 2 },
+        { option: 'Vegetarian', count: 0 }
+      ]);
+      expect(sessionSummary).toMatchObject({ answered: 2, options: [{ option: 'Morning', count: 2 }, { option: 'Afternoon', count: 1 }] });
+      expect(ageSummary).toMatchObject({ answered: 2, min: 30, max: 40, average: 35 });
+
+      await request(app)
+        .get(`/api/events/${event._id}/rsvps/answers`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(403);
+    });
+
+    test('should not change the type of a question guests have answered', async () => {
+      await createTestRSVP(RSVP, invitation, { answers: [{ questionId: meal, value: 'Fish' }] });
+
+      const response = await request(app)
+        .put(`/api/events/${event._id}/questions`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .send({ questions: [{ _id: meal, label: 'Meal choice', type: 'text' }] })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('cannot change type');
+    });
+  });
+
+  describe('Tickets', () => {
+    const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    test('should issue a ticket to confirmed guests and render it as a QR code', async () => {
+      const created = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: invitation._id, status: 'going' })
+        .expect(201);
+      expect(created.body.data.ticketCode).toMatch(/^[A-Z2-9]{12}$/);
+
+      const svg = await request(app)
+        .get(`/api/rsvps/${created.body.data._id}/ticket`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(200);
+      expect(svg.headers['content-type']).toContain('image/svg+xml');
+      expect(svg.body.toString()).toContain('<svg');
+
+      const png = await request(app)
+        .get(`/api/rsvps/${created.body.data._id}/ticket?format=png`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      expect(png.headers['content-type']).toContain('image/png');
+      expect(png.body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+
+      await request(app)
+        .get(`/api/rsvps/${created.body.data._id}/ticket?format=gif`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(400);
+    });
+
+    test('should not issue tickets to waitlisted or undecided guests', async () => {
+      const full = await createTestEvent(Event, organizer, { capacity: 1 });
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, full, organizer));
+      const waitlisted = await createTestRSVP(RSVP, await createTestInvitation(Invitation, full, guest), {
+        waitlisted: true,
+        waitlistedAt: new Date()
+      });
+      const maybe = await createTestRSVP(RSVP, invitation, { status: 'maybe' });
+
+      expect(waitlisted.ticketCode).toBeUndefined();
+      expect(maybe.ticketCode).toBeUndefined();
+
+      await request(app)
+        .get(`/api/rsvps/${waitlisted._id}/ticket`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(409);
+
+      const going = await request(app)
+        .put(`/api/rsvps/${maybe._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'going' })
+        .expect(200);
+      expect(going.body.data.ticketCode).toMatch(/^[A-Z2-9]{12}$/);
+    });
+
+    test('should serve the ticket through the RSVP link', async () => {
+      const link = await request(app)
+        .get(`/api/invitations/${invitation._id}/rsvp-token`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      const { token } = link.body.data;
+
+      await request(app).get(`/api/rsvp/${token}/ticket`).expect(409);
+      await request(app).post(`/api/rsvp/${token}`).send({ status: 'going' }).expect(201);
+
+      const png = await request(app).get(`/api/rsvp/${token}/ticket?format=png`).expect(200);
+      expect(png.body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+    });
+
+    test('should keep checked-in guests on the RSVP', async () => {
+      const rsvp = await createTestRSVP(RSVP, invitation, { guestsCount: 3 });
+      await RSVP.updateOne({ _id: rsvp._id }, { checkedInCount: 2 });
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ guestsCount: 1 })
+        .expect(409);
+
+      await request(app)
+        .put(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'not_going' })
+        .expect(409);
+
+      await request(app)
+        .delete(`/api/rsvps/${rsvp._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(409);
+    });
+  });
+
+  describe('Capacity and waitlist', () => {
+    let smallEvent, firstInvitation, secondGuest, secondInvitation;
+
+    beforeEach(async () => {
+      smallEvent = await createTestEvent(Event, organizer, { capacity: 2 });
+      firstInvitation = await createTestInvitation(Invitation, smallEvent, guest);
+      secondGuest = await createTestUser({ email: 'second@example.com', role: 'guest' });
+      secondInvitation = await createTestInvitation(Invitation, smallEvent, secondGuest);
+    });
+
+    test('should waitlist a going RSVP that exceeds capacity', async () => {
+      await createTestRSVP(RSVP, firstInvitation, { guestsCount: 2 });
+      
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${secondGuest.token}`)
+        .send({ invitationId: secondInvitation._id, status: 'going' })
+        .expect(201);
+      
+      expect(response.body.data.waitlisted).toBe(true);
+      expect(response.body.waitlistPosition).toBe(1);
+    });
+
+    test('should not confirm two guests answering at once for the last seat', async () => {
+      const lastSeat = await createTestEvent(Event, organizer, { capacity: 1 });
+      const answer = async (user) => {
+        const invite = await createTestInvitation(Invitation, lastSeat, user);
+        return request(app)
+          .post('/api/rsvps')
+          .set('Authorization', `Bearer ${user.token}`)
+          .send({ invitationId: invite._id, status: 'going' })
+          .expect(201);
+      };
+
+      const responses = await Promise.all([answer(guest), answer(secondGuest)]);
+
+      expect(responses.map(response => response.body.data.waitlisted).sort()).toEqual([false, true]);
+      expect(await RSVP.countConfirmedGuests(lastSeat._id)).toBe(1);
+    });
+
+    test('should promote the next waitlisted guest when a seat frees up', async () => {
+      const confirmed = await createTestRSVP(RSVP, firstInvitation, { guestsCount: 2 });
+      const waiting = await createTestRSVP(RSVP, secondInvitation, {
+        waitlisted: true,
+        waitlistedAt: new Date()
+      });
+      
+      await request(app)
+        .put(`/api/rsvps/${confirmed._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'not_going' })
+        .expect(200);
+      
+      const promoted = await RSVP.findById(waiting._id);
+      expect(promoted.waitlisted).toBe(false);
+    });
+
+    test('should return the ordered waitlist to the organizer', async () => {
+      await createTestRSVP(RSVP, firstInvitation, { guestsCount: 2 });
+      await createTestRSVP(RSVP, secondInvitation, { waitlisted: true, waitlistedAt: new Date() });
+      
+      const response = await request(app)
+        .get(`/api/events/${smallEvent._id}/waitlist`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+      
+      expect(response.body.count).toBe(1);
+      expect(response.body.seatsLeft).toBe(0);
+      expect(response.body.data[0].position).toBe(1);
+    });
+  });
+
+  describe('Recurring events', () => {
+    let series, seriesInvitation;
+
+    beforeEach(async () => {
+      series = await createTestEvent(Event, organizer, {
+        date: new Date('2099-01-05'),
+        recurrence: { frequency: 'weekly' }
+      });
+      seriesInvitation = await createTestInvitation(Invitation, series, guest);
+    });
+
+    test('should answer a single occurrence of a series invitation', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: seriesInvitation._id, status: 'not_going', occurrenceDate: '2099-01-12' })
+        .expect(201);
+      
+      expect(response.body.data.occurrenceDate).toBe('2099-01-12T00:00:00.000Z');
+    });
+
+    test('should return 400 for a date that is not an occurrence', async () => {
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: seriesInvitation._id, status: 'going', occurrenceDate: '2099-01-13' })
+        .expect(400);
+      
+      expect(response.body.message).toContain('not an occurrence');
+    });
+
+    test('should waitlist a series answer when one occurrence is already full', async () => {
+      await Event.updateOne({ _id: series._id }, { capacity: 1 });
+      const otherGuest = await createTestUser({ email: 'other@example.com', role: 'guest' });
+      const otherInvitation = await createTestInvitation(Invitation, series, otherGuest);
+      const occurrence = await createTestRSVP(RSVP, otherInvitation, { occurrenceDate: new Date('2099-01-12') });
+
+      const response = await request(app)
+        .post('/api/rsvps')
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ invitationId: seriesInvitation._id, status: 'going' })
+        .expect(201);
+      expect(response.body.data.waitlisted).toBe(true);
+
+      // The occurrence seat frees up, so the series guest fits everywhere again
+      await request(app)
+        .delete(`/api/rsvps/${occurrence._id}`)
+        .set('Authorization', `Bearer ${otherGuest.token}`)
+        .expect(200);
+
+      const promoted = await RSVP.findById(response.body.data._id);
+      expect(promoted.waitlisted).toBe(false);
+    });
+
+    test('should promote occurrence waitlists when a series seat frees up', async () => {
+      await Event.updateOne({ _id: series._id }, { capacity: 1 });
+      const otherGuest = await createTestUser({ email: 'other@example.com', role: 'guest' });
+      const otherInvitation = await createTestInvitation(Invitation, series, otherGuest);
+      const seriesSeat = await createTestRSVP(RSVP, seriesInvitation);
+      const waiting = await createTestRSVP(RSVP, otherInvitation, {
+        occurrenceDate: new Date('2099-01-12'),
+        waitlisted: true,
+        waitlistedAt: new Date()
+      });
+
+      await request(app)
+        .put(`/api/rsvps/${seriesSeat._id}`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .send({ status: 'not_going' })
+        .expect(200);
+
+      const promoted = await RSVP.findById(waiting._id);
+      expect(promoted.waitlisted).toBe(false);
+    });
+  });
 });
\ No newline at end of file
@@ -1,7 +1,16 @@
 const request = require('supertest');
 const app = require('../server'); // Your Express app
 const User = require('../models/User');
-const { createTestUser, generateTestToken } = require('./helpers');
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const RSVP = require('../models/RSVP');
+const {
+  createTestUser,
+  generateTestToken,
+  createTestEvent,
+  createTestInvitation,
+  createTestRSVP
+} = require('./helpers');
 
 describe('Users API Tests', () => {
   describe('GET /api/users', () => {
@@ -154,5 +163,168 @@ describe('Users API Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('already exists');
     });
+
+    test('should return 400 when self-registering as admin', async () => {
+      const userData = {
+        name: 'Sneaky Admin',
+        email: 'sneaky@example.com',
+        password: 'password123',
+        role: 'admin'
+      };
+      
+      const response = await request(app)
+        .post('/api/users')
+        .send(userData)
+        .expect(400);
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toContain('Role must be guest or organizer');
+    });
+
+    test('should default new users to the guest role', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .send({ name: 'Default Role', email: 'default@example.com', password: 'password123' })
+        .expect(201);
+      
+      expect(response.body.data.role).toBe('guest');
+    });
+  });
+
+  describe('Calendar feed', () => {
+    test('should serve RSVP\'d events with a feed token', async () => {
+      const organizer = await createTestUser();
+      const guest = await createTestUser({ email: 'guest@example.com', role: 'guest' });
+      await createTestEvent(Event, organizer, { title: 'Uninvited Dinner' });
+      const attending = await createTestEvent(Event, organizer, { title: 'Guest Gala' });
+      const invitation = await createTestInvitation(Invitation, attending, guest);
+      await createTestRSVP(RSVP, invitation, { status: 'maybe' });
+      
+      const created = await request(app)
+        .post(`/api/users/${guest._id}/calendar-token`)
+        .set('Authorization', `Bearer ${guest.token}`)
+        .expect(201);
+      
+      const feed = await request(app)
+        .get(`/api/users/${guest._id}/calendar.ics?token=${created.body.data.token}`)
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200);
+      
+      expect(feed.text).toContain('SUMMARY:Guest Gala');
+      expect(feed.text).toContain('STATUS:TENTATIVE');
+      expect(feed.text).not.toContain('Uninvited Dinner');
+    });
+
+    test('should reject the feed after the token is revoked', async () => {
+      const user = await createTestUser();
+      
+      const created = await request(app)
+        .post(`/api/users/${user._id}/calendar-token`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(201);
+      
+      await request(app)
+        .delete(`/api/users/${user._id}/calendar-token`)
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(200);
+      
+      await request(app)
+        .get(`/api/users/${user._id}/calendar.ics?token=${created.body.data.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/users/:id/report', () => {
+    let organizer, regular, noShow;
+
+    beforeEach(async () => {
+      organizer = await createTestUser({ email: 'organizer@example.com' });
+      regular = await createTestUser({ name: 'Regular', email: 'regular@example.com', role: 'guest' });
+      noShow = await createTestUser({ name: 'Ghost', email: 'ghost@example.com', role: 'guest' });
+
+      const party = await createTestEvent(Event, organizer, { title: 'Past Party', category: 'party', price: 20 });
+      const meeting = await createTestEvent(Event, organizer, { title: 'Team Meeting', price: 10 });
+      const cancelled = await createTestEvent(Event, organizer, { title: 'Called Off', price: 50 });
+
+      // Regular was scanned in at the party; Ghost had a ticket but never came
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, party, regular), {
+        guestsCount: 2,
+        checkedInCount: 2,
+        checkIns: [{ guests: 2, scannedBy: organizer._id }]
+      });
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, party, noShow));
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, meeting, regular), { guestsCount: 1 });
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, meeting, noShow), { status: 'not_going' });
+      await createTestRSVP(RSVP, await createTestInvitation(Invitation, cancelled, regular));
+
+      await Event.updateOne({ _id: party._id }, { status: 'completed' });
+      await Event.updateOne({ _id: cancelled._id }, { status: 'cancelled' });
+    });
+
+    test('should report totals, attendance, revenue and guests across events', async () => {
+      const response = await request(app)
+        .get(`/api/users/${organizer._id}/report`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      const report = response.body.data;
+      expect(report.totals).toEqual({ events: 3, invitations: 5, confirmedGuests: 4 });
+      expect(report.eventsByStatus).toEqual({ draft: 0, published: 1, cancelled: 1, completed: 1 });
+      expect(report.eventsByCategory).toEqual({ party: 1, meeting: 2 });
+      expect(report.attendance).toEqual({ completedEvents: 1, fromCheckIns: 1, invited: 2, attended: 1, rate: 50 });
+      expect(report.revenue).toEqual({ total: 70, completed: 60, upcoming: 10 });
+      expect(report.topNoShowGuests).toEqual([
+        expect.objectContaining({ email: 'ghost@example.com', noShows: 1 })
+      ]);
+      expect(report.repeatAttendees.count).toBe(1);
+      expect(report.repeatAttendees.top[0]).toMatchObject({ email: 'regular@example.com', attended: 2 });
+    });
+
+    test('should not count no-shows at events nobody was checked in to', async () => {
+      await RSVP.updateMany({}, { $set: { checkedInCount: 0, checkIns: [] } });
+
+      const response = await request(app)
+        .get(`/api/users/${organizer._id}/report`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      // Without scans, confirmed going answers stand in for attendance
+      expect(response.body.data.attendance).toEqual({ completedEvents: 1, fromCheckIns: 0, invited: 2, attended: 2, rate: 100 });
+      expect(response.body.data.topNoShowGuests).toEqual([]);
+    });
+
+    test('should filter by date range', async () => {
+      const response = await request(app)
+        .get(`/api/users/${organizer._id}/report?from=2099-01-01`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(200);
+
+      expect(response.body.data.totals.events).toBe(0);
+
+      await request(app)
+        .get(`/api/users/${organizer._id}/report?from=2030-02-01&to=2030-01-01`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect(400);
+    });
+
+    test('should export one CSV row per event', async () => {
+      const response = await request(app)
+        .get(`/api/users/${organizer._id}/report?format=csv`)
+        .set('Authorization', `Bearer ${organizer.token}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('eventId,title,date,status,category,capacity,price,invited,attendees,confirmedGuests,attendanceRate,revenue,attendanceFromCheckIns');
+      expect(lines).toHaveLength(4);
+      expect(lines.find(line => line.includes('Past Party'))).toMatch(/,completed,party,100,20,2,1,3,50,60,true$/);
+    });
+
+    test('should return 403 for another user', async () => {
+      await request(app)
+        .get(`/api/users/${organizer._id}/report`)
+        .set('Authorization', `Bearer ${regular.token}`)
+        .expect(403);
+    });
   });
 });
\ No newline at end of file
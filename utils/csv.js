@@ -0,0 +1,106 @@
+const { once } = require('events');
+
+/**
+ * CSV (RFC 4180) and JSON Lines helpers for streamed exports and uploads.
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+/**
+ * Writes a chunk and waits for the socket to drain when its buffer is full,
+ * so large exports never pile up in memory. Resolves false once the client
+ * has gone away.
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+  return !res.destroyed;
+};
+
+/**
+ * Streams rows from an async iterable as CSV or JSON Lines. columns is a
+ * list of { header, value(row) }; JSON Lines uses the headers as keys.
+ */
+const streamRows = async (res, rows, columns, { format = 'csv' } = {}) => {
+  if (format === 'csv' && !(await writeChunk(res, toCsvRow(columns.map(column => column.header))))) return;
+
+  for await (const row of rows) {
+    const values = columns.map(column => column.value(row));
+    const line = format === 'csv'
+      ? toCsvRow(values)
+      : `${JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.header, values[i] ?? null])))}\n`;
+
+    if (!(await writeChunk(res, line))) break;
+  }
+
+  res.end();
+};
+
+/**
+ * Parses CSV text into rows of string cells. Handles quoted fields with
+ * embedded commas, quotes and newlines, CRLF or LF line endings and a
+ * leading byte order mark.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  escapeCell,
+  toCsvRow,
+  streamRows,
+  parseCsv
+};
@@ -0,0 +1,414 @@
+const { toDateKey, WEEKDAYS } = require('./recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getOffsetMinutes,
+  findOffsetTransitions,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  computeSchedule
+} = require('./timezone');
+
+/**
+ * iCalendar (RFC 5545) serialisation and parsing for events. Recurring
+ * events are written with the event's IANA TZID, backed by a VTIMEZONE, so
+ * they keep their wall-clock time across daylight saving changes; single
+ * events and occurrences use the UTC Z form.
+ */
+
+const PRODID = '-//EventEase//EventEase Planner//EN';
+const UID_DOMAIN = 'eventease';
+const MAX_LINE_OCTETS = 75;
+
+const STATUS_MAP = {
+  draft: 'TENTATIVE',
+  published: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  completed: 'CONFIRMED'
+};
+
+const FREQUENCY_MAP = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+const EVENT_CATEGORIES = ['wedding', 'birthday', 'conference', 'meeting', 'party', 'other'];
+const ALL_DAY_MINUTES = 24 * 60;
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values may not contain quotes; quote them when they hold separators
+const quoteParam = (value) => {
+  const clean = String(value).replace(/"/g, '');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+// Splits a content line into 75-octet chunks without breaking UTF-8 characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatUTC = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocal = (date, timeZone) => formatInTimeZone(date, timeZone).slice(0, 19).replace(/[-:]/g, '');
+
+const dateTimeProperty = (name, date, timeZone) => (timeZone === DEFAULT_TIMEZONE
+  ? `${name}:${formatUTC(date)}`
+  : `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`);
+
+const scheduleFor = (event, day = event.date) =>
+  computeSchedule(day, event.time, event.timezone, event.durationMinutes);
+
+// Only a repeating VEVENT needs local times; everything else is exported in UTC
+const calendarTimeZone = (event, occurrenceDate) =>
+  (!occurrenceDate && event.recurrence && event.recurrence.frequency
+    ? event.timezone || DEFAULT_TIMEZONE
+    : DEFAULT_TIMEZONE);
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.trunc(Math.abs(minutes) / 60)).padStart(2, '0');
+  return `${sign}${hours}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+};
+
+// Yearly rule for a transition, e.g. BYMONTH=3;BYDAY=2SU or BYDAY=-1SU for the last one
+const observanceRule = (localOnset) => {
+  const day = localOnset.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(localOnset.getUTCFullYear(), localOnset.getUTCMonth() + 1, 0)).getUTCDate();
+  const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return `RRULE:FREQ=YEARLY;BYMONTH=${localOnset.getUTCMonth() + 1};BYDAY=${ordinal}${WEEKDAYS[localOnset.getUTCDay()]}`;
+};
+
+/**
+ * VTIMEZONE lines for a zone, with daylight saving rules taken from the
+ * year before `since` so they cover the whole series.
+ */
+const buildVTimezone = (timeZone, since) => {
+  const year = new Date(since).getUTCFullYear() - 1;
+  const transitions = findOffsetTransitions(timeZone, year);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  for (const { at, offsetFrom, offsetTo } of transitions) {
+    // Observance onsets are written in the local time in force before the change
+    const localOnset = new Date(at.getTime() + offsetFrom * 60000);
+    const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatUTC(localOnset).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      observanceRule(localOnset),
+      `END:${kind}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+const buildRecurrenceLines = (event, timeZone) => {
+  const { recurrence } = event;
+  const rule = [`FREQ=${FREQUENCY_MAP[recurrence.frequency]}`];
+
+  if (recurrence.interval && recurrence.interval > 1) rule.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) rule.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  // UNTIL must be UTC when DTSTART carries a TZID; use the start of the last allowed day
+  if (recurrence.until) rule.push(`UNTIL=${formatUTC(scheduleFor(event, recurrence.until).startsAt)}`);
+  if (recurrence.count) rule.push(`COUNT=${recurrence.count}`);
+
+  const lines = [`RRULE:${rule.join(';')}`];
+  for (const exception of recurrence.exceptions || []) {
+    lines.push(dateTimeProperty('EXDATE', scheduleFor(event, exception).startsAt, timeZone));
+  }
+  return lines;
+};
+
+/**
+ * VEVENT lines for an event. Pass occurrenceDate to export a single
+ * occurrence of a recurring event as a standalone VEVENT, and tentative to
+ * mark an unconfirmed attendance (RSVP maybe or waitlisted).
+ */
+const buildVEvent = (event, { occurrenceDate = null, tentative = false } = {}) => {
+  const timeZone = calendarTimeZone(event, occurrenceDate);
+  const singleOccurrence = Boolean(occurrenceDate);
+  const { startsAt, endsAt } = singleOccurrence
+    ? scheduleFor(event, occurrenceDate)
+    : (event.startsAt && event.endsAt ? event : scheduleFor(event));
+
+  let status = STATUS_MAP[event.status] || 'CONFIRMED';
+  if (tentative && status === 'CONFIRMED') status = 'TENTATIVE';
+
+  const uid = singleOccurrence
+    ? `${event._id}-${toDateKey(occurrenceDate)}@${UID_DOMAIN}`
+    : `${event._id}@${UID_DOMAIN}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUTC(new Date())}`,
+    dateTimeProperty('DTSTART', startsAt, timeZone),
+    dateTimeProperty('DTEND', endsAt, timeZone),
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category.toUpperCase())}`);
+  if (!singleOccurrence && event.recurrence && event.recurrence.frequency)
+    lines.push(...buildRecurrenceLines(event, timeZone));
+
+  // organizerId is only an object with an email when it has been populated
+  if (event.organizerId && event.organizerId.email)
+    lines.push(`ORGANIZER;CN=${quoteParam(event.organizerId.name)}:mailto:${event.organizerId.email}`);
+
+  lines.push(`STATUS:${status}`);
+  if (event.createdAt) lines.push(`CREATED:${formatUTC(event.createdAt)}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUTC(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Serialises a VCALENDAR. entries are { event, occurrenceDate, tentative }.
+ */
+const buildCalendar = (entries, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  // One VTIMEZONE per TZID referenced, with rules from before the earliest series using it
+  const zoneStarts = new Map();
+  for (const { event, occurrenceDate } of entries) {
+    const timeZone = calendarTimeZone(event, occurrenceDate);
+    if (timeZone === DEFAULT_TIMEZONE) continue;
+    const startsAt = event.startsAt || scheduleFor(event).startsAt;
+    if (!zoneStarts.has(timeZone) || startsAt < zoneStarts.get(timeZone)) zoneStarts.set(timeZone, startsAt);
+  }
+  for (const [timeZone, since] of zoneStarts) lines.push(...buildVTimezone(timeZone, since));
+
+  for (const entry of entries) lines.push(...buildVEvent(entry.event, entry));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/* ---------------------------- Parsing ---------------------------- */
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// NAME;PARAM=VALUE;PARAM="quoted:value":content
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Returns every top-level VEVENT as a map of property name to a list of
+ * { params, value } (properties such as EXDATE may repeat). Nested
+ * components like VALARM are ignored.
+ */
+const parseCalendar = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const stack = [];
+  const vevents = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = line.trim() ? parseContentLine(line) : null;
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const component = property.value.trim().toUpperCase();
+      if (component === 'VEVENT' && stack[stack.length - 1] === 'VCALENDAR') current = {};
+      stack.push(component);
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        vevents.push(current);
+        current = null;
+      }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      (current[property.name] = current[property.name] || []).push(property);
+    }
+  }
+
+  return vevents;
+};
+
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+/**
+ * Reads a DATE or DATE-TIME value as a local day and HH:MM in an IANA zone.
+ * UTC values keep UTC, TZID values keep their zone and floating values use
+ * the fallback zone.
+ */
+const parseDateTime = ({ params, value }, fallbackTimeZone) => {
+  const match = DATE_TIME_PATTERN.exec(value.trim());
+  if (!match) throw new Error(`Invalid date value: ${value}`);
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+  const tzid = params.TZID ? params.TZID.replace(/^\//, '') : null;
+
+  let timezone = fallbackTimeZone;
+  if (utc) timezone = DEFAULT_TIMEZONE;
+  else if (tzid && !allDay) {
+    if (!isValidTimeZone(tzid)) throw new Error(`Unsupported timezone: ${tzid}`);
+    timezone = tzid;
+  }
+
+  const date = `${year}-${month}-${day}`;
+  const time = allDay ? '00:00' : `${hour}:${minute}`;
+  return { date, time, timezone, allDay, instant: zonedTimeToUtc(date, time, timezone) };
+};
+
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+const parseDuration = (value) => {
+  const match = DURATION_PATTERN.exec(value.trim());
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => Number(part) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'];
+
+// Maps an RRULE to the recurrence schema; throws on rules EventEase can't represent
+const parseRecurrence = (rrule, exdates, start) => {
+  const parts = Object.fromEntries(rrule.value.trim().split(';').map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value.toUpperCase()];
+  }));
+
+  const unsupported = Object.keys(parts).filter(key => !SUPPORTED_RRULE_PARTS.includes(key));
+  if (unsupported.length > 0) throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+
+  const frequency = Object.keys(FREQUENCY_MAP).find(key => FREQUENCY_MAP[key] === parts.FREQ);
+  if (!frequency) throw new Error(`Unsupported recurrence frequency: ${parts.FREQ}`);
+
+  const recurrence = { frequency };
+  if (parts.INTERVAL) recurrence.interval = Number(parts.INTERVAL);
+  if (parts.COUNT) recurrence.count = Number(parts.COUNT);
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',');
+    if (!days.every(day => WEEKDAYS.includes(day)))
+      throw new Error(`Unsupported recurrence BYDAY: ${parts.BYDAY}`);
+    recurrence.byWeekday = days;
+  }
+
+  if (parts.UNTIL) {
+    const until = parseDateTime({ params: {}, value: parts.UNTIL }, start.timezone);
+    recurrence.until = until.allDay ? until.date : formatInTimeZone(until.instant, start.timezone).slice(0, 10);
+  }
+
+  const exceptions = exdates
+    .flatMap(exdate => exdate.value.split(',').map(value => parseDateTime({ params: exdate.params, value }, start.timezone)))
+    .map(exdate => formatInTimeZone(exdate.instant, start.timezone).slice(0, 10));
+  if (exceptions.length > 0) recurrence.exceptions = exceptions;
+
+  return recurrence;
+};
+
+const firstValue = (vevent, name) => (vevent[name] && vevent[name][0]) || null;
+
+/**
+ * Maps a parsed VEVENT to createEvent's request body. Returns
+ * { uid, data, skipReason, errors }: skipReason marks VEVENTs that are
+ * deliberately not imported, errors the ones that cannot be represented.
+ */
+const veventToEventData = (vevent, { timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const text = (name) => {
+    const property = firstValue(vevent, name);
+    return property ? unescapeText(property.value).trim() : undefined;
+  };
+
+  const uid = text('UID') || null;
+  const data = { title: text('SUMMARY'), description: text('DESCRIPTION'), location: text('LOCATION') };
+
+  if ((text('STATUS') || '').toUpperCase() === 'CANCELLED')
+    return { uid, data, skipReason: 'Event is cancelled', errors: [] };
+  if (vevent['RECURRENCE-ID'])
+    return { uid, data, skipReason: 'Modified occurrences of a recurring event are not imported', errors: [] };
+
+  const dtstart = firstValue(vevent, 'DTSTART');
+  if (!dtstart) return { uid, data, errors: ['DTSTART is required'] };
+
+  try {
+    const start = parseDateTime(dtstart, timeZone);
+    Object.assign(data, { date: start.date, time: start.time, timezone: start.timezone });
+
+    const dtend = firstValue(vevent, 'DTEND');
+    const duration = firstValue(vevent, 'DURATION');
+    if (dtend) data.durationMinutes = Math.round((parseDateTime(dtend, start.timezone).instant - start.instant) / 60000);
+    else if (duration) data.durationMinutes = parseDuration(duration.value);
+    else if (start.allDay) data.durationMinutes = ALL_DAY_MINUTES;
+
+    const categories = (text('CATEGORIES') || '').toLowerCase().split(',').map(category => category.trim());
+    data.category = categories.find(category => EVENT_CATEGORIES.includes(category)) || 'other';
+
+    const rrule = firstValue(vevent, 'RRULE');
+    if (rrule) data.recurrence = parseRecurrence(rrule, vevent.EXDATE || [], start);
+  } catch (error) {
+    return { uid, data, errors: [error.message] };
+  }
+
+  return { uid, data, errors: [] };
+};
+
+module.exports = {
+  escapeText,
+  buildVEvent,
+  buildCalendar,
+  parseCalendar,
+  veventToEventData
+};
@@ -0,0 +1,19 @@
+const QRCode = require('qrcode');
+
+/**
+ * QR code images for ticket codes, drawn by the qrcode package with error
+ * correction level M and the standard 4-module quiet zone.
+ */
+
+const OPTIONS = { errorCorrectionLevel: 'M', margin: 4 };
+
+// Resolves the SVG markup of a QR code
+const toSvg = (text) => QRCode.toString(String(text), { ...OPTIONS, type: 'svg' });
+
+// Resolves a PNG Buffer of a QR code; scale is the pixel size of a module
+const toPng = (text, { scale = 8 } = {}) => QRCode.toBuffer(String(text), { ...OPTIONS, type: 'png', scale });
+
+module.exports = {
+  toSvg,
+  toPng
+};
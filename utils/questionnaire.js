@@ -0,0 +1,148 @@
+/**
+ * Per-event RSVP questions. Organizers define them on the event; guests
+ * answer them with their RSVP as an object keyed by question id, e.g.
+ * { "<questionId>": "Vegetarian", "<otherId>": ["Workshop A", "Workshop B"] }.
+ * Answers are stored on the RSVP as [{ questionId, value }].
+ */
+
+const QUESTION_TYPES = ['text', 'single_choice', 'multi_choice', 'number'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_OPTION_LENGTH = 100;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+const isChoice = (type) => CHOICE_TYPES.includes(type);
+
+// Field errors for an organizer's question list; ids are checked by the caller
+const getQuestionErrors = (questions) => {
+  if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS)
+    return [`questions must be a list of at most ${MAX_QUESTIONS} questions`];
+
+  const errors = [];
+  questions.forEach((question, index) => {
+    const label = `questions[${index}]`;
+    if (!question || typeof question !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const { type, options, required, min, max } = question;
+    if (typeof question.label !== 'string' || !question.label.trim() || question.label.length > MAX_LABEL_LENGTH)
+      errors.push(`${label}.label is required (at most ${MAX_LABEL_LENGTH} characters)`);
+
+    if (!QUESTION_TYPES.includes(type))
+      errors.push(`${label}.type must be one of: ${QUESTION_TYPES.join(', ')}`);
+
+    if (required !== undefined && typeof required !== 'boolean')
+      errors.push(`${label}.required must be true or false`);
+
+    if (isChoice(type)) {
+      if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS ||
+          !options.every(option => typeof option === 'string' && option.trim() && option.length <= MAX_OPTION_LENGTH))
+        errors.push(`${label}.options must list 2 to ${MAX_OPTIONS} choices of at most ${MAX_OPTION_LENGTH} characters`);
+      else if (new Set(options.map(option => option.trim())).size !== options.length)
+        errors.push(`${label}.options cannot repeat a choice`);
+    } else if (options !== undefined && !(Array.isArray(options) && options.length === 0)) {
+      errors.push(`${label}.options only apply to choice questions`);
+    }
+
+    if (type === 'number') {
+      for (const [field, bound] of Object.entries({ min, max })) {
+        if (bound !== undefined && bound !== null && !Number.isFinite(bound))
+          errors.push(`${label}.${field} must be a number`);
+      }
+      if (Number.isFinite(min) && Number.isFinite(max) && min > max)
+        errors.push(`${label}.min cannot be greater than max`);
+    } else if ((min !== undefined && min !== null) || (max !== undefined && max !== null)) {
+      errors.push(`${label}.min and max only apply to number questions`);
+    }
+  });
+
+  return errors;
+};
+
+// Error for one answer value, or null when it fits the question
+const getAnswerError = (question, value) => {
+  switch (question.type) {
+    case 'text':
+      return typeof value === 'string' && value.trim().length <= MAX_TEXT_ANSWER_LENGTH
+        ? null
+        : `must be text of at most ${MAX_TEXT_ANSWER_LENGTH} characters`;
+    case 'single_choice':
+      return question.options.includes(value) ? null : `must be one of: ${question.options.join(', ')}`;
+    case 'multi_choice':
+      if (!Array.isArray(value) || value.length === 0 || !value.every(choice => question.options.includes(choice)))
+        return `must be a list of: ${question.options.join(', ')}`;
+      return new Set(value).size === value.length ? null : 'cannot repeat a choice';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (question.min !== null && question.min !== undefined && value < question.min) return `must be at least ${question.min}`;
+      if (question.max !== null && question.max !== undefined && value > question.max) return `must be at most ${question.max}`;
+      return null;
+    default:
+      return 'cannot be answered';
+  }
+};
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && !value.trim());
+
+/**
+ * Checks answers against the event's questions and merges them over the
+ * RSVP's existing answers (a null or empty value clears one). Required
+ * questions must be answered when requireAll is set, i.e. for guests who are
+ * going. Returns { answers } in stored form, or { errors }.
+ */
+const validateAnswers = (questions, input, { existing = [], requireAll = false } = {}) => {
+  const errors = [];
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+  const merged = new Map(existing
+    .filter(answer => byId.has(answer.questionId.toString()))
+    .map(answer => [answer.questionId.toString(), answer.value]));
+
+  if (input !== undefined) {
+    if (!input || typeof input !== 'object' || Array.isArray(input))
+      return { errors: ['answers must be an object keyed by question id'] };
+
+    for (const [questionId, value] of Object.entries(input)) {
+      const question = byId.get(questionId);
+      if (!question) {
+        errors.push(`${questionId} is not a question for this event`);
+      } else if (isBlank(value)) {
+        merged.delete(questionId);
+      } else {
+        const error = getAnswerError(question, value);
+        if (error) errors.push(`"${question.label}" ${error}`);
+        else merged.set(questionId, typeof value === 'string' ? value.trim() : value);
+      }
+    }
+  }
+
+  if (requireAll) {
+    for (const question of questions) {
+      if (question.required && !merged.has(question._id.toString()))
+        errors.push(`"${question.label}" is required`);
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  // Keep the event's question order
+  const answers = questions
+    .filter(question => merged.has(question._id.toString()))
+    .map(question => ({ questionId: question._id, value: merged.get(question._id.toString()) }));
+
+  return { answers };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  MAX_OPTIONS,
+  MAX_LABEL_LENGTH,
+  MAX_OPTION_LENGTH,
+  isChoice,
+  getQuestionErrors,
+  validateAnswers
+};
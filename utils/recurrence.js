@@ -0,0 +1,178 @@
+const validator = require('validator');
+
+/**
+ * RRULE-style recurrence helpers. Event dates are stored as UTC midnight of
+ * the event day, so occurrences are computed on whole UTC days and share the
+ * event's HH:MM time.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index matches Date#getUTCDay
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+const MAX_OCCURRENCES = 5000; // hard stop for open-ended series
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (value) =>
+  typeof value === 'string' && validator.isDate(value, { format: 'YYYY-MM-DD', strictMode: true });
+
+const startOfUTCDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const toDateKey = (date) => startOfUTCDay(date).toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * ONE_DAY_MS);
+
+/**
+ * Returns a list of validation errors for a recurrence rule from a request body.
+ */
+const validateRecurrence = (recurrence, startDate) => {
+  const errors = [];
+
+  if (recurrence === null) return errors; // null clears the rule
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return ['Recurrence must be an object'];
+  }
+
+  const { frequency, interval, byWeekday, until, count, exceptions } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency))
+    errors.push(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+
+  if (interval !== undefined && !(Number.isInteger(interval) && interval >= 1 && interval <= MAX_INTERVAL))
+    errors.push(`Recurrence interval must be an integer from 1 to ${MAX_INTERVAL}`);
+
+  if (byWeekday !== undefined) {
+    if (frequency !== 'weekly') errors.push('Recurrence byWeekday is only allowed for weekly events');
+    else if (!Array.isArray(byWeekday) || byWeekday.length === 0 || !byWeekday.every(day => WEEKDAYS.includes(day)))
+      errors.push(`Recurrence byWeekday must be a list of: ${WEEKDAYS.join(', ')}`);
+  }
+
+  if (until !== undefined && count !== undefined)
+    errors.push('Recurrence cannot have both until and count');
+
+  if (until !== undefined) {
+    if (!isDateOnly(until)) errors.push('Recurrence until must be a date in YYYY-MM-DD format');
+    else if (startDate && new Date(until) < startOfUTCDay(startDate))
+      errors.push('Recurrence until cannot be before the event date');
+  }
+
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1 && count <= MAX_COUNT))
+    errors.push(`Recurrence count must be an integer from 1 to ${MAX_COUNT}`);
+
+  if (exceptions !== undefined && (!Array.isArray(exceptions) || !exceptions.every(isDateOnly)))
+    errors.push('Recurrence exceptions must be a list of dates in YYYY-MM-DD format');
+
+  return errors;
+};
+
+/**
+ * Yields every occurrence start day of the series in order, before exceptions
+ * are removed (count includes excepted dates, as in RFC 5545).
+ */
+function* generateOccurrences(startDate, recurrence) {
+  const start = startOfUTCDay(startDate);
+  const interval = recurrence.interval || 1;
+  const until = recurrence.until ? startOfUTCDay(recurrence.until) : null;
+  const limit = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  let produced = 0;
+  const emit = (date) => {
+    if (until && date > until) return false;
+    produced += 1;
+    return true;
+  };
+
+  if (recurrence.frequency === 'daily') {
+    for (let date = start; produced < limit; date = addDays(date, interval)) {
+      if (!emit(date)) return;
+      yield date;
+    }
+    return;
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = (recurrence.byWeekday && recurrence.byWeekday.length > 0)
+      ? [...new Set(recurrence.byWeekday.map(day => WEEKDAYS.indexOf(day)))].sort((a, b) => a - b)
+      : [start.getUTCDay()];
+    const weekStart = addDays(start, -start.getUTCDay());
+
+    for (let week = weekStart; produced < limit; week = addDays(week, 7 * interval)) {
+      for (const weekday of weekdays) {
+        const date = addDays(week, weekday);
+        if (date < start) continue;
+        if (produced >= limit || !emit(date)) return;
+        yield date;
+      }
+    }
+    return;
+  }
+
+  if (recurrence.frequency === 'monthly') {
+    const dayOfMonth = start.getUTCDate();
+    for (let step = 0; produced < limit; step += interval) {
+      const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, dayOfMonth));
+      if (until && date > until) return;
+      // Months without this day (e.g. the 31st) are skipped rather than clamped
+      if (date.getUTCDate() !== dayOfMonth) continue;
+      if (!emit(date)) return;
+      yield date;
+    }
+  }
+}
+
+/**
+ * Expands an event into occurrence start days within [from, to] (inclusive).
+ * Non-recurring events have a single occurrence on their date.
+ */
+const expandOccurrences = (event, from, to) => {
+  const windowStart = startOfUTCDay(from);
+  const windowEnd = startOfUTCDay(to);
+
+  if (!event.recurrence || !event.recurrence.frequency) {
+    const day = startOfUTCDay(event.date);
+    return day >= windowStart && day <= windowEnd ? [day] : [];
+  }
+
+  const exceptions = new Set((event.recurrence.exceptions || []).map(toDateKey));
+  const occurrences = [];
+
+  for (const date of generateOccurrences(event.date, event.recurrence)) {
+    if (date > windowEnd) break;
+    if (date >= windowStart && !exceptions.has(toDateKey(date))) occurrences.push(date);
+  }
+
+  return occurrences;
+};
+
+/**
+ * True when the given day is an occurrence of the event (after exceptions).
+ */
+const isOccurrence = (event, date) => expandOccurrences(event, date, date).length === 1;
+
+/**
+ * Last occurrence day of a bounded series, or null for an open-ended one.
+ */
+const lastOccurrence = (event) => {
+  const { recurrence } = event;
+  if (!recurrence || !recurrence.frequency) return startOfUTCDay(event.date);
+  if (!recurrence.until && !recurrence.count) return null;
+
+  let last = null;
+  for (const date of generateOccurrences(event.date, recurrence)) last = date;
+  return last;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  isDateOnly,
+  startOfUTCDay,
+  toDateKey,
+  validateRecurrence,
+  expandOccurrences,
+  isOccurrence,
+  lastOccurrence
+};
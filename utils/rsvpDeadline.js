@@ -0,0 +1,73 @@
+/**
+ * RSVP deadline rules. An event's rsvpDeadline closes responses unless the
+ * event allows late responses; an invitation's rsvpExtendedUntil keeps them
+ * open longer for that one guest.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const isExtended = (event, invitation) =>
+  Boolean(invitation?.rsvpExtendedUntil && invitation.rsvpExtendedUntil > event.rsvpDeadline);
+
+// The later of the event deadline and the guest's extension (null: no deadline)
+const effectiveDeadline = (event, invitation) => {
+  if (!event.rsvpDeadline) return null;
+  return isExtended(event, invitation) ? invitation.rsvpExtendedUntil : event.rsvpDeadline;
+};
+
+// "2 days 3 hours", "5 hours 10 minutes", "less than a minute"
+const formatTimeLeft = (ms) => {
+  if (ms < MINUTE) return 'less than a minute';
+
+  const units = [
+    [Math.floor(ms / DAY), 'day'],
+    [Math.floor((ms % DAY) / HOUR), 'hour'],
+    [Math.floor((ms % HOUR) / MINUTE), 'minute']
+  ];
+  const first = units.findIndex(([value]) => value > 0);
+
+  return units.slice(first, first + 2)
+    .filter(([value]) => value > 0)
+    .map(([value, unit]) => `${value} ${unit}${value === 1 ? '' : 's'}`)
+    .join(' ');
+};
+
+/**
+ * Where a guest stands against the deadline: { deadline, extended,
+ * lateResponsesAllowed, open, secondsLeft, timeLeft }. secondsLeft and
+ * timeLeft are null when there is no deadline or it has passed.
+ */
+const getRsvpWindow = (event, invitation, now = new Date()) => {
+  const deadline = effectiveDeadline(event, invitation);
+  const lateResponsesAllowed = Boolean(event.allowLateResponses);
+
+  if (!deadline) {
+    return { deadline: null, extended: false, lateResponsesAllowed, open: true, secondsLeft: null, timeLeft: null };
+  }
+
+  const msLeft = deadline - now;
+  return {
+    deadline,
+    extended: isExtended(event, invitation),
+    lateResponsesAllowed,
+    open: msLeft > 0 || lateResponsesAllowed,
+    secondsLeft: msLeft > 0 ? Math.floor(msLeft / 1000) : null,
+    timeLeft: msLeft > 0 ? formatTimeLeft(msLeft) : null
+  };
+};
+
+// Message for a response that arrives after the window closed, or null
+const getDeadlineError = (event, invitation, now = new Date()) => {
+  const window = getRsvpWindow(event, invitation, now);
+  if (window.open) return null;
+
+  return `The RSVP deadline passed on ${window.deadline.toISOString()}. Ask the organizer for an extension to respond.`;
+};
+
+module.exports = {
+  effectiveDeadline,
+  getRsvpWindow,
+  getDeadlineError
+};
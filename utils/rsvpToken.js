@@ -0,0 +1,59 @@
+const jwt = require('jsonwebtoken');
+const { computeSchedule } = require('./timezone');
+
+/**
+ * Signed RSVP links for guests without accounts. A token names its invitation
+ * and the invitation's rsvpTokenVersion, so bumping the version (rotate or
+ * revoke) invalidates every link issued before it. Tokens use their own
+ * audience and carry no user id, so they can never pass as a login token.
+ */
+
+const RSVP_TOKEN_AUDIENCE = 'rsvp';
+const DEFAULT_TTL_DAYS = 60;
+
+const ttlDays = () => parseInt(process.env.RSVP_TOKEN_TTL_DAYS, 10) || DEFAULT_TTL_DAYS;
+
+// End of what the invitation covers, when that is known up front
+const invitationEndsAt = (invitation, event) => {
+  if (invitation.occurrenceDate) {
+    return computeSchedule(invitation.occurrenceDate, event.time, event.timezone, event.durationMinutes).endsAt;
+  }
+  if (!event.recurrence) return event.endsAt || null;
+  if (event.recurrence.until) {
+    return computeSchedule(event.recurrence.until, event.time, event.timezone, event.durationMinutes).endsAt;
+  }
+  return null;
+};
+
+/**
+ * Links stay valid for RSVP_TOKEN_TTL_DAYS (default 60) or until the event
+ * ends, whichever comes first. Returns { token, expiresAt }.
+ */
+const signRsvpToken = (invitation, event) => {
+  const maxExpiry = new Date(Date.now() + ttlDays() * 24 * 60 * 60 * 1000);
+  const eventEnd = invitationEndsAt(invitation, event);
+  const expiresAt = eventEnd && eventEnd < maxExpiry ? eventEnd : maxExpiry;
+
+  const token = jwt.sign(
+    { sub: invitation._id.toString(), ver: invitation.rsvpTokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { audience: RSVP_TOKEN_AUDIENCE, expiresIn: Math.max(Math.floor((expiresAt - Date.now()) / 1000), 1) }
+  );
+
+  return { token, expiresAt };
+};
+
+// Throws jsonwebtoken's errors (TokenExpiredError, JsonWebTokenError)
+const verifyRsvpToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: RSVP_TOKEN_AUDIENCE });
+  return { invitationId: payload.sub, version: payload.ver };
+};
+
+const buildRsvpUrl = (token) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')}/rsvp/${token}`;
+
+module.exports = {
+  signRsvpToken,
+  verifyRsvpToken,
+  buildRsvpUrl
+};
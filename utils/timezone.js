@@ -0,0 +1,152 @@
+/**
+ * IANA timezone helpers built on Intl, so no date library is needed.
+ * Event dates are stored as UTC midnight of the local calendar day, with the
+ * wall-clock time kept separately as HH:MM.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// Minutes the zone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Converts a local calendar day (YYYY-MM-DD string or UTC-midnight Date) and
+ * HH:MM time in an IANA zone to the UTC instant. Times skipped by a DST jump
+ * resolve to the instant just after the gap.
+ */
+const zonedTimeToUtc = (day, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+  const dayKey = day instanceof Date ? day.toISOString().slice(0, 10) : day;
+  const [year, month, date] = dayKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+
+  const wallClockAsUTC = Date.UTC(year, month - 1, date, hour, minute);
+  let instant = wallClockAsUTC - getOffsetMinutes(new Date(wallClockAsUTC), timeZone) * 60000;
+
+  // Re-check once: the offset at the guess can differ across a DST change
+  const correctedOffset = getOffsetMinutes(new Date(instant), timeZone);
+  instant = wallClockAsUTC - correctedOffset * 60000;
+
+  return new Date(instant);
+};
+
+const pad = (value) => String(Math.abs(value)).padStart(2, '0');
+
+/**
+ * ISO 8601 rendering of an instant in a zone, e.g. 2026-11-02T18:00:00-05:00
+ */
+const formatInTimeZone = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const offset = getOffsetMinutes(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) it is in a zone at the given instant.
+ */
+const todayInTimeZone = (timeZone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const p = getZonedParts(now, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+/**
+ * Start and end instants for an event day/time in its zone.
+ */
+const computeSchedule = (day, time, timeZone, durationMinutes = DEFAULT_DURATION_MINUTES) => {
+  const startsAt = zonedTimeToUtc(day, time || '00:00', timeZone || DEFAULT_TIMEZONE);
+  const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+  return { startsAt, endsAt };
+};
+
+/**
+ * UTC offset changes of a zone during a calendar year, as
+ * { at, offsetFrom, offsetTo } with offsets in minutes. Scans day by day and
+ * narrows each change down to the minute.
+ */
+const findOffsetTransitions = (timeZone, year) => {
+  const end = Date.UTC(year + 1, 0, 1);
+  const transitions = [];
+  let previous = Date.UTC(year, 0, 1);
+  let previousOffset = getOffsetMinutes(new Date(previous), timeZone);
+
+  while (previous < end) {
+    const next = Math.min(previous + DAY_MS, end);
+    const offset = getOffsetMinutes(new Date(next), timeZone);
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = next;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getOffsetMinutes(new Date(middle), timeZone) === previousOffset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ at: new Date(high), offsetFrom: previousOffset, offsetTo: offset });
+    }
+    previous = next;
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  isValidTimeZone,
+  getOffsetMinutes,
+  findOffsetTransitions,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  todayInTimeZone,
+  computeSchedule
+};